@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/*
+ * Collaboration relay for the diagram editor.
+ *
+ *   npm run relay                 # ws://0.0.0.0:1234
+ *   PORT=4000 HOST=127.0.0.1 npm run relay
+ *
+ * Browsers connect to ws://<host>:<port>/<room>. Binary frames are Yjs
+ * document updates: the relay merges them into the room's document, so a
+ * newcomer receives the full state, and forwards them to the other clients.
+ * Text frames are JSON presence messages (name, color, cursor, selection)
+ * that are forwarded as-is, tagged with the sender's connection id.
+ *
+ * Rooms live in memory and are dropped when their last client leaves; the
+ * browsers keep their own copy of every diagram. A client that sends
+ * something the relay cannot read is dropped without affecting the others.
+ *
+ *   npm run test:relay            # node --test server/
+ */
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const Y = require('yjs');
+
+const PORT = Number(process.env.PORT) || 1234;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// Close code for requests the relay refuses, such as an undecodable room name
+const POLICY_VIOLATION = 1008;
+
+const broadcast = (room, sender, data, binary) => {
+  room.clients.forEach((client, socket) => {
+    if (socket !== sender && socket.readyState === socket.OPEN) socket.send(data, { binary });
+  });
+};
+
+const readRoomName = (url) => decodeURIComponent(new URL(url, 'http://relay').pathname.slice(1)) || 'default';
+
+/** An HTTP server with the relay attached; call `listen` on it to start. */
+const createRelay = () => {
+  const rooms = new Map();
+  let nextClientId = 1;
+
+  const getRoom = (name) => {
+    if (!rooms.has(name)) rooms.set(name, { doc: new Y.Doc(), clients: new Map() });
+    return rooms.get(name);
+  };
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`Diagram collaboration relay: ${rooms.size} active room(s)\n`);
+  });
+
+  const wss = new WebSocketServer({ server });
+
+  wss.on('connection', (socket, req) => {
+    let name;
+    try {
+      name = readRoomName(req.url);
+    } catch (err) {
+      socket.close(POLICY_VIOLATION, 'Invalid room name');
+      return;
+    }
+    const room = getRoom(name);
+    const client = { id: nextClientId++, presence: null };
+    room.clients.set(socket, client);
+
+    // Runs on close and on socket errors, whichever comes first
+    const leave = () => {
+      if (!room.clients.delete(socket)) return;
+      if (room.clients.size === 0) {
+        room.doc.destroy();
+        rooms.delete(name);
+        return;
+      }
+      broadcast(room, socket, JSON.stringify({ type: 'leave', id: client.id }), false);
+    };
+
+    socket.on('error', (err) => {
+      console.error(`Room "${name}": dropped client ${client.id}: ${err.message}`);
+      leave();
+      socket.terminate();
+    });
+    socket.on('close', leave);
+
+    socket.send(Y.encodeStateAsUpdate(room.doc), { binary: true });
+    room.clients.forEach((other) => {
+      if (other.presence) socket.send(JSON.stringify(other.presence));
+    });
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        try {
+          Y.applyUpdate(room.doc, new Uint8Array(data));
+        } catch (err) {
+          console.error(`Room "${name}": dropped an invalid update from client ${client.id}`);
+          return;
+        }
+        broadcast(room, socket, data, true);
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (!message || typeof message !== 'object' || message.type !== 'presence') return;
+      client.presence = { ...message, id: client.id };
+      broadcast(room, socket, JSON.stringify(client.presence), false);
+    });
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  createRelay().listen(PORT, HOST, () => {
+    console.log(`Collaboration relay listening on ws://${HOST}:${PORT}`);
+  });
+}
+
+module.exports = { createRelay };
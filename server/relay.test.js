@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const WebSocket = require('ws');
+const { createRelay } = require('./relay');
+
+let relay;
+let url;
+
+before(async () => {
+  relay = createRelay();
+  relay.listen(0, '127.0.0.1');
+  await once(relay, 'listening');
+  url = `ws://127.0.0.1:${relay.address().port}`;
+});
+
+after(() => relay.close());
+
+const connect = async (path) => {
+  const socket = new WebSocket(`${url}${path}`);
+  // The first frame is the room's document state
+  await once(socket, 'message');
+  return socket;
+};
+
+const nextText = socket => new Promise((resolve) => {
+  socket.on('message', function onMessage(data, isBinary) {
+    if (isBinary) return;
+    socket.off('message', onMessage);
+    resolve(JSON.parse(data.toString()));
+  });
+});
+
+test('refuses an undecodable room name without stopping', async () => {
+  const socket = new WebSocket(`${url}/%E0%A4%A`);
+  const [code] = await once(socket, 'close');
+  assert.strictEqual(code, 1008);
+
+  const other = await connect('/fine');
+  other.close();
+  await once(other, 'close');
+});
+
+test('drops a client that sends invalid UTF-8 and keeps serving the room', async () => {
+  const good = await connect('/shared');
+  const bad = await connect('/shared');
+  const left = nextText(good);
+
+  bad.send(Buffer.from([0xff, 0xfe, 0xfd]), { binary: false });
+  await once(bad, 'close');
+  assert.strictEqual((await left).type, 'leave');
+
+  const newcomer = await connect('/shared');
+  const presence = nextText(good);
+  newcomer.send(JSON.stringify({ type: 'presence', name: 'Ada' }));
+  assert.strictEqual((await presence).name, 'Ada');
+
+  good.close();
+  newcomer.close();
+  await Promise.all([once(good, 'close'), once(newcomer, 'close')]);
+});
+
+test('ignores text frames that are not presence objects', async () => {
+  const sender = await connect('/frames');
+  const receiver = await connect('/frames');
+  const presence = nextText(receiver);
+
+  ['null', '42', '"text"', '[]', '{"type":"other"}'].forEach(frame => sender.send(frame));
+  sender.send(JSON.stringify({ type: 'presence', name: 'Grace' }));
+  assert.strictEqual((await presence).name, 'Grace');
+
+  sender.close();
+  receiver.close();
+  await Promise.all([once(sender, 'close'), once(receiver, 'close')]);
+});
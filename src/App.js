@@ -1,18 +1,92 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { flushSync } from 'react-dom';
 import ReactFlow, { 
-  addEdge, Background, Controls, applyNodeChanges, applyEdgeChanges, MarkerType,
-  Panel, getNodesBounds, useReactFlow, ReactFlowProvider 
+  addEdge, Background, Controls, applyNodeChanges, applyEdgeChanges,
+  Panel, getNodesBounds, useReactFlow, useStore, ReactFlowProvider 
 } from 'reactflow';
 import { toSvg, toPng, toJpeg } from 'html-to-image';
-import { jsPDF } from 'jspdf';
 import 'reactflow/dist/style.css';
-import { RefreshCcw, Trash2, Plus, Database, Edit2, Check, Key, Link as LinkIcon, Layers, X, Upload, Download } from 'lucide-react';
+import { RefreshCcw, Trash2, Plus, Database, Edit2, Check, Key, Link as LinkIcon, Layers, X, Upload, Download, FileCode, GitMerge, GitCompare, Undo2, Redo2, LayoutGrid, Boxes, Eye, EyeOff, ArrowUpFromLine, ArrowDownToLine, Keyboard, BookOpen } from 'lucide-react';
 import TableNode from './TableNode';
+import GroupNode from './GroupNode';
+import useUndoRedo, { isTextField } from './useUndoRedo';
+import { computeLayout, findFreePosition, LAYOUT_STRATEGIES } from './layout';
+import {
+  createGroup, ungroup, collapseGroups, findGroupAt, setNodeGroup, getAbsolutePosition, isGroup, isTable, DEFAULT_GROUP_SIZE,
+} from './groups';
+import { DETAIL_LEVELS, LOD_ZOOM, getCommonDetail } from './tableDetail';
+import { createCategoryId, countByCategory, recolorCategory, moveCategory, deleteCategory } from './categories';
+import CategoryManager from './CategoryManager';
+import SelectionToolbar from './SelectionToolbar';
+import { alignNodes, distributeNodes, nudgeNodes } from './selection';
+import { copySelection, pasteDiagram } from './clipboard';
+import WorkspacePanel from './WorkspacePanel';
+import SnapshotPanel from './SnapshotPanel';
+import SnapshotPreview from './SnapshotPreview';
+import CollaborationPanel from './CollaborationPanel';
+import LiveCursors from './LiveCursors';
+import {
+  connectCollaboration, relayUrlError, writeDiagramToDoc, readDiagramFromDoc, mergeRemoteNodes, isDocEmpty, PEER_COLORS,
+} from './collaboration';
+import ProblemsPanel from './ProblemsPanel';
+import { lintSchema, SEVERITY_ORDER } from './schemaRules';
+import SearchPanel from './SearchPanel';
+import { getVisibleNodeIds } from './diagramFilter';
+import {
+  initWorkspace, getDiagram, saveDiagram, createDiagram, deleteDiagram, setLastOpenedId, summarize,
+  addSnapshot, deleteSnapshot, getSnapshot, summarizeSnapshots,
+} from './workspaceStore';
+import {
+  createRelationshipEdge, columnHandleId, parseColumnHandle, remapEdgeColumns,
+  updateRelationshipEdge, reverseRelationshipEdge, syncForeignKeyFlags,
+} from './relationships';
+import RelationshipEditor from './RelationshipEditor';
+import { createLineageEdge, isLineageEdge, updateLineageEdge, reverseLineageEdge, traceLineage, LINEAGE_COLOR } from './lineage';
+import LineageEditor from './LineageEditor';
+import ImageExportPanel from './ImageExportPanel';
+import MergeDialog from './MergeDialog';
+import DiffPanel from './DiffPanel';
+import { findMergeConflicts, mergeDiagrams } from './diagramMerge';
+import { diffDiagrams, generateMigrationSql, DIFF_COLORS } from './diagramDiff';
+import { buildDiagramPdf } from './pdfExport';
+import { sqlToDiagram } from './sqlImport';
+import { generateSql, SQL_DIALECTS } from './sqlExport';
+import { generateModel, MODEL_FORMATS } from './modelExport';
+import { DICTIONARY_FORMATS, generateHtmlDictionary, generateMarkdownDictionary } from './dataDictionary';
+import { detectModelFormat, modelToDiagram } from './modelImport';
+import { serializeDiagram, deserializeDiagram, migrateDiagram, parseDiagramFile } from './diagramFormat';
+import { parseSchemaText, formatSchemaText, getColumnRenames } from './columns';
 
 const nodeTypes = {
   tableNode: TableNode,
+  groupNode: GroupNode,
 };
 
+const COLLAB_NAME_KEY = 'collaborationName';
+
+// Shift-click adds to the selection like Ctrl/Cmd-click; Shift-drag draws a selection box
+const MULTI_SELECT_KEYS = ['Shift', 'Meta', 'Control'];
+const DELETE_KEYS = ['Backspace', 'Delete'];
+const NUDGE_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+const SHORTCUTS = [
+  ['N', 'New table'],
+  ['E / Enter', 'Edit the selected table in the sidebar'],
+  ['Double-click', 'Rename a table or column in place'],
+  ['Del / Backspace', 'Delete the selection'],
+  ['Arrows', 'Nudge (Shift: 10px)'],
+  ['Ctrl+C / Ctrl+V', 'Copy / paste, also between diagrams'],
+  ['Ctrl+D', 'Duplicate'],
+  ['Ctrl+A', 'Select all'],
+  ['Shift+click / drag', 'Add to selection / select an area'],
+  ['Esc', 'Clear the selection'],
+];
+
+const zoomedOutSelector = (state) => state.transform[2] < LOD_ZOOM;
+
+// Tables removed since the compared version are drawn as read-only ghosts
+const GHOST_PREFIX = 'diff-removed-';
+
 const INITIAL_LEGEND = [
   { id: '1', name: 'Reporting', hex: '#fbbf24' },
   { id: '2', name: 'Warehouse', hex: '#94a3b8' },
@@ -27,73 +101,193 @@ const INITIAL_LEGEND = [
 ];
 
 function FlowApp() {
-  const { fitView } = useReactFlow();
-  const [nodes, setNodes] = useState(() => {
-    try {
-      const saved = localStorage.getItem('nodes');
-      const parsed = saved ? JSON.parse(saved) : [];
-      return Array.isArray(parsed) ? parsed : [];
-    } catch { return []; }
-  });
-
-  const [edges, setEdges] = useState(() => {
-    try {
-      const saved = localStorage.getItem('edges');
-      const parsed = saved ? JSON.parse(saved) : [];
-      return Array.isArray(parsed) ? parsed : [];
-    } catch { return []; }
-  });
+  const { fitView, getNode, getNodes, screenToFlowPosition, deleteElements } = useReactFlow();
+  const [nodes, setNodes] = useState([]);
+  const [edges, setEdges] = useState([]);
+  const [diagrams, setDiagrams] = useState([]);
+  const [activeDiagramId, setActiveDiagramId] = useState(null);
 
   const [tableName, setTableName] = useState('');
+  const tableNameRef = useRef(null);
   const [schemaText, setSchemaText] = useState('');
-  const [selectedColor, setSelectedColor] = useState('#fbbf24');
+  const [selectedCategory, setSelectedCategory] = useState(INITIAL_LEGEND[0].id);
   const [relType, setRelType] = useState('1:N');
+  const [connectMode, setConnectMode] = useState('relationship');
+  const [lineageMenu, setLineageMenu] = useState(null);
+  const [lineageTrace, setLineageTrace] = useState(null);
   const [edgeToDelete, setEdgeToDelete] = useState('');
   const [editingNodeId, setEditingNodeId] = useState(null);
   const [showExportToast, setShowExportToast] = useState(false);
+  const [sqlDialect, setSqlDialect] = useState('postgres');
+  const [junctionTables, setJunctionTables] = useState(false);
+  const [imageExport, setImageExport] = useState({
+    format: 'svg', pixelRatio: 2, transparent: false,
+    paper: 'a4', orientation: 'landscape', layout: 'fit', columns: 2, titleBlock: true,
+  });
+  const [layoutStrategy, setLayoutStrategy] = useState('layered');
+  const [autoDetail, setAutoDetail] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [problemsOpen, setProblemsOpen] = useState(false);
+  const [showHints, setShowHints] = useState(false);
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
+  const [pendingMerge, setPendingMerge] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotPreview, setSnapshotPreview] = useState(null);
+  const [collabSession, setCollabSession] = useState(null);
+  const [collabStatus, setCollabStatus] = useState('disconnected');
+  const [collabError, setCollabError] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [remoteVersion, setRemoteVersion] = useState(0);
+  const [collabUser, setCollabUser] = useState(() => ({
+    name: localStorage.getItem(COLLAB_NAME_KEY) || 'Guest',
+    color: PEER_COLORS[Math.floor(Math.random() * PEER_COLORS.length)],
+  }));
+  const [filter, setFilter] = useState({ mode: 'none', query: '', category: '', hops: 1, display: 'dim' });
   const fileInputRef = useRef(null);
+  const sqlInputRef = useRef(null);
+  const compareInputRef = useRef(null);
 
-  const [legend, setLegend] = useState(() => {
-    try {
-      const saved = localStorage.getItem('legend');
-      return saved ? JSON.parse(saved) : INITIAL_LEGEND;
-    } catch { return INITIAL_LEGEND; }
-  });
+  const [legend, setLegend] = useState(INITIAL_LEGEND);
 
   const [renamingId, setRenamingId] = useState(null);
-  const activeLegendItem = legend.find(l => l.hex === selectedColor) || legend[0];
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const legendEditFor = useRef(null);
+  const activeLegendItem = legend.find(l => l.id === selectedCategory) || legend[0];
+  const categoryCounts = useMemo(() => countByCategory(nodes), [nodes]);
+
+  // While collaborating, undo only reverts this user's own edits
+  const { takeSnapshot, undo, redo, clearHistory, canUndo, canRedo } = useUndoRedo({
+    nodes, edges, legend, setNodes, setEdges, setLegend,
+    delegate: collabStatus === 'connected' ? collabSession?.undoManager : null,
+  });
+
+  // One undo step per rename or color drag, not per keystroke or color
+  const snapshotLegendEdit = (key) => {
+    if (legendEditFor.current === key) return;
+    takeSnapshot();
+    legendEditFor.current = key;
+  };
+  const endLegendEdit = () => {
+    legendEditFor.current = null;
+  };
 
   const handleRenameLegend = (id, newName) => {
-    setLegend(prev => {
-      const updated = prev.map(item => item.id === id ? { ...item, name: newName } : item);
-      localStorage.setItem('legend', JSON.stringify(updated));
-      return updated;
-    });
+    snapshotLegendEdit(`${id}:name`);
+    setLegend(prev => prev.map(item => item.id === id ? { ...item, name: newName } : item));
+  };
+
+  useEffect(() => {
+    legendEditFor.current = null;
+  }, [renamingId]);
+
+  const recolorLegendEntry = (id, hex) => {
+    snapshotLegendEdit(`${id}:hex`);
+    const next = recolorCategory({ nodes, legend }, id, hex);
+    setLegend(next.legend);
+    setNodes(next.nodes);
+  };
+
+  const addLegendEntry = ({ name, hex }) => {
+    const id = createCategoryId();
+    takeSnapshot();
+    setLegend(prev => prev.concat({ id, name, hex }));
+    setSelectedCategory(id);
+  };
+
+  const moveLegendEntry = (id, offset) => {
+    takeSnapshot();
+    setLegend(prev => moveCategory(prev, id, offset));
+  };
+
+  // Its tables and groups move to the first remaining category
+  const removeLegendEntry = (id) => {
+    const next = deleteCategory({ nodes, legend }, id);
+    const count = categoryCounts[id] || 0;
+    const name = legend.find(l => l.id === id)?.name;
+    if (count && !window.confirm(`Delete "${name}"? Its ${count} ${count === 1 ? 'table moves' : 'tables move'} to "${next.legend[0].name}".`)) return;
+    takeSnapshot();
+    setLegend(next.legend);
+    setNodes(next.nodes);
+    setHiddenCategories(ids => ids.filter(c => c !== id));
+  };
+
+  const toggleCategoryVisibility = (id) => {
+    setHiddenCategories(ids => (ids.includes(id) ? ids.filter(c => c !== id) : ids.concat(id)));
   };
 
   const onDeleteNode = useCallback((id) => {
+    takeSnapshot();
     setNodes((nds) => nds.filter((n) => n.id !== id));
     setEdges((eds) => eds.filter((e) => e.source !== id && e.target !== id));
-  }, []);
+  }, [takeSnapshot]);
+
+  const clearAll = () => {
+    takeSnapshot();
+    setNodes([]);
+    setEdges([]);
+    setLegend(INITIAL_LEGEND);
+    setEditingNodeId(null);
+    setTableName(''); setSchemaText('');
+  };
 
   const onStartEdit = useCallback((id, data) => {
     setEditingNodeId(id);
     setTableName(data.label);
-    const text = data.columns?.map(c => {
-        let tag = '';
-        if (c.isPK) tag = ' (pk)';
-        else if (c.isFK) tag = ' (fk)';
-        else if (c.isCK) tag = ' (ck)';
-        return `${c.name}${tag}`;
-    }).join(', ');
+    const text = formatSchemaText(data.columns);
     setSchemaText(text || '');
-    setSelectedColor(data.color);
+    setSelectedCategory(data.category);
   }, []);
 
-  useEffect(() => {
-    localStorage.setItem('nodes', JSON.stringify(nodes));
-    localStorage.setItem('edges', JSON.stringify(edges));
-  }, [nodes, edges]);
+  // Inline edits on the canvas; edges follow renamed columns and leave removed ones
+  const onUpdateTable = useCallback((id, changes, renames = {}) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => n.id === id ? { ...n, data: { ...n.data, ...changes } } : n));
+    if (changes.columns) setEdges(eds => remapEdgeColumns(eds, id, renames, changes.columns.map(c => c.name)));
+  }, [takeSnapshot]);
+
+  const onTogglePin = useCallback((id) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => n.id === id ? { ...n, data: { ...n.data, pinned: !n.data.pinned } } : n));
+  }, [takeSnapshot]);
+
+  const onSetDetail = useCallback((id, detail) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => n.id === id ? { ...n, data: { ...n.data, detail } } : n));
+  }, [takeSnapshot]);
+
+  const onRenameGroup = useCallback((id, label) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => n.id === id ? { ...n, data: { ...n.data, label } } : n));
+  }, [takeSnapshot]);
+
+  const onToggleGroup = useCallback((id) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => n.id === id ? { ...n, data: { ...n.data, collapsed: !n.data.collapsed } } : n));
+  }, [takeSnapshot]);
+
+  const onUngroup = useCallback((id) => {
+    takeSnapshot();
+    setNodes(nds => ungroup(nds, [id]));
+  }, [takeSnapshot]);
+
+  const onLineageMenu = useCallback((nodeId, column, event) => {
+    event.preventDefault();
+    setLineageMenu({ nodeId, column, x: event.clientX, y: event.clientY });
+  }, []);
+
+  const nodeHandlers = useMemo(() => ({
+    onDelete: onDeleteNode,
+    onEdit: onStartEdit,
+    onUpdateTable,
+    onTogglePin,
+    onSetDetail,
+    onRename: onRenameGroup,
+    onToggleCollapse: onToggleGroup,
+    onUngroup,
+    onResizeStart: () => takeSnapshot(),
+    onLineageMenu,
+  }), [onDeleteNode, onStartEdit, onUpdateTable, onTogglePin, onSetDetail, onRenameGroup, onToggleGroup, onUngroup, takeSnapshot, onLineageMenu]);
 
   useEffect(() => {
     setNodes((nds) =>
@@ -101,51 +295,457 @@ function FlowApp() {
         ...node,
         data: {
           ...node.data,
-          onDelete: onDeleteNode,
-          onEdit: onStartEdit,
+          ...nodeHandlers,
         },
       }))
     );
-  }, [onDeleteNode, onStartEdit]);
+  }, [nodeHandlers]);
 
-  const onNodesChange = useCallback(
-    (changes) => setNodes((nds) => applyNodeChanges(changes, nds)),
-    []
-  );
-  const onEdgesChange = useCallback(
-    (changes) => setEdges((eds) => applyEdgeChanges(changes, eds)),
-    []
-  );
+  // Each diagram is saved shortly after it changes; a pending save is
+  // flushed before another diagram is opened so nothing is lost.
+  const pendingSave = useRef(null);
+  const justOpened = useRef(false);
+  const flushSave = useCallback(async () => {
+    const pending = pendingSave.current;
+    pendingSave.current = null;
+    if (!pending) return;
+    const record = await saveDiagram(pending.id, pending.content);
+    setDiagrams(ds => ds.map(d => d.id === record.id ? summarize(record) : d));
+  }, []);
+
+  useEffect(() => {
+    if (!activeDiagramId) return undefined;
+    if (justOpened.current) {
+      justOpened.current = false;
+      return undefined;
+    }
+    pendingSave.current = { id: activeDiagramId, content: serializeDiagram({ nodes, edges, legend }) };
+    const timer = setTimeout(flushSave, 300);
+    return () => clearTimeout(timer);
+  }, [nodes, edges, legend, activeDiagramId, flushSave]);
+
+  const openDiagram = useCallback(async (id) => {
+    await flushSave();
+    const record = await getDiagram(id);
+    if (!record) return;
+    const diagram = deserializeDiagram(migrateDiagram(record));
+    justOpened.current = true;
+    setNodes(diagram.nodes.map(n => ({ ...n, data: { ...n.data, ...nodeHandlers } })));
+    setEdges(diagram.edges);
+    setLegend(diagram.legend.length ? diagram.legend : INITIAL_LEGEND);
+    setActiveDiagramId(id);
+    setLastOpenedId(id);
+    setEditingNodeId(null);
+    setComparison(null);
+    setHiddenCategories([]);
+    setLineageTrace(null);
+    setSnapshots(summarizeSnapshots(record));
+    setSnapshotPreview(null);
+    setTableName(''); setSchemaText('');
+    clearHistory();
+    setTimeout(() => fitView(), 50);
+  }, [flushSave, nodeHandlers, clearHistory, fitView]);
+
+  // openDiagram changes once React Flow is ready; the workspace is loaded only once
+  const workspaceLoaded = useRef(false);
+  useEffect(() => {
+    if (workspaceLoaded.current) return;
+    workspaceLoaded.current = true;
+    initWorkspace(INITIAL_LEGEND)
+      .then(({ diagrams: list, activeId }) => {
+        setDiagrams(list);
+        return openDiagram(activeId);
+      })
+      .catch(err => console.error('Workspace error:', err));
+  }, [openDiagram]);
+
+  const reportWorkspaceError = (action, err) => {
+    console.error('Workspace error:', err);
+    alert(`Could not ${action}. ${err?.message || ''}`.trim());
+  };
+
+  const createNewDiagram = async () => {
+    try {
+      await flushSave();
+      const record = await createDiagram({ name: `Untitled diagram ${diagrams.length + 1}`, legend: INITIAL_LEGEND });
+      setDiagrams(ds => ds.concat(summarize(record)));
+      await openDiagram(record.id);
+    } catch (err) {
+      reportWorkspaceError('create the diagram', err);
+    }
+  };
+
+  const renameDiagram = async (id, name) => {
+    try {
+      const record = await saveDiagram(id, { name });
+      setDiagrams(ds => ds.map(d => d.id === id ? summarize(record) : d));
+    } catch (err) {
+      reportWorkspaceError('rename the diagram', err);
+    }
+  };
+
+  const duplicateDiagram = async (id) => {
+    try {
+      await flushSave();
+      const source = await getDiagram(id);
+      if (!source) return;
+      const record = await createDiagram({ ...source, name: `${source.name} (copy)` });
+      setDiagrams(ds => ds.concat(summarize(record)));
+      await openDiagram(record.id);
+    } catch (err) {
+      reportWorkspaceError('duplicate the diagram', err);
+    }
+  };
+
+  const saveSnapshot = async (name) => {
+    try {
+      await flushSave();
+      const record = await addSnapshot(activeDiagramId, { name, content: serializeDiagram({ nodes, edges, legend }) });
+      setSnapshots(summarizeSnapshots(record));
+    } catch (err) {
+      reportWorkspaceError('save the snapshot', err);
+    }
+  };
+
+  // Snapshots are stored serialized, so older ones go through the same migrations as files
+  const loadSnapshot = async (id) => {
+    const snapshot = await getSnapshot(activeDiagramId, id);
+    if (!snapshot) return null;
+    const { content, ...summary } = snapshot;
+    const migrated = migrateDiagram(content);
+    return { summary, migrated, diagram: deserializeDiagram(migrated) };
+  };
+
+  const previewSnapshot = async (id) => {
+    const loaded = await loadSnapshot(id);
+    if (loaded) setSnapshotPreview({ id, snapshot: loaded.summary, diagram: loaded.diagram });
+  };
+
+  const compareWithSnapshot = async (id) => {
+    const loaded = await loadSnapshot(id);
+    if (!loaded) return;
+    setComparison({ name: loaded.summary.name, base: loaded.diagram });
+    setSnapshotPreview(null);
+  };
+
+  const restoreSnapshot = async (id) => {
+    const loaded = await loadSnapshot(id);
+    if (!loaded) return;
+    takeSnapshot();
+    setNodes(loaded.diagram.nodes.map(n => ({ ...n, data: { ...n.data, ...nodeHandlers } })));
+    setEdges(loaded.diagram.edges);
+    setLegend(loaded.diagram.legend.length ? loaded.diagram.legend : INITIAL_LEGEND);
+    setSnapshotPreview(null);
+    setTimeout(() => fitView({ duration: 400 }), 50);
+  };
+
+  const exportSnapshot = async (id) => {
+    const loaded = await loadSnapshot(id);
+    if (!loaded) return;
+    const fileName = `${loaded.summary.name.replace(/[^\w-]+/g, '_')}_${loaded.summary.createdAt}.json`;
+    downloadText(JSON.stringify(loaded.migrated, null, 2), 'application/json', fileName);
+  };
+
+  const removeSnapshot = async (id) => {
+    const target = snapshots.find(s => s.id === id);
+    if (!window.confirm(`Delete the snapshot "${target?.name}"? This cannot be undone.`)) return;
+    try {
+      const record = await deleteSnapshot(activeDiagramId, id);
+      setSnapshots(summarizeSnapshots(record));
+    } catch (err) {
+      reportWorkspaceError('delete the snapshot', err);
+    }
+  };
+
+  // The state last written to or read from the shared document; only what
+  // changed since then is written, so peers' edits are never overwritten
+  const collabWritten = useRef(null);
+  const latestDiagram = useRef(null);
+  latestDiagram.current = { nodes, edges, legend };
+
+  const startCollaboration = ({ url, room, name }) => {
+    localStorage.setItem(COLLAB_NAME_KEY, name);
+    setCollabUser(u => ({ ...u, name }));
+    const urlError = relayUrlError(url);
+    if (urlError) {
+      setCollabError(urlError);
+      return;
+    }
+    const diagramId = activeDiagramId;
+    const session = connectCollaboration({
+      url,
+      room,
+      onStatus: (status) => {
+        setCollabStatus(status);
+        if (status === 'disconnected') {
+          setCollabSession(current => (current === session ? null : current));
+          clearHistory();
+        }
+      },
+      onPeers: setPeers,
+      onChange: () => setRemoteVersion(v => v + 1),
+      onSync: async () => {
+        clearHistory();
+        if (isDocEmpty(session.doc)) {
+          writeDiagramToDoc(session.doc, latestDiagram.current);
+          session.undoManager.clear();
+          collabWritten.current = latestDiagram.current;
+          return;
+        }
+        // Joining replaces this diagram with the room's, so keep what was here
+        if (latestDiagram.current.nodes.length) {
+          try {
+            const record = await addSnapshot(diagramId, {
+              name: `Before joining ${room}`,
+              content: serializeDiagram(latestDiagram.current),
+            });
+            setSnapshots(summarizeSnapshots(record));
+          } catch (err) {
+            alert(`Could not save a snapshot before joining "${room}": ${err.message}`);
+          }
+        }
+        setRemoteVersion(v => v + 1);
+      },
+    });
+    setCollabError(null);
+    setRemoteVersion(0);
+    setCollabSession(session);
+  };
+
+  // Another diagram, a new session or leaving the page ends the current session
+  useEffect(() => () => {
+    collabSession?.disconnect();
+    collabWritten.current = null;
+  }, [collabSession, activeDiagramId]);
+
+  useEffect(() => {
+    if (!collabSession || !collabWritten.current) return;
+    const current = { nodes, edges, legend };
+    writeDiagramToDoc(collabSession.doc, current, collabWritten.current);
+    collabWritten.current = current;
+  }, [nodes, edges, legend, collabSession]);
+
+  useEffect(() => {
+    if (!collabSession || !remoteVersion) return;
+    const remote = readDiagramFromDoc(collabSession.doc);
+    collabWritten.current = remote;
+    setNodes(nds => mergeRemoteNodes(nds, remote.nodes, nodeHandlers));
+    setEdges(eds => remote.edges.map(e => ({ ...e, selected: eds.some(x => x.id === e.id && x.selected) })));
+    setLegend(remote.legend);
+  }, [remoteVersion, collabSession, nodeHandlers]);
+
+  const presence = useRef({ cursor: null, selection: [], sentAt: 0 });
+  const publishPresence = useCallback((changes) => {
+    presence.current = { ...presence.current, ...changes };
+    const { cursor, selection } = presence.current;
+    collabSession?.setPresence({ name: collabUser.name, color: collabUser.color, cursor, selection });
+  }, [collabSession, collabUser]);
+
+  const pastePointer = useRef(null);
+  const trackCursor = (event) => {
+    pastePointer.current = screenToFlowPosition({ x: event.clientX, y: event.clientY });
+    if (collabStatus !== 'connected') return;
+    const now = Date.now();
+    if (now - presence.current.sentAt < 50) return;
+    presence.current.sentAt = now;
+    publishPresence({ cursor: screenToFlowPosition({ x: event.clientX, y: event.clientY }) });
+  };
+
+  const selectionKey = nodes.filter(n => n.selected).map(n => n.id).join(',');
+  useEffect(() => {
+    if (collabStatus === 'connected') publishPresence({ selection: selectionKey ? selectionKey.split(',') : [] });
+  }, [selectionKey, collabStatus, publishPresence]);
+
+  const removeDiagram = async (id) => {
+    const target = diagrams.find(d => d.id === id);
+    if (!window.confirm(`Delete "${target?.name}"? This cannot be undone.`)) return;
+    if (pendingSave.current?.id === id) pendingSave.current = null;
+    try {
+      await deleteDiagram(id);
+      const remaining = diagrams.filter(d => d.id !== id);
+      if (remaining.length === 0) {
+        const record = await createDiagram({ name: 'Untitled diagram', legend: INITIAL_LEGEND });
+        remaining.push(summarize(record));
+      }
+      setDiagrams(remaining);
+      if (id === activeDiagramId) {
+        setActiveDiagramId(null);
+        await openDiagram(remaining[0].id);
+      }
+    } catch (err) {
+      reportWorkspaceError('delete the diagram', err);
+    }
+  };
+
+  // A whole drag becomes a single undo step: snapshot on its first move only
+  const isDragging = useRef(false);
+  const onNodesChange = useCallback((changes) => {
+    const moving = changes.some(c => c.type === 'position' && c.dragging);
+    if ((moving && !isDragging.current) || changes.some(c => c.type === 'remove')) takeSnapshot();
+    if (changes.some(c => c.type === 'position')) isDragging.current = moving;
+    setNodes((nds) => applyNodeChanges(changes, nds));
+  }, [takeSnapshot]);
+  const onEdgesChange = useCallback((changes) => {
+    if (changes.some(c => c.type === 'remove')) takeSnapshot();
+    setEdges((eds) => applyEdgeChanges(changes, eds));
+  }, [takeSnapshot]);
+
+  // Dropping a table on a group puts it in; dropping it outside takes it out
+  const onNodeDragStop = useCallback((_, __, dragged) => {
+    setNodes(nds => dragged.filter(isTable).reduce((acc, { id }) => {
+      const node = acc.find(n => n.id === id);
+      const group = node && findGroupAt(acc, node);
+      if (!node || group?.id === node.parentNode) return acc;
+      return setNodeGroup(acc, id, group?.id || null);
+    }, nds));
+  }, []);
+
+  const setAllDetail = (detail) => {
+    takeSnapshot();
+    setNodes(nds => nds.map(n => isTable(n) ? { ...n, data: { ...n.data, detail } } : n));
+  };
+
+  const groupSelection = () => {
+    const selected = nodes.filter(n => n.selected && isTable(n)).map(n => n.id);
+    const id = `group_${Date.now()}`;
+    takeSnapshot();
+    setNodes(nds => createGroup(nds, selected, {
+      id,
+      label: `Subject area ${nds.filter(isGroup).length + 1}`,
+      category: activeLegendItem.id,
+      color: activeLegendItem.hex,
+      position: findFreePosition(nds, { x: 350, y: 150 }, DEFAULT_GROUP_SIZE),
+    }).map(n => n.id === id ? { ...n, data: { ...n.data, ...nodeHandlers } } : n));
+  };
+
+  const selectedNodes = nodes.filter(n => n.selected);
+  const selectedIds = selectedNodes.map(n => n.id);
+  const selectionCategories = new Set(selectedNodes.map(n => n.data.category));
+  const selectionCategory = selectionCategories.size === 1 ? selectedNodes[0].data.category : null;
+
+  const setSelection = (select) => setNodes(nds => nds.map(n => (n.selected === select(n) ? n : { ...n, selected: select(n) })));
+
+  const moveSelection = (positions) => {
+    if (Object.keys(positions).length === 0) return;
+    takeSnapshot();
+    setNodes(nds => nds.map(n => (positions[n.id] ? { ...n, position: positions[n.id] } : n)));
+  };
+
+  const recategorizeSelection = (category) => {
+    const item = legend.find(l => l.id === category);
+    if (!item) return;
+    takeSnapshot();
+    setNodes(nds => nds.map(n => (n.selected ? { ...n, data: { ...n.data, category, color: item.hex } } : n)));
+  };
+
+  // Goes through React Flow so connected edges and grouped tables go too, as with the Delete key
+  const deleteSelection = () => deleteElements({ nodes: selectedIds.map(id => ({ id })) });
+
+  // Copies travel as diagram JSON, so they paste into other diagrams and browser tabs too
+  const pasteNodes = (copied, at) => {
+    const pasted = pasteDiagram({ nodes, edges, legend }, copied, at);
+    takeSnapshot();
+    setNodes(pasted.nodes.map(n => ({ ...n, data: { ...n.data, ...nodeHandlers } })));
+    setEdges(pasted.edges);
+    setLegend(pasted.legend);
+  };
+
+  const duplicateSelection = () => {
+    const copied = copySelection({ nodes, edges, legend }, selectedIds);
+    if (copied) pasteNodes(deserializeDiagram(copied));
+  };
+
+  const startNewTable = () => {
+    setEditingNodeId(null);
+    setTableName(''); setSchemaText('');
+    tableNameRef.current?.focus();
+  };
+
+  // Handlers read the latest state through the ref, so the listeners are added once
+  const shortcuts = useRef({});
+  shortcuts.current = {
+    keydown: (event) => {
+      const key = event.key;
+      if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+        if (key.toLowerCase() === 'd') {
+          event.preventDefault();
+          duplicateSelection();
+        } else if (key.toLowerCase() === 'a') {
+          event.preventDefault();
+          setSelection(n => !n.hidden);
+        }
+        return;
+      }
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const [only] = selectedNodes;
+      if (key === 'n' || key === 'N') {
+        event.preventDefault();
+        startNewTable();
+      } else if ((key === 'e' || key === 'E' || key === 'Enter') && selectedNodes.length === 1 && isTable(only)) {
+        event.preventDefault();
+        onStartEdit(only.id, only.data);
+        tableNameRef.current?.focus();
+      } else if (key === 'Escape') {
+        setSelection(() => false);
+      } else if (NUDGE_KEYS[key] && selectedNodes.length) {
+        event.preventDefault();
+        if (!event.repeat) takeSnapshot();
+        const step = event.shiftKey ? 10 : 1;
+        setNodes(nds => nudgeNodes(nds, selectedIds, NUDGE_KEYS[key][0] * step, NUDGE_KEYS[key][1] * step));
+      }
+    },
+    copy: (event) => {
+      if (window.getSelection()?.toString()) return;
+      const copied = copySelection({ nodes, edges, legend }, selectedIds);
+      if (!copied) return;
+      event.preventDefault();
+      event.clipboardData.setData('text/plain', JSON.stringify(copied, null, 2));
+    },
+    paste: (event) => {
+      const { diagram } = parseDiagramFile(event.clipboardData.getData('text/plain'));
+      if (!diagram?.nodes.length) return;
+      event.preventDefault();
+      pasteNodes(diagram, pastePointer.current);
+    },
+  };
+
+  useEffect(() => {
+    const listeners = ['keydown', 'copy', 'paste'].map((type) => {
+      const listener = (event) => {
+        if (!isTextField(document.activeElement)) shortcuts.current[type](event);
+      };
+      document.addEventListener(type, listener);
+      return [type, listener];
+    });
+    return () => listeners.forEach(([type, listener]) => document.removeEventListener(type, listener));
+  }, []);
 
   const addTable = () => {
     if (!tableName) return;
     
-    const columns = schemaText.split(',')
-      .map(item => item.trim())
-      .filter(i => i !== "")
-      .map(item => ({ 
-        name: item.replace(/\((pk|fk|ck)\)/gi, '').trim(), 
-        isPK: /\(pk\)/i.test(item),
-        isFK: /\(fk\)/i.test(item),
-        isCK: /\(ck\)/i.test(item)
-      }));
+    const columns = parseSchemaText(schemaText);
     
+    takeSnapshot();
     const newNodeData = { 
       label: tableName, 
       columns, 
-      color: selectedColor, 
-      onDelete: onDeleteNode, 
-      onEdit: onStartEdit 
+      category: activeLegendItem.id,
+      color: activeLegendItem.hex, 
+      ...nodeHandlers
     };
 
     if (editingNodeId) {
-      setNodes(nds => nds.map(n => n.id === editingNodeId ? { ...n, data: newNodeData } : n));
+      const renames = getColumnRenames(getNode(editingNodeId)?.data?.columns, columns);
+      const columnNames = columns.map(c => c.name);
+      setNodes(nds => nds.map(n => n.id === editingNodeId ? { ...n, data: { ...n.data, ...newNodeData } } : n));
+      setEdges(eds => remapEdgeColumns(eds, editingNodeId, renames, columnNames));
       setEditingNodeId(null);
     } else {
       const newNode = { 
         id: `node_${Date.now()}`, 
         type: 'tableNode', 
-        position: { x: 350, y: 150 }, 
+ 
+        position: findFreePosition(nodes, { x: 350, y: 150 }, { width: 220, height: 40 + columns.length * 33 }), 
         data: newNodeData 
       };
       setNodes(nds => nds.concat(newNode));
@@ -154,173 +754,496 @@ function FlowApp() {
   };
 
   const onConnect = useCallback((params) => {
-    let markerEnd = undefined;
-    let markerStart = undefined;
-
-    if (relType === '1:1') {
-      markerEnd = { 
-        type: MarkerType.ArrowClosed, 
-        color: '#3b82f6', 
-        width: 15, 
-        height: 15 
-      };
-    } 
-    else if (relType === '1:N') {
-      markerEnd = 'many-side'; 
-    } 
-    else if (relType === 'N:M') {
-      markerStart = 'many-side'; 
-      markerEnd = 'many-side';
+    let connection = params;
+    let sourceColumn = parseColumnHandle(params.sourceHandle);
+    let targetColumn = parseColumnHandle(params.targetHandle);
+
+    // Lineage follows the drag: from where the data comes from to where it goes
+    if (connectMode === 'lineage') {
+      takeSnapshot();
+      setEdges((eds) => addEdge(createLineageEdge(params, {
+        ...(sourceColumn && { sourceColumns: [sourceColumn] }),
+        ...(targetColumn && { targetColumns: [targetColumn] }),
+      }), eds));
+      return;
     }
 
-    const edge = {
-      ...params,
-      id: `e-${Date.now()}`,
-      type: 'smoothstep',
-      style: { strokeWidth: 1.5, stroke: '#3b82f6' },
-      markerStart,
-      markerEnd,
-    };
+    // Keep the referenced (key) column on the source side, whichever way it was dragged
+    const isKey = (nodeId, name) =>
+      getNode(nodeId)?.data?.columns?.some(c => c.name === name && (c.isPK || c.isCK));
+    if (sourceColumn && targetColumn && isKey(params.target, targetColumn) && !isKey(params.source, sourceColumn)) {
+      [sourceColumn, targetColumn] = [targetColumn, sourceColumn];
+      connection = {
+        source: params.target,
+        target: params.source,
+        sourceHandle: columnHandleId(sourceColumn, 'source'),
+        targetHandle: columnHandleId(targetColumn, 'target'),
+      };
+    }
 
+    takeSnapshot();
+    const edge = createRelationshipEdge(connection, relType, {
+      ...(sourceColumn && { sourceColumns: [sourceColumn] }),
+      ...(targetColumn && { targetColumns: [targetColumn] }),
+    });
     setEdges((eds) => addEdge(edge, eds));
-  }, [relType]);
+
+    if (targetColumn && relType !== 'N:M') {
+      setNodes(nds => nds.map(n => n.id !== connection.target ? n : {
+        ...n,
+        data: {
+          ...n.data,
+          columns: n.data.columns.map(c => c.name === targetColumn ? { ...c, isFK: true } : c),
+        },
+      }));
+    }
+  }, [relType, connectMode, getNode, takeSnapshot]);
   
+  const layoutAnimation = useRef(null);
+  const animateNodesTo = useCallback((targets, duration = 500) => {
+    cancelAnimationFrame(layoutAnimation.current);
+    const starts = Object.fromEntries(getNodes().map(n => [n.id, n.position]));
+    const startTime = performance.now();
+    const frame = (now) => {
+      const t = Math.min((now - startTime) / duration, 1);
+      const ease = 1 - Math.pow(1 - t, 3);
+      setNodes(nds => nds.map((n) => {
+        const from = starts[n.id];
+        const to = targets[n.id];
+        if (!from || !to) return n;
+        return { ...n, position: { x: from.x + (to.x - from.x) * ease, y: from.y + (to.y - from.y) * ease } };
+      }));
+      if (t < 1) layoutAnimation.current = requestAnimationFrame(frame);
+      else fitView({ duration: 400 });
+    };
+    layoutAnimation.current = requestAnimationFrame(frame);
+  }, [getNodes, fitView]);
+
+  useEffect(() => () => cancelAnimationFrame(layoutAnimation.current), []);
+
+  const runAutoLayout = () => {
+    if (nodes.length === 0) return;
+    takeSnapshot();
+    animateNodesTo(computeLayout(nodes, edges, { strategy: layoutStrategy, legend }));
+  };
+
+  const problems = useMemo(() => lintSchema(nodes, edges), [nodes, edges]);
+
+  // Worst severity per node / edge, highlighted while the Problems panel is open
+  const problemHighlights = useMemo(() => {
+    const worst = (map, id, severity) => {
+      if (!id || severity === 'info') return;
+      if (!map[id] || SEVERITY_ORDER[severity] < SEVERITY_ORDER[map[id]]) map[id] = severity;
+    };
+    const byNode = {};
+    const byEdge = {};
+    problems.forEach((p) => {
+      worst(byNode, p.nodeId, p.severity);
+      worst(byEdge, p.edgeId, p.severity);
+    });
+    return { byNode, byEdge };
+  }, [problems]);
+
+  // Group frames stay visible whatever the filter keeps
+  const visibleIds = useMemo(() => {
+    const ids = getVisibleNodeIds(nodes, edges, filter);
+    if (ids) nodes.filter(isGroup).forEach(n => ids.add(n.id));
+    return ids;
+  }, [nodes, edges, filter]);
+
+  const grouped = useMemo(() => collapseGroups(nodes, edges), [nodes, edges]);
+
+  // Tables of categories hidden from the legend, and so their relationships
+  const hiddenTableIds = useMemo(
+    () => new Set(nodes.filter(n => isTable(n) && hiddenCategories.includes(n.data.category)).map(n => n.id)),
+    [nodes, hiddenCategories]
+  );
+
+  // Zoomed out, tables show only their header; exports keep each table's own level
+  const zoomedOut = useStore(zoomedOutSelector);
+  const headersOnly = autoDetail && zoomedOut && !exporting;
+  const commonDetail = useMemo(() => getCommonDetail(nodes.filter(isTable)), [nodes]);
+
+  // Recomputed on every edit so the comparison follows the canvas
+  const diff = useMemo(
+    () => (comparison ? diffDiagrams(comparison.base, { nodes, edges }) : null),
+    [comparison, nodes, edges]
+  );
+
+  const diffHighlights = useMemo(() => {
+    if (!diff) return null;
+    const byNode = {};
+    diff.tables.filter(t => t.id && t.status !== 'unchanged').forEach((table) => {
+      byNode[table.id] = {
+        status: table.status,
+        columns: Object.fromEntries(table.columns.filter(c => c.status !== 'removed').map(c => [c.name, c])),
+        removedColumns: table.columns.filter(c => c.status === 'removed').map(c => c.previous),
+      };
+    });
+    const byEdge = Object.fromEntries(diff.relationships.filter(r => r.id).map(r => [r.id, r.status]));
+    const ghostNodes = diff.tables.filter(t => t.status === 'removed').map(({ baseNode: { parentNode, ...baseNode }, baseId }) => ({
+      ...baseNode,
+      id: `${GHOST_PREFIX}${baseId}`,
+      position: getAbsolutePosition({ ...baseNode, parentNode }, comparison.base.nodes),
+      selected: false,
+      draggable: false,
+      selectable: false,
+      connectable: false,
+      deletable: false,
+      data: { ...baseNode.data, readOnly: true },
+      style: { opacity: 0.55, outline: `3px dashed ${DIFF_COLORS.removed}`, outlineOffset: 3, borderRadius: 4 },
+    }));
+    const nodeIds = new Set(nodes.map(n => n.id));
+    const shownId = (id) => (nodeIds.has(id) ? id : `${GHOST_PREFIX}${id}`);
+    const ghostEdges = diff.relationships.filter(r => r.status === 'removed').map(r => ({
+      ...r.baseEdge,
+      id: `${GHOST_PREFIX}${r.baseId}`,
+      source: shownId(r.baseEdge.source),
+      target: shownId(r.baseEdge.target),
+      sourceHandle: 'right-source',
+      targetHandle: 'left-target',
+      selected: false,
+      selectable: false,
+      deletable: false,
+      style: { ...r.baseEdge.style, stroke: DIFF_COLORS.removed, strokeWidth: 2, strokeDasharray: '6 4' },
+    }));
+    return { byNode, byEdge, ghostNodes, ghostEdges };
+  }, [diff, nodes, comparison]);
+
+  const peerSelections = useMemo(() => {
+    const byNode = {};
+    peers.forEach(peer => (peer.selection || []).forEach((id) => { byNode[id] = peer.color; }));
+    return byNode;
+  }, [peers]);
+
+  // The traced table or column with everything it comes from or feeds
+  const lineagePath = useMemo(() => (
+    lineageTrace && nodes.some(n => n.id === lineageTrace.nodeId) ? traceLineage(edges, lineageTrace, lineageTrace.direction) : null
+  ), [lineageTrace, nodes, edges]);
+
+  // Collapsed groups, problem highlights, the search filter, the comparison, lineage traces and peers' selections only change what is rendered, never the saved model
+  const displayNodes = useMemo(() => {
+    if (!problemsOpen && !visibleIds && !diffHighlights && !peers.length && !headersOnly && !hiddenTableIds.size && !lineagePath) return grouped.nodes;
+    const shown = grouped.nodes.map((n) => {
+      let next = n;
+      if (hiddenTableIds.has(n.id)) return { ...next, hidden: true };
+      if (headersOnly && isTable(n)) {
+        next = { ...next, data: { ...next.data, headersOnly: true } };
+      }
+      if (peerSelections[n.id]) {
+        next = { ...next, style: { ...next.style, boxShadow: `0 0 0 4px ${peerSelections[n.id]}`, borderRadius: 4 } };
+      }
+      const tableDiff = diffHighlights?.byNode[n.id];
+      if (tableDiff) {
+        const outline = `3px solid ${DIFF_COLORS[tableDiff.status]}`;
+        next = { ...next, data: { ...next.data, diff: tableDiff }, style: { ...next.style, outline, outlineOffset: 3, borderRadius: 4 } };
+      }
+      const severity = problemsOpen && problemHighlights.byNode[n.id];
+      if (severity) {
+        const outline = `3px solid ${severity === 'error' ? '#ef4444' : '#f59e0b'}`;
+        next = { ...next, style: { ...next.style, outline, outlineOffset: 3, borderRadius: 4 } };
+      }
+      if (lineagePath && isTable(n)) {
+        next = lineagePath.nodeIds.has(n.id)
+          ? {
+            ...next,
+            data: { ...next.data, lineage: { columns: lineagePath.columns[n.id] || [] } },
+            style: { ...next.style, outline: `3px solid ${LINEAGE_COLOR}`, outlineOffset: 3, borderRadius: 4 },
+          }
+          : { ...next, style: { ...next.style, opacity: 0.25 } };
+      }
+      if (visibleIds && !visibleIds.has(n.id)) {
+        next = filter.display === 'hide'
+          ? { ...next, hidden: true }
+          : { ...next, style: { ...next.style, opacity: 0.15 } };
+      }
+      return next;
+    });
+    return diffHighlights ? shown.concat(diffHighlights.ghostNodes) : shown;
+  }, [grouped, problemsOpen, problemHighlights, visibleIds, filter.display, diffHighlights, peers.length, peerSelections, headersOnly, hiddenTableIds, lineagePath]);
+
+  const displayEdges = useMemo(() => {
+    if (!problemsOpen && !visibleIds && !diffHighlights && !hiddenTableIds.size && !lineagePath) return grouped.edges;
+    const shown = grouped.edges.map((e) => {
+      let next = e;
+      if (hiddenTableIds.has(e.source) || hiddenTableIds.has(e.target)) return { ...next, hidden: true };
+      const status = diffHighlights?.byEdge[e.id];
+      if (status && status !== 'unchanged') {
+        next = { ...next, style: { ...next.style, stroke: DIFF_COLORS[status], strokeWidth: 2.5 } };
+      }
+      const severity = problemsOpen && problemHighlights.byEdge[e.id];
+      if (severity) {
+        const stroke = severity === 'error' ? '#ef4444' : '#f59e0b';
+        next = { ...next, style: { ...next.style, stroke, strokeWidth: 2.5 } };
+      }
+      if (lineagePath) {
+        next = lineagePath.edgeIds.has(e.id)
+          ? { ...next, zIndex: 1, style: { ...next.style, strokeWidth: 3 } }
+          : { ...next, style: { ...next.style, opacity: 0.15 } };
+      }
+      if (visibleIds && !(visibleIds.has(e.source) && visibleIds.has(e.target))) {
+        next = filter.display === 'hide'
+          ? { ...next, hidden: true }
+          : { ...next, style: { ...next.style, opacity: 0.1 } };
+      }
+      return next;
+    });
+    return diffHighlights ? shown.concat(diffHighlights.ghostEdges) : shown;
+  }, [grouped, problemsOpen, problemHighlights, visibleIds, filter.display, diffHighlights, hiddenTableIds, lineagePath]);
+
+  const focusNodes = (ids) => {
+    const focus = ids.filter(id => id && getNode(id));
+    if (focus.length === 0) return;
+    setNodes(nds => nds.map(n => ({ ...n, selected: focus.includes(n.id) })));
+    fitView({ nodes: focus.map(id => ({ id })), duration: 500, padding: 0.4, maxZoom: 1.25 });
+  };
+
+  const focusProblem = (problem) => {
+    const edge = edges.find(e => e.id === problem.edgeId);
+    focusNodes(edge ? [edge.source, edge.target] : [problem.nodeId]);
+  };
+
+  const focusChange = (change) => {
+    const id = change.nodeId || change.baseNodeId;
+    focusNodes([getNode(id) ? id : `${GHOST_PREFIX}${id}`]);
+  };
+
+  // Typing a relationship name or lineage note is one undo step; every other edit is its own step
+  const edgeNameSnapshotFor = useRef(null);
+  // Reversing a relationship or changing its type moves or drops the foreign key behind it
+  const replaceRelationship = (id, change, movesForeignKey) => {
+    const previous = edges.find(e => e.id === id);
+    if (!previous) return;
+    const next = change(previous);
+    const nextEdges = edges.map(e => (e.id === id ? next : e));
+    setEdges(nextEdges);
+    if (movesForeignKey && !isLineageEdge(previous)) {
+      setNodes(nds => syncForeignKeyFlags(nds, nextEdges, previous, next));
+    }
+  };
+
+  const updateRelationship = (id, changes) => {
+    const keys = Object.keys(changes);
+    const typingName = keys.length === 1 && (keys[0] === 'name' || keys[0] === 'transformation');
+    if (!typingName || edgeNameSnapshotFor.current !== id) takeSnapshot();
+    edgeNameSnapshotFor.current = typingName ? id : null;
+    replaceRelationship(id, e => (isLineageEdge(e) ? updateLineageEdge(e, changes) : updateRelationshipEdge(e, changes)), 'relType' in changes);
+  };
+
+  const reverseRelationship = (id) => {
+    takeSnapshot();
+    edgeNameSnapshotFor.current = null;
+    replaceRelationship(id, e => (isLineageEdge(e) ? reverseLineageEdge(e) : reverseRelationshipEdge(e)), true);
+  };
+
+  // From an edge, a trace starts at its own column when it names exactly one
+  const traceFromEdge = (edge, direction) => {
+    const side = direction === 'upstream' ? 'target' : 'source';
+    const columns = edge.data?.[`${side}Columns`] || [];
+    setLineageTrace({ nodeId: edge[side], column: columns.length === 1 ? columns[0] : null, direction });
+  };
+
+  const deleteRelationship = (id) => {
+    takeSnapshot();
+    setEdges(eds => eds.filter(e => e.id !== id));
+    setSelectedEdgeId(null);
+  };
+
+  const selectedEdge = edges.find(e => e.id === selectedEdgeId);
+
   const getEdgeLabelForDropdown = (edge) => {
     const source = nodes.find(n => n.id === edge.source);
     const target = nodes.find(n => n.id === edge.target);
-    return `${source?.data?.label || 'Source'} → ${target?.data?.label || 'Target'}`;
+    const sourceColumn = edge.data?.sourceColumns?.length ? `.${edge.data.sourceColumns.join(', ')}` : '';
+    const targetColumn = edge.data?.targetColumns?.length ? `.${edge.data.targetColumns.join(', ')}` : '';
+    const kind = isLineageEdge(edge) ? ' (lineage)' : '';
+    return `${source?.data?.label || 'Source'}${sourceColumn} → ${target?.data?.label || 'Target'}${targetColumn}${kind}`;
+  };
+  // Reads any supported file into { nodes, edges, legend }, or explains why it cannot
+  const readDiagramFile = (raw, fileName) => {
+    const format = detectModelFormat(raw, fileName);
+    if (!format) {
+      alert('Unrecognized file. Import a diagram JSON, DBML, Mermaid erDiagram or Prisma schema.');
+      return null;
+    }
+    if (format !== 'json') {
+      const { nodes: importedNodes, edges: importedEdges } = modelToDiagram(raw, format, { color: activeLegendItem.hex });
+      if (importedNodes.length === 0) {
+        alert('No tables found in the selected file.');
+        return null;
+      }
+      return {
+        nodes: importedNodes.map(n => ({ ...n, data: { ...n.data, category: activeLegendItem.id } })),
+        edges: importedEdges,
+        legend: [],
+      };
+    }
+    const { diagram, errors } = parseDiagramFile(raw);
+    if (errors) {
+      const shown = errors.slice(0, 10).join('\n');
+      const more = errors.length > 10 ? `\n…and ${errors.length - 10} more` : '';
+      alert(`This diagram file cannot be imported:\n\n${shown}${more}`);
+      return null;
+    }
+    return diagram;
   };
-  const importDiagram = (e) => {
+
+  const compareWithFile = async (e) => {
     const file = e?.target?.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      try {
-        const raw = event.target?.result;
-        if (typeof raw !== 'string') return;
-        const data = JSON.parse(raw);
-        const importedNodes = Array.isArray(data.nodes) ? data.nodes : [];
-        const importedEdges = Array.isArray(data.edges) ? data.edges : [];
-        if (importedNodes.length === 0 && importedEdges.length === 0) {
-          alert('JSON file has no nodes or edges. Use a file exported from this app.');
-          return;
-        }
-        const normalizedNodes = importedNodes.map((n) => ({
-          ...n,
-          type: n.type || 'tableNode',
-          position: n.position || { x: 0, y: 0 },
-          data: {
-            ...(n.data || {}),
-            label: n.data?.label ?? 'Table',
-            columns: Array.isArray(n.data?.columns) ? n.data.columns : [],
-            color: n.data?.color ?? '#fbbf24',
-            onDelete: onDeleteNode,
-            onEdit: onStartEdit,
-          },
-        }));
-        setNodes(normalizedNodes);
-        setEdges(importedEdges);
-        if (Array.isArray(data.legend) && data.legend.length > 0) {
-          setLegend(data.legend);
-          localStorage.setItem('legend', JSON.stringify(data.legend));
-        }
-        if (fileInputRef.current) fileInputRef.current.value = '';
-      } catch (err) {
-        console.error('Import error:', err);
-        alert('Invalid JSON file. Please use a file exported from this app.');
+    try {
+      const diagram = readDiagramFile(await file.text(), file.name);
+      if (diagram) setComparison({ name: file.name, base: diagram });
+    } catch (err) {
+      console.error('Compare error:', err);
+      alert('Could not read the file.');
+    } finally {
+      if (compareInputRef.current) compareInputRef.current.value = '';
+    }
+  };
+
+  const downloadMigrationSql = () => {
+    const sql = generateMigrationSql(diff, { nodes, edges }, { dialect: sqlDialect });
+    downloadText(sql, 'application/sql', `migration_${sqlDialect}_${Date.now()}.sql`);
+  };
+
+  const applyMerge = (incoming, resolutions) => {
+    const merged = mergeDiagrams({ nodes, edges, legend }, incoming, resolutions);
+    takeSnapshot();
+    setNodes(merged.nodes.map(n => ({ ...n, data: { ...n.data, ...nodeHandlers } })));
+    setEdges(merged.edges);
+    setLegend(merged.legend);
+    setPendingMerge(null);
+    setTimeout(() => fitView({ duration: 400 }), 50);
+  };
+
+  // The same file input serves "Import" (replace) and "Import and merge"
+  const importMode = useRef('replace');
+  const openImport = (mode) => {
+    importMode.current = mode;
+    fileInputRef.current?.click();
+  };
+
+  const importDiagram = async (e) => {
+    const file = e?.target?.files?.[0];
+    if (!file) return;
+    try {
+      const diagram = readDiagramFile(await file.text(), file.name);
+      if (!diagram) return;
+
+      if (importMode.current === 'merge') {
+        const conflicts = findMergeConflicts(nodes, diagram.nodes);
+        if (conflicts.length === 0) applyMerge(diagram, {});
+        else setPendingMerge({ diagram, conflicts, resolutions: Object.fromEntries(conflicts.map(c => [c.incomingId, 'merge'])) });
+        return;
       }
-    };
-    reader.readAsText(file);
+
+      takeSnapshot();
+      setNodes(diagram.nodes.map(n => ({ ...n, data: { ...n.data, ...nodeHandlers } })));
+      setEdges(diagram.edges);
+      if (diagram.legend.length > 0) {
+        setLegend(diagram.legend);
+      }
+      setTimeout(() => fitView({ duration: 400 }), 50);
+    } catch (err) {
+      console.error('Import error:', err);
+      alert('Could not import the file.');
+    } finally {
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
   };
 
+  const importSql = async (e) => {
+    const files = Array.from(e?.target?.files || []);
+    if (files.length === 0) return;
+    try {
+      const texts = await Promise.all(
+        files
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(file => file.text())
+      );
+      const right = nodes.length > 0 ? getNodesBounds(getNodes()) : null;
+      const { nodes: sqlNodes, edges: sqlEdges } = sqlToDiagram(texts.join(';\n'), {
+        color: activeLegendItem.hex,
+        existingNodes: nodes.filter(isTable),
+        origin: right ? { x: right.x + right.width + 200, y: right.y } : { x: 0, y: 0 },
+      });
+      if (sqlNodes.length === 0) {
+        alert('No CREATE TABLE statements found in the selected file.');
+        return;
+      }
+      takeSnapshot();
+      setNodes(nds => nds.concat(sqlNodes.map(n => ({
+        ...n,
+        data: { ...n.data, category: activeLegendItem.id, ...nodeHandlers },
+      }))));
+      setEdges(eds => eds.concat(sqlEdges));
+      setTimeout(() => fitView({ duration: 400 }), 50);
+    } catch (err) {
+      console.error('SQL import error:', err);
+      alert('Could not read the SQL file.');
+    } finally {
+      if (sqlInputRef.current) sqlInputRef.current.value = '';
+    }
+  };
+
+const downloadText = (text, type, fileName) => {
+  const blob = new Blob([text], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+};
+
 const exportDiagram = async (format) => {
   // Handle JSON export first
   if (format === 'json') {
-    const data = JSON.stringify({ nodes, edges, legend }, null, 2);
-    const blob = new Blob([data], { type: "application/json" });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = `database_model_${Date.now()}.json`;
-    link.click();
+    downloadText(JSON.stringify(serializeDiagram({ nodes, edges, legend }), null, 2), "application/json", `database_model_${Date.now()}.json`);
     return;
   }
 
-  const element = document.querySelector('.react-flow');
-  if (!element || nodes.length === 0) return;
+  if (format === 'sql') {
+    if (nodes.length === 0) return;
+    const sql = generateSql(nodes, edges, { dialect: sqlDialect, junctionTables });
+    downloadText(sql, "application/sql", `database_model_${sqlDialect}_${Date.now()}.sql`);
+    return;
+  }
+
+  const modelFormat = MODEL_FORMATS.find(f => f.id === format);
+  if (modelFormat) {
+    if (nodes.length === 0) return;
+    downloadText(generateModel(nodes, edges, format), "text/plain", `database_model_${Date.now()}.${modelFormat.extension}`);
+    return;
+  }
+
+  if (nodes.length === 0) return;
 
   try {
-    const bounds = getNodesBounds(nodes);
-    
-    // Generous padding so the full diagram (nodes + edges/labels) is never cropped
-    const legendBuffer = 300; 
-    const margin = 120;       
-    const contentPadding = 80;  // extra around node bounds for edges and labels
-    
-    const diagramWidth = bounds.width + (contentPadding * 2);
-    const diagramHeight = bounds.height + (contentPadding * 2);
-    const exportWidth = Math.ceil(diagramWidth + legendBuffer + (margin * 2));
-    const exportHeight = Math.ceil(diagramHeight + (margin * 2));
-
-    const options = {
-      backgroundColor: '#f1f5f9',
-      width: exportWidth,
-      height: exportHeight,
-      style: {
-        width: `${exportWidth}px`,
-        height: `${exportHeight}px`,
-        overflow: 'visible',
-        minWidth: `${exportWidth}px`,
-        minHeight: `${exportHeight}px`,
-      },
-      onClone: (clonedDoc) => {
-        clonedDoc.style.overflow = 'visible';
-        const viewport = clonedDoc.querySelector('.react-flow__viewport');
-        const panel = clonedDoc.querySelector('.react-flow__panel');
-        const reactFlowRenderer = clonedDoc.querySelector('.react-flow__renderer');
-
-        if (reactFlowRenderer) {
-          reactFlowRenderer.style.overflow = 'visible';
-        }
+    const { pixelRatio, transparent, titleBlock } = imageExport;
+    const title = diagrams.find(d => d.id === activeDiagramId)?.name || 'Data Model Diagram';
 
-        // Position the Legend
-        if (panel) {
-          panel.style.position = 'absolute';
-          panel.style.left = '40px';
-          panel.style.top = '40px';
-          panel.style.margin = '0';
-          panel.style.display = 'block';
-          panel.style.visibility = 'visible';
-          panel.style.zIndex = '1000';
-          
-          if (panel.firstChild) {
-            panel.firstChild.style.boxShadow = 'none';
-            panel.firstChild.style.border = '1px solid #e2e8f0';
-          }
-        }
+    const dictionaryFormat = DICTIONARY_FORMATS.find(f => f.id === format);
+    if (dictionaryFormat) {
+      const image = await withChosenDetail(() => renderDiagramImage('png', { pixelRatio, transparent: false, withLegend: true }));
+      const generate = format === 'dictionary-html' ? generateHtmlDictionary : generateMarkdownDictionary;
+      const text = generate({ nodes, edges, legend }, { title: `${title} · Data Dictionary`, image: image.dataUrl });
+      downloadText(text, dictionaryFormat.type, `data_dictionary_${Date.now()}.${dictionaryFormat.extension}`);
+      return;
+    }
 
-        // Position and size viewport so the entire diagram is included (no crop)
-        if (viewport) {
-          viewport.style.overflow = 'visible';
-          viewport.style.minWidth = `${diagramWidth}px`;
-          viewport.style.minHeight = `${diagramHeight}px`;
-          const x = -bounds.x + contentPadding + legendBuffer;
-          const y = -bounds.y + contentPadding + margin;
-          viewport.style.transform = `translate(${x}px, ${y}px) scale(1)`;
-        }
-      },
-      filter: (node) => {
-        const exclude = ['react-flow__controls', 'react-flow__attribution'];
-        return !exclude.some(cls => node.classList?.contains(cls));
-      }
-    };
+    const fileName = `db_model_${Date.now()}.${format === 'jpeg' ? 'jpg' : format}`;
 
-    const fileName = `db_model_${Date.now()}.${format}`;
-    
-    // Support only PNG and SVG
-    const dataUrl = format === 'svg' ? await toSvg(element, options) : await toPng(element, options);
+    if (format === 'pdf') {
+      // The title block carries the legend, so the image leaves it out
+      const image = await withChosenDetail(() => renderDiagramImage('png', { pixelRatio, transparent, withLegend: !titleBlock }));
+      const usedLegend = legend.filter(l => categoryCounts[l.id]);
+      buildDiagramPdf(image, { ...imageExport, title, legend: usedLegend }).save(fileName);
+      return;
+    }
 
+    const image = await withChosenDetail(() => renderDiagramImage(format, { pixelRatio, transparent, withLegend: true }));
     const link = document.createElement('a');
-    link.href = dataUrl;
+    link.href = image.dataUrl;
     link.download = fileName;
     link.click();
 
@@ -329,6 +1252,84 @@ const exportDiagram = async (format) => {
     alert("Export failed. Please try again.");
   }
 };
+
+// Draws every table at its own level for the capture, even while zoomed out
+const withChosenDetail = async (render) => {
+  if (!headersOnly) return render();
+  flushSync(() => setExporting(true));
+  // React Flow measures the taller tables on the next frames
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  try {
+    return await render();
+  } finally {
+    setExporting(false);
+  }
+};
+
+// Renders the whole diagram, not just the visible viewport, with the legend beside it
+const renderDiagramImage = async (format, { pixelRatio = 1, transparent = false, withLegend = true }) => {
+  const element = document.querySelector('.react-flow');
+  // Measured nodes carry their canvas position, including tables inside groups
+  const bounds = getNodesBounds(getNodes().filter(n => !n.hidden));
+
+  // Generous padding so the full diagram (nodes + edges/labels) is never cropped
+  const legendBuffer = withLegend ? 300 : 0;
+  const margin = 120;
+  const contentPadding = 80;  // extra around node bounds for edges and labels
+
+  const diagramWidth = bounds.width + (contentPadding * 2);
+  const diagramHeight = bounds.height + (contentPadding * 2);
+  const exportWidth = Math.ceil(diagramWidth + legendBuffer + (margin * 2));
+  const exportHeight = Math.ceil(diagramHeight + (margin * 2));
+
+  const viewport = element.querySelector('.react-flow__viewport');
+  const panel = element.querySelector('.diagram-legend');
+  const renderer = element.querySelector('.react-flow__renderer');
+  const styled = [viewport, panel, renderer].filter(Boolean);
+  const previous = styled.map(el => el.style.cssText);
+
+  // html-to-image copies computed styles, so the layout is applied to the live
+  // elements for the duration of the capture and restored afterwards
+  if (renderer) renderer.style.overflow = 'visible';
+  if (panel) {
+    Object.assign(panel.style, {
+      position: 'absolute', left: '40px', top: '40px', margin: '0', zIndex: '1000',
+    });
+  }
+  if (viewport) {
+    const x = -bounds.x + contentPadding + legendBuffer;
+    const y = -bounds.y + contentPadding + margin;
+    viewport.style.transform = `translate(${x}px, ${y}px) scale(1)`;
+  }
+
+  const transparentBackground = transparent && format !== 'jpeg';
+  const exclude = ['react-flow__controls', 'react-flow__attribution', 'export-exclude'];
+  if (transparentBackground) exclude.push('react-flow__background');
+  if (!withLegend) exclude.push('diagram-legend');
+
+  const options = {
+    backgroundColor: transparentBackground ? undefined : '#f1f5f9',
+    width: exportWidth,
+    height: exportHeight,
+    pixelRatio,
+    style: {
+      width: `${exportWidth}px`,
+      height: `${exportHeight}px`,
+      overflow: 'visible',
+      minWidth: `${exportWidth}px`,
+      minHeight: `${exportHeight}px`,
+    },
+    filter: (node) => !exclude.some(cls => node.classList?.contains(cls)),
+  };
+
+  try {
+    const render = { svg: toSvg, jpeg: toJpeg }[format] || toPng;
+    const dataUrl = await render(element, format === 'jpeg' ? { ...options, quality: 0.95 } : options);
+    return { dataUrl, width: exportWidth, height: exportHeight };
+  } finally {
+    styled.forEach((el, i) => { el.style.cssText = previous[i]; });
+  }
+};
    
 
   return (
@@ -339,11 +1340,49 @@ const exportDiagram = async (format) => {
             <Database size={20} />
             <span className="text-xl font-bold text-white tracking-tight">Data Model Diagram</span>
           </div>
-          <button onClick={() => {localStorage.clear(); window.location.reload()}} className="text-slate-500 hover:text-red-400">
-            <RefreshCcw size={16} />
-          </button>
+          <div className="flex items-center gap-3">
+            <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="text-slate-500 hover:text-white disabled:opacity-30 disabled:hover:text-slate-500">
+              <Undo2 size={16} />
+            </button>
+            <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="text-slate-500 hover:text-white disabled:opacity-30 disabled:hover:text-slate-500">
+              <Redo2 size={16} />
+            </button>
+            <button onClick={clearAll} title="Clear all" className="text-slate-500 hover:text-red-400">
+              <RefreshCcw size={16} />
+            </button>
+          </div>
         </div>
 
+        <WorkspacePanel
+          diagrams={diagrams}
+          activeId={activeDiagramId}
+          onOpen={openDiagram}
+          onCreate={createNewDiagram}
+          onRename={renameDiagram}
+          onDuplicate={duplicateDiagram}
+          onDelete={removeDiagram}
+        />
+
+        <SnapshotPanel
+          snapshots={snapshots}
+          onSave={saveSnapshot}
+          onPreview={previewSnapshot}
+          onCompare={compareWithSnapshot}
+          onRestore={restoreSnapshot}
+          onExport={exportSnapshot}
+          onDelete={removeSnapshot}
+        />
+
+        <CollaborationPanel
+          status={collabStatus}
+          peers={peers}
+          user={collabUser}
+          defaultRoom={diagrams.find(d => d.id === activeDiagramId)?.name || 'diagram'}
+          error={collabError}
+          onConnect={startCollaboration}
+          onDisconnect={() => collabSession?.disconnect()}
+        />
+
         <div className="space-y-8">
           <section>
             <div className="flex justify-between items-center mb-3">
@@ -363,6 +1402,7 @@ const exportDiagram = async (format) => {
             </div>
 
             <input 
+              ref={tableNameRef}
               className="w-full bg-slate-800 border border-slate-700 p-2.5 rounded text-sm mb-4 outline-none focus:border-blue-500 text-white" 
               value={tableName} 
               onChange={e => setTableName(e.target.value)} 
@@ -373,10 +1413,10 @@ const exportDiagram = async (format) => {
               {legend.map(l => (
                 <button 
                   key={l.id} 
-                  onClick={() => setSelectedColor(l.hex)}
+                  onClick={() => setSelectedCategory(l.id)}
                   onDoubleClick={() => setRenamingId(l.id)}
-                  title="Double click to rename"
-                  className={`h-7 rounded transition-all border-2 ${selectedColor === l.hex ? 'border-white scale-110' : 'border-transparent opacity-40 hover:opacity-100'}`}
+                  title={`${l.name} · double click to rename`}
+                  className={`h-7 rounded transition-all border-2 ${activeLegendItem.id === l.id ? 'border-white scale-110' : 'border-transparent opacity-40 hover:opacity-100'}`}
                   style={{ backgroundColor: l.hex }} 
                 />
               ))}
@@ -399,11 +1439,22 @@ const exportDiagram = async (format) => {
               </div>
             )}
 
+            <CategoryManager
+              legend={legend}
+              counts={categoryCounts}
+              onAdd={addLegendEntry}
+              onRename={handleRenameLegend}
+              onRecolor={recolorLegendEntry}
+              onMove={moveLegendEntry}
+              onDelete={removeLegendEntry}
+              onEditEnd={endLegendEdit}
+            />
+
             <textarea 
               className="w-full bg-slate-800 border border-slate-700 p-2.5 rounded h-32 text-xs font-mono mb-4 outline-none text-slate-300" 
               value={schemaText} 
               onChange={e => setSchemaText(e.target.value)} 
-              placeholder="id (pk), user_id (fk), code (ck)" 
+              placeholder={"id int (pk),\nemail varchar(255) not null unique,\nstatus text default 'active' comment 'Lifecycle state',\nuser_id int (fk)"}
             />
             
             <button onClick={addTable} className="w-full py-3 rounded-lg font-bold text-sm bg-blue-600 hover:bg-blue-500 flex items-center justify-center gap-2">
@@ -414,15 +1465,34 @@ const exportDiagram = async (format) => {
 
           <section className="pt-6 border-t border-slate-800">
             <label className="text-[10px] font-black text-slate-500 uppercase block mb-3">2. Relationships</label>
-            <select 
-              className="w-full bg-slate-800 border border-slate-700 p-2.5 rounded text-xs mb-4 text-white"
-              value={relType} 
-              onChange={e => setRelType(e.target.value)}
-            >
-              <option value="1:1">1:1</option>
-              <option value="1:N">1:N</option>
-              <option value="N:M">N:M</option>
-            </select>
+            <div className="grid grid-cols-2 gap-1 mb-2">
+              {[['relationship', 'Relationship'], ['lineage', 'Lineage']].map(([mode, name]) => (
+                <button
+                  key={mode}
+                  onClick={() => setConnectMode(mode)}
+                  className={`py-1.5 rounded text-[10px] font-bold border ${connectMode === mode
+                    ? (mode === 'lineage' ? 'bg-violet-600 border-violet-600 text-white' : 'bg-blue-600 border-blue-600 text-white')
+                    : 'border-slate-700 text-slate-400 hover:border-slate-500'}`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+            {connectMode === 'relationship' ? (
+              <select 
+                className="w-full bg-slate-800 border border-slate-700 p-2.5 rounded text-xs mb-4 text-white"
+                value={relType} 
+                onChange={e => setRelType(e.target.value)}
+              >
+                <option value="1:1">1:1</option>
+                <option value="1:N">1:N</option>
+                <option value="N:M">N:M</option>
+              </select>
+            ) : (
+              <p className="text-[10px] text-slate-400 mb-4">
+                Drag from the table or column the data comes from to the one it feeds. Right-click a table or column to trace its lineage.
+              </p>
+            )}
             
             <div className="flex gap-2">
               <select 
@@ -436,7 +1506,12 @@ const exportDiagram = async (format) => {
                 ))}
               </select>
               <button 
-                onClick={() => {setEdges(eds => eds.filter(e => e.id !== edgeToDelete)); setEdgeToDelete('');}} 
+                onClick={() => {
+                  if (!edgeToDelete) return;
+                  takeSnapshot();
+                  setEdges(eds => eds.filter(e => e.id !== edgeToDelete));
+                  setEdgeToDelete('');
+                }}
                 className="p-2 bg-red-500/10 text-red-500 border border-red-500/20 hover:bg-red-500 hover:text-white rounded"
               >
                 <Trash2 size={14} />
@@ -444,34 +1519,213 @@ const exportDiagram = async (format) => {
             </div>
           </section>
 
+          <section className="pt-6 border-t border-slate-800">
+            <label className="text-[10px] font-black text-slate-500 uppercase block mb-3">3. Layout</label>
+            <div className="flex gap-2">
+              <select
+                className="flex-1 bg-slate-800 border border-slate-700 p-2 rounded text-[10px] text-slate-300"
+                value={layoutStrategy}
+                onChange={e => setLayoutStrategy(e.target.value)}
+              >
+                {LAYOUT_STRATEGIES.map(l => (
+                  <option key={l.id} value={l.id}>{l.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={runAutoLayout}
+                title="Auto layout (pinned tables stay in place)"
+                className="px-3 bg-blue-600/20 text-blue-400 rounded text-[10px] font-bold flex items-center gap-1"
+              >
+                <LayoutGrid size={12} />
+                Auto layout
+              </button>
+            </div>
+            <select
+              className="w-full mt-2 bg-slate-800 border border-slate-700 p-2 rounded text-[10px] text-slate-300"
+              value={commonDetail || ''}
+              onChange={e => setAllDetail(e.target.value)}
+              title="Columns shown in every table"
+            >
+              {!commonDetail && <option value="" disabled>Mixed detail</option>}
+              {DETAIL_LEVELS.map(l => (
+                <option key={l.id} value={l.id}>{l.name}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 mt-2 text-[10px] text-slate-400">
+              <input
+                type="checkbox"
+                checked={autoDetail}
+                onChange={e => setAutoDetail(e.target.checked)}
+              />
+              Show only headers when zoomed out
+            </label>
+            <button
+              onClick={groupSelection}
+              title="Frame the selected tables in a subject area, or add an empty one"
+              className="w-full mt-2 p-2 bg-slate-800 text-slate-300 rounded text-[10px] font-bold flex items-center justify-center gap-1 hover:bg-slate-700"
+            >
+              <Boxes size={12} />
+              Group selected tables
+            </button>
+            <details className="mt-3 text-[10px] text-slate-400">
+              <summary className="cursor-pointer font-bold flex items-center gap-1 hover:text-slate-200">
+                <Keyboard size={12} />
+                Keyboard shortcuts
+              </summary>
+              <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+                {SHORTCUTS.map(([keys, action]) => (
+                  <React.Fragment key={keys}>
+                    <dt className="font-mono text-slate-300 whitespace-nowrap">{keys}</dt>
+                    <dd>{action}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </details>
+          </section>
+
           <section className="pt-6 border-t border-slate-800 pb-10">
-            <label className="text-[10px] font-black text-blue-400 uppercase block mb-4">3. Export / Import</label>
+            <label className="text-[10px] font-black text-blue-400 uppercase block mb-4">4. Export / Import</label>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".json,application/json"
+              accept=".json,application/json,.dbml,.mmd,.mermaid,.prisma,.txt"
               className="hidden"
               onChange={importDiagram}
             />
+            <input
+              ref={sqlInputRef}
+              type="file"
+              accept=".sql,.ddl,text/plain"
+              multiple
+              className="hidden"
+              onChange={importSql}
+            />
+            <input
+              ref={compareInputRef}
+              type="file"
+              accept=".json,application/json,.dbml,.mmd,.mermaid,.prisma,.txt"
+              className="hidden"
+              onChange={compareWithFile}
+            />
             <div className="grid grid-cols-2 gap-2">
               <button onClick={() => exportDiagram('json')} className="bg-blue-600/20 text-blue-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1">
                 <Download size={12} />
                 Export JSON
               </button>
               <button
-                onClick={() => fileInputRef.current?.click()}
+                onClick={() => openImport('replace')}
+                title="Replace the canvas with a diagram JSON, DBML, Mermaid erDiagram or Prisma schema"
                 className="bg-emerald-600/20 text-emerald-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1"
               >
                 <Upload size={12} />
-                Import JSON
+                Import
               </button>
-              <button onClick={() => exportDiagram('svg')} className="bg-slate-800 p-2 rounded text-[10px] font-bold col-span-2">Download SVG</button>
+              <button
+                onClick={() => openImport('merge')}
+                title="Add a diagram JSON, DBML, Mermaid erDiagram or Prisma schema to this diagram"
+                className="bg-emerald-600/20 text-emerald-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1"
+              >
+                <GitMerge size={12} />
+                Import and merge
+              </button>
+              <button
+                onClick={() => sqlInputRef.current?.click()}
+                title="Import CREATE TABLE / ALTER TABLE statements"
+                className="bg-emerald-600/20 text-emerald-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1"
+              >
+                <FileCode size={12} />
+                Import SQL
+              </button>
+              <button
+                onClick={() => compareInputRef.current?.click()}
+                title="Highlight what changed since another version of this diagram"
+                className="col-span-2 bg-amber-600/20 text-amber-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1"
+              >
+                <GitCompare size={12} />
+                Compare with file…
+              </button>
+            </div>
+
+            <ImageExportPanel options={imageExport} onChange={setImageExport} onExport={exportDiagram} />
+
+            <div className="mt-4 pt-4 border-t border-slate-800 space-y-2">
+              <select
+                className="w-full bg-slate-800 border border-slate-700 p-2 rounded text-[10px] text-slate-300"
+                value={sqlDialect}
+                onChange={e => setSqlDialect(e.target.value)}
+              >
+                {SQL_DIALECTS.map(d => (
+                  <option key={d.id} value={d.id}>{d.name}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-[10px] text-slate-400">
+                <input
+                  type="checkbox"
+                  checked={junctionTables}
+                  onChange={e => setJunctionTables(e.target.checked)}
+                />
+                Create junction tables for N:M links
+              </label>
+              <button onClick={() => exportDiagram('sql')} className="w-full bg-blue-600/20 text-blue-400 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1">
+                <FileCode size={12} />
+                Export SQL
+              </button>
+              <div className="grid grid-cols-3 gap-2">
+                {MODEL_FORMATS.map(f => (
+                  <button
+                    key={f.id}
+                    onClick={() => exportDiagram(f.id)}
+                    title={`Export as ${f.name}`}
+                    className="bg-slate-800 p-2 rounded text-[10px] font-bold"
+                  >
+                    {f.name}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="flex-1 text-[10px] font-bold text-slate-400 flex items-center gap-1">
+                  <BookOpen size={12} />
+                  Data dictionary
+                </span>
+                {DICTIONARY_FORMATS.map(f => (
+                  <button
+                    key={f.id}
+                    onClick={() => exportDiagram(f.id)}
+                    title={`Tables, columns and relationships by category as ${f.name}, with the diagram`}
+                    className="bg-slate-800 px-3 py-2 rounded text-[10px] font-bold"
+                  >
+                    {f.name}
+                  </button>
+                ))}
+              </div>
             </div>
           </section>
         </div>
       </aside>
 
       <main className="flex-1 relative bg-[#f1f5f9]">
+        {pendingMerge && (
+          <MergeDialog
+            conflicts={pendingMerge.conflicts}
+            resolutions={pendingMerge.resolutions}
+            incomingCount={pendingMerge.diagram.nodes.length}
+            onChange={(id, resolution) => setPendingMerge(m => ({ ...m, resolutions: { ...m.resolutions, [id]: resolution } }))}
+            onConfirm={() => applyMerge(pendingMerge.diagram, pendingMerge.resolutions)}
+            onCancel={() => setPendingMerge(null)}
+          />
+        )}
+
+        {snapshotPreview && (
+          <SnapshotPreview
+            snapshot={snapshotPreview.snapshot}
+            diagram={snapshotPreview.diagram}
+            onRestore={() => restoreSnapshot(snapshotPreview.id)}
+            onCompare={() => compareWithSnapshot(snapshotPreview.id)}
+            onExport={() => exportSnapshot(snapshotPreview.id)}
+            onClose={() => setSnapshotPreview(null)}
+          />
+        )}
+
         {/* REFRESH POPUP NOTIFICATION */}
         {showExportToast && (
           <div className="fixed top-10 left-1/2 -translate-x-1/2 z-[100] animate-in fade-in slide-in-from-top-4 duration-300">
@@ -493,11 +1747,22 @@ const exportDiagram = async (format) => {
         )}
 
         <ReactFlow 
-          nodes={nodes} 
-          edges={edges} 
+          nodes={displayNodes} 
+          edges={displayEdges} 
           onNodesChange={onNodesChange} 
           onEdgesChange={onEdgesChange} 
           onConnect={onConnect} 
+          onNodeDragStop={onNodeDragStop}
+          onEdgeClick={(_, edge) => setSelectedEdgeId(edge.id)}
+          onPaneClick={() => setSelectedEdgeId(null)}
+          onMouseMove={trackCursor}
+          onMouseLeave={() => {
+            pastePointer.current = null;
+            if (collabStatus === 'connected') publishPresence({ cursor: null });
+          }}
+          multiSelectionKeyCode={MULTI_SELECT_KEYS}
+          deleteKeyCode={DELETE_KEYS}
+          disableKeyboardA11y
           nodeTypes={nodeTypes}
           fitView
         >
@@ -520,12 +1785,53 @@ const exportDiagram = async (format) => {
                   strokeLinejoin="round"
                 />
               </marker>
+              <marker
+                id="one-side"
+                markerWidth="15"
+                markerHeight="15"
+                refX="10"
+                refY="7.5"
+                orient="auto-start-reverse"
+              >
+                <path d="M 6,2 L 6,13" stroke="#3b82f6" strokeWidth="1.5" strokeLinecap="round" />
+              </marker>
+              {/* Optional ends: a circle in front of the crow's foot (zero or many) or bar (zero or one) */}
+              <marker
+                id="many-side-optional"
+                markerWidth="22"
+                markerHeight="15"
+                refX="17"
+                refY="7.5"
+                orient="auto-start-reverse"
+              >
+                <circle cx="4.5" cy="7.5" r="3" fill="white" stroke="#3b82f6" strokeWidth="1.5" />
+                <path
+                  d="M 9,2 L 17,7.5 L 9,13"
+                  fill="none"
+                  stroke="#3b82f6"
+                  strokeWidth="1.5"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                />
+              </marker>
+              <marker
+                id="one-side-optional"
+                markerWidth="22"
+                markerHeight="15"
+                refX="17"
+                refY="7.5"
+                orient="auto-start-reverse"
+              >
+                <circle cx="6" cy="7.5" r="3" fill="white" stroke="#3b82f6" strokeWidth="1.5" />
+                <path d="M 13,2 L 13,13" stroke="#3b82f6" strokeWidth="1.5" strokeLinecap="round" />
+              </marker>
             </defs>
           </svg>
           <Background color="#cbd5e1" variant="dots" gap={20} size={1} />
           <Controls />
+          {peers.length > 0 && <LiveCursors peers={peers} />}
           
-           <Panel position="top-left" className="m-4">
+           <Panel position="top-left" className="m-4 diagram-legend">
   <div className="bg-white p-4 rounded-xl shadow-lg border border-slate-200 w-[180px] max-h-[80vh] overflow-y-auto pointer-events-auto">
 
     <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-2">
@@ -536,17 +1842,18 @@ const exportDiagram = async (format) => {
     <div className="space-y-2.5 mb-4 border-b border-slate-100 pb-3">
       {legend
         .filter(item =>
-          nodes.some(n => n.data.color === item.hex) ||
-          item.hex === selectedColor
+          categoryCounts[item.id] ||
+          item.id === activeLegendItem.id
         )
         .map((item) => {
 
-          const count = nodes.filter(n => n.data.color === item.hex).length;
+          const count = categoryCounts[item.id] || 0;
+          const hidden = hiddenCategories.includes(item.id);
 
           return (
             <div
               key={item.id}
-              className="flex items-center justify-between gap-4"
+              className={`flex items-center justify-between gap-4 ${hidden ? 'opacity-40 export-exclude' : ''}`}
             >
               <div className="flex items-center gap-2.5">
                 <div
@@ -558,11 +1865,22 @@ const exportDiagram = async (format) => {
                 </span>
               </div>
 
-              {count > 0 && (
-                <span className="text-[9px] bg-slate-100 px-1.5 py-0.5 rounded-full font-bold text-slate-500 border border-slate-200">
-                  {count}
-                </span>
-              )}
+              <div className="flex items-center gap-1.5">
+                {count > 0 && (
+                  <span className="text-[9px] bg-slate-100 px-1.5 py-0.5 rounded-full font-bold text-slate-500 border border-slate-200">
+                    {count}
+                  </span>
+                )}
+                {count > 0 && (
+                  <button
+                    onClick={() => toggleCategoryVisibility(item.id)}
+                    title={hidden ? 'Show these tables' : 'Hide these tables'}
+                    className="text-slate-400 hover:text-slate-700 export-exclude"
+                  >
+                    {hidden ? <EyeOff size={12} /> : <Eye size={12} />}
+                  </button>
+                )}
+              </div>
             </div>
           );
         })}
@@ -605,8 +1923,8 @@ const exportDiagram = async (format) => {
 
       <div className="flex items-center gap-2.5">
         <svg width="24" height="12" className="overflow-visible">
-          <line x1="0" y1="6" x2="20" y2="6" stroke="#3b82f6" strokeWidth="1.5" />
-          <path d="M 15,2 L 22,6 L 15,10" fill="#3b82f6" />
+          <line x1="0" y1="6" x2="24" y2="6" stroke="#3b82f6" strokeWidth="1.5" />
+          <path d="M 3,2 L 3,10 M 21,2 L 21,10" stroke="#3b82f6" strokeWidth="1.5" strokeLinecap="round" />
         </svg>
         <span className="text-[10px] font-bold text-slate-600">
           One-to-One (1:1)
@@ -616,6 +1934,7 @@ const exportDiagram = async (format) => {
       <div className="flex items-center gap-2.5">
         <svg width="24" height="12" className="overflow-visible">
           <line x1="0" y1="6" x2="16" y2="6" stroke="#3b82f6" strokeWidth="1.5" />
+          <path d="M 3,2 L 3,10" stroke="#3b82f6" strokeWidth="1.5" strokeLinecap="round" />
           <path
             d="M 16,2 L 23,6 L 16,10"
             fill="none"
@@ -652,10 +1971,147 @@ const exportDiagram = async (format) => {
         </span>
       </div>
 
+      <div className="flex items-center gap-2.5">
+        <svg width="24" height="12" className="overflow-visible">
+          <line x1="0" y1="6" x2="12" y2="6" stroke="#3b82f6" strokeWidth="1.5" />
+          <circle cx="15" cy="6" r="3" fill="white" stroke="#3b82f6" strokeWidth="1.5" />
+          <path d="M 21,2 L 21,10" stroke="#3b82f6" strokeWidth="1.5" strokeLinecap="round" />
+        </svg>
+        <span className="text-[10px] font-bold text-slate-600">
+          Optional (zero or …)
+        </span>
+      </div>
+
+      {edges.some(isLineageEdge) && (
+        <div className="flex items-center gap-2.5">
+          <svg width="24" height="12" className="overflow-visible">
+            <line x1="0" y1="6" x2="17" y2="6" stroke={LINEAGE_COLOR} strokeWidth="1.5" strokeDasharray="4 3" />
+            <path d="M 15,2 L 22,6 L 15,10" fill={LINEAGE_COLOR} />
+          </svg>
+          <span className="text-[10px] font-bold text-slate-600">
+            Lineage (data flow)
+          </span>
+        </div>
+      )}
+
     </div>
   </div>
 </Panel>
+          <Panel position="top-center" className="m-4 export-exclude">
+            <SearchPanel
+              nodes={nodes}
+              legend={legend}
+              filter={filter}
+              onFilterChange={setFilter}
+              onFocusHit={hit => focusNodes([hit.nodeId])}
+            />
+          </Panel>
+          {selectedEdge && isLineageEdge(selectedEdge) && (
+            <Panel position="bottom-right" className="m-4 export-exclude">
+              <LineageEditor
+                edge={selectedEdge}
+                sourceLabel={getNode(selectedEdge.source)?.data?.label || 'Source'}
+                targetLabel={getNode(selectedEdge.target)?.data?.label || 'Target'}
+                onChange={changes => updateRelationship(selectedEdge.id, changes)}
+                onReverse={() => reverseRelationship(selectedEdge.id)}
+                onTrace={direction => traceFromEdge(selectedEdge, direction)}
+                onDelete={() => deleteRelationship(selectedEdge.id)}
+                onClose={() => setSelectedEdgeId(null)}
+              />
+            </Panel>
+          )}
+          {selectedEdge && !isLineageEdge(selectedEdge) && (
+            <Panel position="bottom-right" className="m-4 export-exclude">
+              <RelationshipEditor
+                edge={selectedEdge}
+                sourceLabel={getNode(selectedEdge.source)?.data?.label || 'Source'}
+                targetLabel={getNode(selectedEdge.target)?.data?.label || 'Target'}
+                onChange={changes => updateRelationship(selectedEdge.id, changes)}
+                onReverse={() => reverseRelationship(selectedEdge.id)}
+                onDelete={() => deleteRelationship(selectedEdge.id)}
+                onClose={() => setSelectedEdgeId(null)}
+              />
+            </Panel>
+          )}
+          <Panel position="bottom-center" className="m-4 export-exclude flex flex-col items-center gap-2">
+            {selectedNodes.length > 1 && (
+              <SelectionToolbar
+                count={selectedNodes.length}
+                legend={legend}
+                category={selectionCategory}
+                onCategory={recategorizeSelection}
+                onAlign={alignment => moveSelection(alignNodes(nodes, selectedIds, alignment))}
+                onDistribute={axis => moveSelection(distributeNodes(nodes, selectedIds, axis))}
+                onDuplicate={duplicateSelection}
+                onDelete={deleteSelection}
+                onClear={() => setSelection(() => false)}
+              />
+            )}
+            {lineagePath && (
+              <div className="bg-white rounded-full shadow-lg border border-violet-200 pl-4 pr-2 py-1.5 flex items-center gap-3 text-[11px] font-bold text-slate-600">
+                {lineageTrace.direction === 'upstream'
+                  ? <ArrowUpFromLine size={14} className="text-violet-500" />
+                  : <ArrowDownToLine size={14} className="text-violet-500" />}
+                <span>
+                  {lineageTrace.direction === 'upstream' ? 'Upstream of' : 'Downstream of'}{' '}
+                  {getNode(lineageTrace.nodeId)?.data.label}{lineageTrace.column !== null && `.${lineageTrace.column}`}
+                  <span className="text-slate-400 font-medium">
+                    {' · '}{lineagePath.nodeIds.size - 1} {lineagePath.nodeIds.size === 2 ? 'table' : 'tables'}
+                  </span>
+                </span>
+                <button onClick={() => setLineageTrace(null)} title="Clear trace" className="p-1 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100">
+                  <X size={14} />
+                </button>
+              </div>
+            )}
+          </Panel>
+          <Panel position="top-right" className="m-4 export-exclude space-y-3">
+            {diff && (
+              <DiffPanel
+                name={comparison.name}
+                diff={diff}
+                onFocus={focusChange}
+                onDownloadSql={downloadMigrationSql}
+                onClose={() => setComparison(null)}
+              />
+            )}
+            <ProblemsPanel
+              problems={problems}
+              open={problemsOpen}
+              onToggle={() => setProblemsOpen(o => !o)}
+              showHints={showHints}
+              onToggleHints={() => setShowHints(h => !h)}
+              onFocus={focusProblem}
+            />
+          </Panel>
         </ReactFlow>
+
+        {lineageMenu && (
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setLineageMenu(null)}
+            onContextMenu={(e) => { e.preventDefault(); setLineageMenu(null); }}
+          >
+            <div
+              className="fixed bg-white rounded-lg shadow-xl border border-slate-200 py-1 min-w-[180px] text-[11px]"
+              style={{ left: lineageMenu.x, top: lineageMenu.y }}
+            >
+              <div className="px-3 py-1.5 text-[9px] font-black text-slate-400 uppercase tracking-widest truncate">
+                {getNode(lineageMenu.nodeId)?.data.label}{lineageMenu.column !== null && `.${lineageMenu.column}`}
+              </div>
+              {[['upstream', 'Trace upstream', ArrowUpFromLine], ['downstream', 'Trace downstream', ArrowDownToLine]].map(([direction, name, Icon]) => (
+                <button
+                  key={direction}
+                  onClick={() => setLineageTrace({ nodeId: lineageMenu.nodeId, column: lineageMenu.column, direction })}
+                  className="w-full px-3 py-1.5 flex items-center gap-2 font-bold text-slate-600 hover:bg-violet-50 hover:text-violet-600"
+                >
+                  <Icon size={12} />
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </main>
     </div>
   );
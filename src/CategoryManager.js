@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ChevronUp, Plus, Tags, Trash2 } from 'lucide-react';
+
+const inputClass = 'flex-1 min-w-0 bg-slate-900 border border-slate-700 p-1.5 rounded text-xs text-white outline-none focus:border-blue-500';
+const swatchClass = 'w-7 h-7 shrink-0 rounded cursor-pointer bg-transparent border border-slate-700';
+
+// Renames and color drags become one undo step each; onEditEnd closes the step
+const CategoryManager = ({ legend, counts, onAdd, onRename, onRecolor, onMove, onDelete, onEditEnd }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [name, setName] = useState('');
+  const [hex, setHex] = useState('#6366f1');
+
+  const add = () => {
+    if (!name.trim()) return;
+    onAdd({ name: name.trim(), hex });
+    setName('');
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        onClick={() => setExpanded(e => !e)}
+        className="w-full flex items-center gap-2 p-2 rounded bg-slate-800/60 border border-slate-700 text-left hover:border-slate-500"
+      >
+        <Tags size={14} className="text-blue-400 shrink-0" />
+        <span className="flex-1 truncate text-xs font-bold">Manage categories ({legend.length})</span>
+        {expanded ? <ChevronDown size={14} className="text-slate-500" /> : <ChevronRight size={14} className="text-slate-500" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-1">
+          {legend.map((item, index) => (
+            <div key={item.id} className="group flex items-center gap-2">
+              <input
+                type="color"
+                className={swatchClass}
+                value={item.hex}
+                onChange={e => onRecolor(item.id, e.target.value)}
+                onBlur={onEditEnd}
+                title="Recolor; every table in the category follows"
+              />
+              <input
+                className={inputClass}
+                value={item.name}
+                onChange={e => onRename(item.id, e.target.value)}
+                onBlur={onEditEnd}
+              />
+              <span className="w-5 text-right text-[9px] font-bold text-slate-500">{counts[item.id] || 0}</span>
+              <div className="flex flex-col text-slate-500">
+                <button onClick={() => onMove(item.id, -1)} disabled={index === 0} title="Move up" className="hover:text-white disabled:opacity-30">
+                  <ChevronUp size={10} />
+                </button>
+                <button onClick={() => onMove(item.id, 1)} disabled={index === legend.length - 1} title="Move down" className="hover:text-white disabled:opacity-30">
+                  <ChevronDown size={10} />
+                </button>
+              </div>
+              <button
+                onClick={() => onDelete(item.id)}
+                disabled={legend.length === 1}
+                title="Delete category"
+                className="text-slate-500 hover:text-red-400 disabled:opacity-30"
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2 pt-2">
+            <input type="color" className={swatchClass} value={hex} onChange={e => setHex(e.target.value)} />
+            <input
+              className={inputClass}
+              placeholder="New category"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && add()}
+            />
+            <button
+              onClick={add}
+              disabled={!name.trim()}
+              title="Add category"
+              className="px-2 h-7 bg-blue-600/20 text-blue-400 rounded text-[10px] font-bold flex items-center gap-1 disabled:opacity-40"
+            >
+              <Plus size={12} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
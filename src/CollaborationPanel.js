@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Plug, Unplug, Users } from 'lucide-react';
+import { DEFAULT_RELAY_URL } from './collaboration';
+
+const STATUS_LABELS = {
+  disconnected: 'Not connected',
+  connecting: 'Connecting…',
+  connected: 'Live',
+};
+
+const inputClass = 'w-full bg-slate-900 border border-slate-700 p-1.5 rounded text-xs text-white outline-none focus:border-blue-500';
+
+const CollaborationPanel = ({ status, peers, user, defaultRoom, error, onConnect, onDisconnect }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [url, setUrl] = useState(DEFAULT_RELAY_URL);
+  const [room, setRoom] = useState('');
+  const [name, setName] = useState(user.name);
+  const live = status !== 'disconnected';
+
+  return (
+    <section className="mb-6 -mt-4">
+      <button
+        onClick={() => setExpanded(e => !e)}
+        className="w-full flex items-center gap-2 p-2 rounded bg-slate-800/60 border border-slate-700 text-left hover:border-slate-500"
+      >
+        <Users size={14} className="text-blue-400 shrink-0" />
+        <span className="flex-1 truncate text-xs font-bold">Collaborate</span>
+        <span className={`text-[9px] font-bold uppercase ${status === 'connected' ? 'text-emerald-400' : 'text-slate-500'}`}>
+          {STATUS_LABELS[status]}{status === 'connected' && ` · ${peers.length + 1}`}
+        </span>
+        {expanded ? <ChevronDown size={14} className="text-slate-500" /> : <ChevronRight size={14} className="text-slate-500" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-2">
+          {!live && (
+            <>
+              <input className={inputClass} placeholder="Relay URL" value={url} onChange={e => setUrl(e.target.value)} />
+              <input className={inputClass} placeholder={`Room (default: ${defaultRoom})`} value={room} onChange={e => setRoom(e.target.value)} />
+              <input className={inputClass} placeholder="Your name" value={name} onChange={e => setName(e.target.value)} />
+              {error && <p className="text-[10px] text-red-400 leading-relaxed">{error}</p>}
+              <p className="text-[9px] text-slate-500 leading-relaxed">
+                Run <code className="text-slate-400">npm run relay</code> on a machine everyone can reach. The first person
+                in a room shares this diagram; anyone joining later gets the room's diagram, and a snapshot of what they had.
+              </p>
+              <button
+                onClick={() => onConnect({ url: url.trim(), room: room.trim() || defaultRoom, name: name.trim() || user.name })}
+                disabled={!url.trim()}
+                className="w-full p-2 rounded bg-blue-600/20 text-blue-400 text-[10px] font-bold flex items-center justify-center gap-1 disabled:opacity-40"
+              >
+                <Plug size={12} />
+                Connect
+              </button>
+            </>
+          )}
+          {live && (
+            <>
+              <div className="space-y-1">
+                <div className="flex items-center gap-2 px-2 text-[11px] text-slate-300">
+                  <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: user.color }} />
+                  <span className="flex-1 truncate font-bold">{user.name} (you)</span>
+                </div>
+                {peers.map(peer => (
+                  <div key={peer.id} className="flex items-center gap-2 px-2 text-[11px] text-slate-400">
+                    <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: peer.color }} />
+                    <span className="flex-1 truncate">{peer.name}</span>
+                    {peer.selection?.length > 0 && (
+                      <span className="text-[9px] text-slate-500">{peer.selection.length} selected</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={onDisconnect}
+                className="w-full p-2 rounded bg-slate-800 text-slate-300 text-[10px] font-bold flex items-center justify-center gap-1 hover:bg-slate-700"
+              >
+                <Unplug size={12} />
+                Disconnect
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CollaborationPanel;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { GitCompare, FileCode, X, CheckCircle2 } from 'lucide-react';
+import { DIFF_COLORS } from './diagramDiff';
+
+const STATUS_LABELS = { added: 'Added', modified: 'Modified', removed: 'Removed' };
+
+const DiffPanel = ({ name, diff, onFocus, onDownloadSql, onClose }) => {
+  const count = (status) => diff.changes.filter(c => c.status === status).length;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 w-[300px] pointer-events-auto">
+      <div className="flex items-center gap-2 px-4 py-2.5">
+        <GitCompare size={13} className="text-slate-400 shrink-0" />
+        <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest flex-1 truncate" title={name}>
+          Compared with {name}
+        </span>
+        <button onClick={onClose} title="Stop comparing" className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+      </div>
+
+      <div className="flex items-center gap-3 px-4 pb-2 text-[10px] font-bold">
+        {Object.keys(STATUS_LABELS).map(status => (
+          <span key={status} className="flex items-center gap-1" style={{ color: DIFF_COLORS[status] }}>
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: DIFF_COLORS[status] }} />
+            {STATUS_LABELS[status]} {count(status)}
+          </span>
+        ))}
+      </div>
+
+      <div className="border-t border-slate-100 max-h-[40vh] overflow-y-auto py-1">
+        {diff.changes.length === 0 && (
+          <div className="flex items-center gap-2 px-4 py-3 text-[11px] text-emerald-600 font-medium">
+            <CheckCircle2 size={12} />
+            No differences
+          </div>
+        )}
+        {diff.changes.map((change, index) => (
+          <button
+            key={index}
+            onClick={() => onFocus(change)}
+            className="w-full flex items-start gap-2 px-4 py-1.5 text-left text-[11px] text-slate-600 hover:bg-slate-50"
+          >
+            <span className="mt-1 w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: DIFF_COLORS[change.status] }} />
+            <span className="flex-1">{change.text}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="border-t border-slate-100 px-4 py-2.5">
+        <button
+          onClick={onDownloadSql}
+          disabled={diff.changes.length === 0}
+          title="ALTER TABLE statements that turn the compared version into this one"
+          className="w-full flex items-center justify-center gap-1 p-2 rounded bg-slate-100 text-slate-600 text-[10px] font-bold hover:bg-slate-200 disabled:opacity-40"
+        >
+          <FileCode size={12} />
+          Download migration SQL
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DiffPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Handle, NodeResizer, Position } from 'reactflow';
+import { Boxes, Maximize2, Minimize2, Ungroup } from 'lucide-react';
+
+// Collapsed groups stand in for their tables, so edges need somewhere to attach
+const hiddenHandleStyle = { opacity: 0, pointerEvents: 'none' };
+
+const GroupNode = ({ id, data, selected }) => {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState(data.label);
+  const color = data.color || '#334155';
+  const collapsed = data.collapsed;
+
+  const startRename = () => {
+    if (data.readOnly) return;
+    setName(data.label);
+    setRenaming(true);
+  };
+
+  const finishRename = () => {
+    setRenaming(false);
+    if (name.trim() && name.trim() !== data.label) data.onRename?.(id, name.trim());
+  };
+
+  return (
+    <div
+      className={`w-full h-full rounded-lg border-2 border-dashed font-sans flex flex-col ${collapsed ? 'shadow-2xl bg-white' : ''}`}
+      style={{ borderColor: color, backgroundColor: collapsed ? undefined : `${color}14` }}
+    >
+      <NodeResizer
+        isVisible={selected && !collapsed && !data.readOnly}
+        color={color}
+        minWidth={160}
+        minHeight={80}
+        onResizeStart={() => data.onResizeStart?.(id)}
+      />
+      <Handle type="target" position={Position.Left} id="left-target" isConnectable={false} style={hiddenHandleStyle} />
+      <Handle type="source" position={Position.Right} id="right-source" isConnectable={false} style={hiddenHandleStyle} />
+
+      <div
+        className="px-3 py-2 text-[11px] font-bold flex items-center gap-2 text-white rounded-t-md"
+        style={{ backgroundColor: color }}
+      >
+        <Boxes size={14} className="opacity-70 shrink-0" />
+        {renaming ? (
+          <input
+            autoFocus
+            className="nodrag flex-1 min-w-0 bg-white/20 rounded px-1 outline-none uppercase tracking-tight"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onBlur={finishRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') finishRename();
+              if (e.key === 'Escape') setRenaming(false);
+            }}
+          />
+        ) : (
+          <span
+            className="flex-1 truncate uppercase tracking-tight"
+            title={data.readOnly ? undefined : 'Double-click to rename'}
+            onDoubleClick={startRename}
+          >
+            {data.label}
+          </span>
+        )}
+        {!data.readOnly && (
+          <>
+            <button
+              onClick={(e) => { e.stopPropagation(); data.onToggleCollapse?.(id); }}
+              title={collapsed ? 'Expand group' : 'Collapse to a summary'}
+              className="text-white/60 hover:text-white transition-colors"
+            >
+              {collapsed ? <Maximize2 size={12} /> : <Minimize2 size={12} />}
+            </button>
+            <button
+              onClick={(e) => { e.stopPropagation(); data.onUngroup?.(id); }}
+              title="Ungroup (keeps the tables)"
+              className="text-white/60 hover:text-white transition-colors"
+            >
+              <Ungroup size={12} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {collapsed && data.summary && (
+        <div className="flex-1 flex items-center justify-center px-3 text-[10px] font-bold text-slate-500 text-center">
+          {data.summary.tableCount} {data.summary.tableCount === 1 ? 'table' : 'tables'}
+          {' · '}
+          {data.summary.externalEdges} external {data.summary.externalEdges === 1 ? 'relationship' : 'relationships'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupNode;
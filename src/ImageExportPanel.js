@@ -0,0 +1,81 @@
+import React from 'react';
+import { FileImage } from 'lucide-react';
+import { PAPER_SIZES } from './pdfExport';
+
+const FORMATS = [
+  { id: 'svg', name: 'SVG' },
+  { id: 'png', name: 'PNG' },
+  { id: 'jpeg', name: 'JPEG' },
+  { id: 'pdf', name: 'PDF' },
+];
+
+const PIXEL_RATIOS = [1, 2, 3, 4];
+
+const selectClass = 'w-full bg-slate-800 border border-slate-700 p-2 rounded text-[10px] text-slate-300';
+
+const ImageExportPanel = ({ options, onChange, onExport }) => {
+  const update = (changes) => onChange({ ...options, ...changes });
+  const { format } = options;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-slate-800 space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <select className={selectClass} value={format} onChange={e => update({ format: e.target.value })}>
+          {FORMATS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+        </select>
+        <select
+          className={selectClass}
+          value={options.pixelRatio}
+          disabled={format === 'svg'}
+          title="Pixel ratio for print quality"
+          onChange={e => update({ pixelRatio: Number(e.target.value) })}
+        >
+          {PIXEL_RATIOS.map(r => <option key={r} value={r}>{r}× resolution</option>)}
+        </select>
+      </div>
+
+      {format === 'pdf' && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <select className={selectClass} value={options.paper} onChange={e => update({ paper: e.target.value })}>
+              {PAPER_SIZES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <select className={selectClass} value={options.orientation} onChange={e => update({ orientation: e.target.value })}>
+              <option value="landscape">Landscape</option>
+              <option value="portrait">Portrait</option>
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <select className={selectClass} value={options.layout} onChange={e => update({ layout: e.target.value })}>
+              <option value="fit">Fit to one page</option>
+              <option value="tile">Tile across pages</option>
+            </select>
+            {options.layout === 'tile' && (
+              <select className={selectClass} value={options.columns} onChange={e => update({ columns: Number(e.target.value) })}>
+                {[1, 2, 3, 4, 5, 6].map(n => <option key={n} value={n}>{n} {n === 1 ? 'page' : 'pages'} wide</option>)}
+              </select>
+            )}
+          </div>
+          <label className="flex items-center gap-2 text-[10px] text-slate-400">
+            <input type="checkbox" checked={options.titleBlock} onChange={e => update({ titleBlock: e.target.checked })} />
+            Title block with name, date and legend
+          </label>
+        </>
+      )}
+
+      {format !== 'jpeg' && (
+        <label className="flex items-center gap-2 text-[10px] text-slate-400">
+          <input type="checkbox" checked={options.transparent} onChange={e => update({ transparent: e.target.checked })} />
+          Transparent background
+        </label>
+      )}
+
+      <button onClick={() => onExport(format)} className="w-full bg-slate-800 p-2 rounded text-[10px] font-bold flex items-center justify-center gap-1">
+        <FileImage size={12} />
+        Download {FORMATS.find(f => f.id === format).name}
+      </button>
+    </div>
+  );
+};
+
+export default ImageExportPanel;
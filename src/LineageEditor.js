@@ -0,0 +1,62 @@
+import React from 'react';
+import { ArrowDownToLine, ArrowLeftRight, ArrowUpFromLine, Trash2, X } from 'lucide-react';
+
+const LineageEditor = ({ edge, sourceLabel, targetLabel, onChange, onReverse, onTrace, onDelete, onClose }) => {
+  const data = edge.data || {};
+  const columns = (list) => (list?.length ? `.${list.join(', ')}` : '');
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 w-[280px] p-4 pointer-events-auto space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-[10px] font-black text-violet-500 uppercase tracking-widest">Lineage</h3>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+      </div>
+
+      <div className="text-[11px] font-bold text-slate-700 break-words">
+        {sourceLabel}{columns(data.sourceColumns)} → {targetLabel}{columns(data.targetColumns)}
+      </div>
+
+      <textarea
+        className="w-full h-20 border border-slate-200 rounded p-1.5 text-[11px] text-slate-700 outline-none focus:border-violet-500 resize-none"
+        placeholder="Transformation notes, e.g. SUM(amount) grouped by day"
+        value={data.transformation || ''}
+        onChange={e => onChange({ transformation: e.target.value || undefined })}
+      />
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => onTrace('upstream')}
+          className="py-1.5 rounded text-[10px] font-bold border border-slate-200 text-slate-600 hover:border-violet-400 flex items-center justify-center gap-1"
+        >
+          <ArrowUpFromLine size={12} />
+          Trace upstream
+        </button>
+        <button
+          onClick={() => onTrace('downstream')}
+          className="py-1.5 rounded text-[10px] font-bold border border-slate-200 text-slate-600 hover:border-violet-400 flex items-center justify-center gap-1"
+        >
+          <ArrowDownToLine size={12} />
+          Trace downstream
+        </button>
+      </div>
+
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={onReverse}
+          className="flex-1 py-1.5 rounded text-[10px] font-bold border border-slate-200 text-slate-600 hover:border-violet-400 flex items-center justify-center gap-1"
+        >
+          <ArrowLeftRight size={12} />
+          Swap direction
+        </button>
+        <button
+          onClick={onDelete}
+          className="p-1.5 bg-red-500/10 text-red-500 border border-red-500/20 hover:bg-red-500 hover:text-white rounded"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LineageEditor;
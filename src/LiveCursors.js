@@ -0,0 +1,32 @@
+import React from 'react';
+import { useStore } from 'reactflow';
+import { MousePointer2 } from 'lucide-react';
+
+const transformSelector = (state) => state.transform;
+
+// Other users' pointers; positions are in flow coordinates, so they follow pan and zoom
+const LiveCursors = ({ peers }) => {
+  const [x, y, zoom] = useStore(transformSelector);
+
+  return (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden z-10 export-exclude">
+      {peers.filter(peer => peer.cursor).map(peer => (
+        <div
+          key={peer.id}
+          className="absolute top-0 left-0 flex items-start transition-transform duration-75"
+          style={{ transform: `translate(${peer.cursor.x * zoom + x}px, ${peer.cursor.y * zoom + y}px)` }}
+        >
+          <MousePointer2 size={16} style={{ color: peer.color, fill: peer.color }} />
+          <span
+            className="mt-3 px-1.5 py-0.5 rounded text-[10px] font-bold text-white whitespace-nowrap shadow"
+            style={{ backgroundColor: peer.color }}
+          >
+            {peer.name}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LiveCursors;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { GitMerge, X } from 'lucide-react';
+import { CONFLICT_RESOLUTIONS } from './diagramMerge';
+
+const MergeDialog = ({ conflicts, resolutions, incomingCount, onChange, onConfirm, onCancel }) => {
+  const setAll = (resolution) => conflicts.forEach(c => onChange(c.incomingId, resolution));
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-slate-900/40 flex items-center justify-center">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-[460px] max-h-[80vh] flex flex-col">
+        <div className="flex items-center gap-2 px-5 py-4 border-b border-slate-100">
+          <GitMerge size={16} className="text-blue-500" />
+          <span className="flex-1 text-sm font-bold text-slate-800">Import and merge</span>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600"><X size={16} /></button>
+        </div>
+
+        <p className="px-5 pt-4 text-[11px] text-slate-500">
+          {conflicts.length} of {incomingCount} incoming {incomingCount === 1 ? 'table has' : 'tables have'} the
+          same name as a table in this diagram. Choose what to do with each one.
+        </p>
+
+        <div className="px-5 pt-3 flex items-center gap-2 text-[10px] text-slate-500">
+          <span className="font-bold uppercase">Set all:</span>
+          {CONFLICT_RESOLUTIONS.map(r => (
+            <button key={r.id} onClick={() => setAll(r.id)} className="px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 font-bold">
+              {r.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="px-5 py-3 overflow-y-auto space-y-1.5">
+          {conflicts.map(conflict => (
+            <div key={conflict.incomingId} className="flex items-center gap-3">
+              <span className="flex-1 truncate text-xs font-bold text-slate-700">{conflict.label}</span>
+              <select
+                className="border border-slate-200 rounded p-1.5 text-[11px] text-slate-700"
+                value={resolutions[conflict.incomingId]}
+                onChange={e => onChange(conflict.incomingId, e.target.value)}
+              >
+                {CONFLICT_RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2 px-5 py-4 border-t border-slate-100">
+          <button onClick={onCancel} className="px-4 py-2 rounded text-xs font-bold text-slate-500 hover:bg-slate-100">Cancel</button>
+          <button onClick={onConfirm} className="px-4 py-2 rounded text-xs font-bold bg-blue-600 text-white hover:bg-blue-700">Merge</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeDialog;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { AlertCircle, AlertTriangle, Info, ChevronDown, ChevronUp, CheckCircle2 } from 'lucide-react';
+
+const SEVERITY_ICONS = {
+  error: <AlertCircle size={12} className="text-red-500 shrink-0" />,
+  warning: <AlertTriangle size={12} className="text-amber-500 shrink-0" />,
+  info: <Info size={12} className="text-slate-400 shrink-0" />,
+};
+
+const ProblemsPanel = ({ problems, open, onToggle, showHints, onToggleHints, onFocus }) => {
+  const visible = showHints ? problems : problems.filter(p => p.severity !== 'info');
+  const count = (severity) => problems.filter(p => p.severity === severity).length;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 w-[300px] pointer-events-auto">
+      <button onClick={onToggle} className="w-full flex items-center gap-3 px-4 py-2.5 text-left">
+        <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest flex-1">Problems</span>
+        <span className="flex items-center gap-1 text-[10px] font-bold text-red-500"><AlertCircle size={11} />{count('error')}</span>
+        <span className="flex items-center gap-1 text-[10px] font-bold text-amber-500"><AlertTriangle size={11} />{count('warning')}</span>
+        {open ? <ChevronUp size={14} className="text-slate-400" /> : <ChevronDown size={14} className="text-slate-400" />}
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-100">
+          <label className="flex items-center gap-2 px-4 py-2 text-[10px] text-slate-500 border-b border-slate-100">
+            <input type="checkbox" checked={showHints} onChange={onToggleHints} />
+            Show naming hints ({count('info')})
+          </label>
+          <div className="max-h-[40vh] overflow-y-auto py-1">
+            {visible.length === 0 && (
+              <div className="flex items-center gap-2 px-4 py-3 text-[11px] text-emerald-600 font-medium">
+                <CheckCircle2 size={12} />
+                No problems found
+              </div>
+            )}
+            {visible.map(problem => (
+              <button
+                key={problem.id}
+                onClick={() => onFocus(problem)}
+                className="w-full flex items-start gap-2 px-4 py-1.5 text-left text-[11px] text-slate-600 hover:bg-slate-50"
+              >
+                <span className="mt-0.5">{SEVERITY_ICONS[problem.severity]}</span>
+                <span className="flex-1">{problem.message}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProblemsPanel;
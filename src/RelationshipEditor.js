@@ -0,0 +1,109 @@
+import React from 'react';
+import { ArrowLeftRight, Trash2, X } from 'lucide-react';
+import { getRelType, REFERENTIAL_ACTIONS } from './relationships';
+
+const END_LABELS = {
+  one: { mandatory: 'Exactly one', optional: 'Zero or one' },
+  many: { mandatory: 'One or many', optional: 'Zero or many' },
+};
+
+const RelationshipEditor = ({ edge, sourceLabel, targetLabel, onChange, onReverse, onDelete, onClose }) => {
+  const data = edge.data || {};
+  const relType = getRelType(edge);
+  const sourceEnd = relType === 'N:M' ? 'many' : 'one';
+  const targetEnd = relType === '1:1' ? 'one' : 'many';
+  const columns = (list) => (list?.length ? `.${list.join(', ')}` : '');
+
+  const endSelect = (end, key) => (
+    <select
+      className="w-full border border-slate-200 rounded p-1.5 text-[11px] text-slate-700"
+      value={data[key] ? 'optional' : 'mandatory'}
+      onChange={e => onChange({ [key]: e.target.value === 'optional' })}
+    >
+      <option value="mandatory">{END_LABELS[end].mandatory}</option>
+      <option value="optional">{END_LABELS[end].optional}</option>
+    </select>
+  );
+
+  const actionSelect = (key, label) => (
+    <label className="block">
+      <span className="text-[9px] font-bold text-slate-400 uppercase">{label}</span>
+      <select
+        className="w-full border border-slate-200 rounded p-1.5 text-[11px] text-slate-700"
+        value={data[key] || ''}
+        onChange={e => onChange({ [key]: e.target.value || undefined })}
+      >
+        <option value="">Default</option>
+        {REFERENTIAL_ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 w-[280px] p-4 pointer-events-auto space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Relationship</h3>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+      </div>
+
+      <div className="text-[11px] font-bold text-slate-700 break-words">
+        {sourceLabel}{columns(data.sourceColumns)} → {targetLabel}{columns(data.targetColumns)}
+      </div>
+
+      <input
+        className="w-full border border-slate-200 rounded p-1.5 text-[11px] text-slate-700 outline-none focus:border-blue-500"
+        placeholder="Relationship name (shown on the line)"
+        value={data.name || ''}
+        onChange={e => onChange({ name: e.target.value })}
+      />
+
+      <div className="grid grid-cols-3 gap-1">
+        {['1:1', '1:N', 'N:M'].map(type => (
+          <button
+            key={type}
+            onClick={() => onChange({ relType: type })}
+            className={`py-1 rounded text-[10px] font-bold border ${relType === type ? 'bg-blue-600 text-white border-blue-600' : 'text-slate-600 border-slate-200 hover:border-blue-400'}`}
+          >
+            {type}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-[9px] font-bold text-slate-400 uppercase truncate block">{sourceLabel} end</span>
+          {endSelect(sourceEnd, 'sourceOptional')}
+        </label>
+        <label className="block">
+          <span className="text-[9px] font-bold text-slate-400 uppercase truncate block">{targetLabel} end</span>
+          {endSelect(targetEnd, 'targetOptional')}
+        </label>
+      </div>
+
+      {relType !== 'N:M' && (
+        <div className="grid grid-cols-2 gap-2">
+          {actionSelect('onDelete', 'On delete')}
+          {actionSelect('onUpdate', 'On update')}
+        </div>
+      )}
+
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={onReverse}
+          className="flex-1 py-1.5 rounded text-[10px] font-bold border border-slate-200 text-slate-600 hover:border-blue-400 flex items-center justify-center gap-1"
+        >
+          <ArrowLeftRight size={12} />
+          Swap direction
+        </button>
+        <button
+          onClick={onDelete}
+          className="p-1.5 bg-red-500/10 text-red-500 border border-red-500/20 hover:bg-red-500 hover:text-white rounded"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RelationshipEditor;
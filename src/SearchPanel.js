@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search, Table, Columns2, Filter, X } from 'lucide-react';
+import { searchDiagram, FILTER_MODES, MAX_HOPS } from './diagramFilter';
+
+const SearchPanel = ({ nodes, legend, filter, onFilterChange, onFocusHit }) => {
+  const inputRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const hits = useMemo(() => searchDiagram(nodes, filter.query), [nodes, filter.query]);
+  const usedCategories = legend.filter(l => nodes.some(n => n.data?.category === l.id));
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        inputRef.current?.focus();
+        inputRef.current?.select();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  useEffect(() => setActive(0), [filter.query]);
+
+  const choose = (hit) => {
+    if (!hit) return;
+    onFocusHit(hit);
+    setOpen(false);
+    inputRef.current?.blur();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(i => Math.min(i + 1, hits.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      choose(hits[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+
+  const update = (changes) => onFilterChange({ ...filter, ...changes });
+
+  return (
+    <div className="w-[360px] pointer-events-auto">
+      <div className="relative">
+        <div className="flex items-center gap-2 bg-white rounded-xl shadow-lg border border-slate-200 px-3 py-2">
+          <Search size={14} className="text-slate-400 shrink-0" />
+          <input
+            ref={inputRef}
+            className="flex-1 text-xs text-slate-700 outline-none bg-transparent"
+            placeholder="Search tables and columns (Ctrl+K)"
+            value={filter.query}
+            onChange={e => { update({ query: e.target.value }); setOpen(true); }}
+            onFocus={() => setOpen(true)}
+            onBlur={() => setTimeout(() => setOpen(false), 150)}
+            onKeyDown={onKeyDown}
+          />
+          {filter.query && (
+            <button onClick={() => update({ query: '' })} className="text-slate-400 hover:text-slate-600">
+              <X size={12} />
+            </button>
+          )}
+        </div>
+
+        {open && filter.query && (
+          <div className="absolute top-full mt-1 w-full bg-white rounded-xl shadow-lg border border-slate-200 max-h-[50vh] overflow-y-auto py-1 z-10">
+            {hits.length === 0 && <div className="px-4 py-2 text-[11px] text-slate-400">No matches</div>}
+            {hits.map((hit, index) => (
+              <button
+                key={hit.id}
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => choose(hit)}
+                onMouseEnter={() => setActive(index)}
+                className={`w-full flex items-center gap-2 px-4 py-1.5 text-left text-[11px] ${index === active ? 'bg-blue-50 text-blue-700' : 'text-slate-600'}`}
+              >
+                {hit.column ? <Columns2 size={12} className="shrink-0 text-slate-400" /> : <Table size={12} className="shrink-0 text-slate-400" />}
+                <span className="font-bold truncate">{hit.label}</span>
+                {hit.column && <span className="truncate text-slate-500">.{hit.column}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="mt-2 flex items-center gap-2 bg-white rounded-xl shadow-lg border border-slate-200 px-3 py-1.5 text-[10px] text-slate-600">
+        <Filter size={12} className="text-slate-400 shrink-0" />
+        <select className="bg-transparent outline-none font-bold" value={filter.mode} onChange={e => update({ mode: e.target.value })}>
+          {FILTER_MODES.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+        {filter.mode === 'category' && (
+          <select className="bg-transparent outline-none flex-1 min-w-0" value={filter.category} onChange={e => update({ category: e.target.value })}>
+            <option value="">Choose…</option>
+            {usedCategories.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+        )}
+        {filter.mode === 'neighborhood' && (
+          <label className="flex items-center gap-1">
+            <input
+              type="number"
+              min="1"
+              max={MAX_HOPS}
+              className="w-9 border border-slate-200 rounded px-1"
+              value={filter.hops}
+              onChange={e => update({ hops: Math.min(MAX_HOPS, Math.max(1, Number(e.target.value) || 1)) })}
+            />
+            hops
+          </label>
+        )}
+        {filter.mode !== 'none' && (
+          <select className="ml-auto bg-transparent outline-none" value={filter.display} onChange={e => update({ display: e.target.value })}>
+            <option value="dim">Dim others</option>
+            <option value="hide">Hide others</option>
+          </select>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
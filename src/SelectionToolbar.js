@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  AlignStartVertical, AlignCenterVertical, AlignEndVertical, AlignStartHorizontal, AlignCenterHorizontal,
+  AlignEndHorizontal, AlignHorizontalDistributeCenter, AlignVerticalDistributeCenter, CopyPlus, Trash2, X,
+} from 'lucide-react';
+import { ALIGNMENTS } from './selection';
+
+const ALIGN_ICONS = {
+  left: AlignStartVertical,
+  center: AlignCenterVertical,
+  right: AlignEndVertical,
+  top: AlignStartHorizontal,
+  middle: AlignCenterHorizontal,
+  bottom: AlignEndHorizontal,
+};
+
+const buttonClass = 'p-1.5 rounded text-slate-500 hover:text-blue-600 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent';
+
+const SelectionToolbar = ({ count, legend, category, onCategory, onAlign, onDistribute, onDuplicate, onDelete, onClear }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-slate-200 px-2 py-1.5 flex items-center gap-1 pointer-events-auto">
+    <span className="px-2 text-[11px] font-bold text-slate-600 whitespace-nowrap">{count} selected</span>
+    <select
+      className="border border-slate-200 rounded p-1 text-[11px] text-slate-700 max-w-[140px]"
+      value={category || ''}
+      onChange={e => onCategory(e.target.value)}
+      title="Move the selected tables and groups to a category"
+    >
+      {!category && <option value="">Mixed categories</option>}
+      {legend.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+    </select>
+    <div className="w-px h-5 bg-slate-200 mx-1" />
+    {ALIGNMENTS.map(({ id, name }) => {
+      const Icon = ALIGN_ICONS[id];
+      return (
+        <button key={id} onClick={() => onAlign(id)} title={name} className={buttonClass}>
+          <Icon size={14} />
+        </button>
+      );
+    })}
+    <button onClick={() => onDistribute('x')} disabled={count < 3} title="Distribute horizontally" className={buttonClass}>
+      <AlignHorizontalDistributeCenter size={14} />
+    </button>
+    <button onClick={() => onDistribute('y')} disabled={count < 3} title="Distribute vertically" className={buttonClass}>
+      <AlignVerticalDistributeCenter size={14} />
+    </button>
+    <div className="w-px h-5 bg-slate-200 mx-1" />
+    <button onClick={onDuplicate} title="Duplicate (Ctrl+D)" className={buttonClass}>
+      <CopyPlus size={14} />
+    </button>
+    <button onClick={onDelete} title="Delete (Del)" className="p-1.5 rounded text-red-500 hover:bg-red-50">
+      <Trash2 size={14} />
+    </button>
+    <button onClick={onClear} title="Clear selection (Esc)" className={buttonClass}>
+      <X size={14} />
+    </button>
+  </div>
+);
+
+export default SelectionToolbar;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Camera, ChevronDown, ChevronRight, Download, Eye, GitCompare, History, RotateCcw, Trash2 } from 'lucide-react';
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+
+const SnapshotPanel = ({ snapshots, onSave, onPreview, onCompare, onRestore, onExport, onDelete }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [name, setName] = useState('');
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <section className="mb-6 -mt-4">
+      <button
+        onClick={() => setExpanded(e => !e)}
+        className="w-full flex items-center gap-2 p-2 rounded bg-slate-800/60 border border-slate-700 text-left hover:border-slate-500"
+      >
+        <History size={14} className="text-blue-400 shrink-0" />
+        <span className="flex-1 truncate text-xs font-bold">Snapshots ({snapshots.length})</span>
+        {expanded ? <ChevronDown size={14} className="text-slate-500" /> : <ChevronRight size={14} className="text-slate-500" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-1">
+          <div className="flex gap-2 mb-2">
+            <input
+              className="flex-1 min-w-0 bg-slate-900 border border-slate-700 p-1.5 rounded text-xs text-white outline-none focus:border-blue-500"
+              placeholder="e.g. before billing refactor"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && save()}
+            />
+            <button
+              onClick={save}
+              disabled={!name.trim()}
+              title="Save the current diagram as a named snapshot"
+              className="px-2 bg-blue-600/20 text-blue-400 rounded text-[10px] font-bold flex items-center gap-1 disabled:opacity-40"
+            >
+              <Camera size={12} />
+              Save
+            </button>
+          </div>
+          {snapshots.length === 0 && (
+            <p className="text-[10px] text-slate-500 px-2">No snapshots of this diagram yet.</p>
+          )}
+          {snapshots.map(s => (
+            <div key={s.id} className="group flex items-center gap-2 px-2 py-1.5 rounded text-[11px] text-slate-400 hover:bg-slate-800">
+              <button onClick={() => onPreview(s.id)} className="flex-1 min-w-0 text-left">
+                <span className="block truncate font-bold">{s.name}</span>
+                <span className="block text-[9px] text-slate-500">
+                  {s.tableCount} {s.tableCount === 1 ? 'table' : 'tables'} · {formatDate(s.createdAt)}
+                </span>
+              </button>
+              <div className="flex items-center gap-1.5 opacity-0 group-hover:opacity-100">
+                <button onClick={() => onPreview(s.id)} title="Preview" className="hover:text-white"><Eye size={11} /></button>
+                <button onClick={() => onCompare(s.id)} title="Compare with the current diagram" className="hover:text-white"><GitCompare size={11} /></button>
+                <button onClick={() => onRestore(s.id)} title="Restore" className="hover:text-white"><RotateCcw size={11} /></button>
+                <button onClick={() => onExport(s.id)} title="Export JSON" className="hover:text-white"><Download size={11} /></button>
+                <button onClick={() => onDelete(s.id)} title="Delete" className="hover:text-red-400"><Trash2 size={11} /></button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SnapshotPanel;
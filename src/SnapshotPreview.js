@@ -0,0 +1,68 @@
+import React, { useMemo } from 'react';
+import ReactFlow, { Background, Controls, ReactFlowProvider } from 'reactflow';
+import { Download, Eye, GitCompare, RotateCcw, X } from 'lucide-react';
+import TableNode from './TableNode';
+import GroupNode from './GroupNode';
+import { collapseGroups } from './groups';
+
+const nodeTypes = {
+  tableNode: TableNode,
+  groupNode: GroupNode,
+};
+
+// A separate, non-interactive canvas; the edge markers come from the main canvas's <defs>
+const SnapshotPreview = ({ snapshot, diagram, onRestore, onCompare, onExport, onClose }) => {
+  const { nodes, edges } = useMemo(() => collapseGroups(diagram.nodes.map(n => ({
+    ...n,
+    draggable: false,
+    connectable: false,
+    data: { ...n.data, readOnly: true },
+  })), diagram.edges), [diagram]);
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-slate-900/40 flex items-center justify-center">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-[85vw] h-[85vh] flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 px-5 py-3 border-b border-slate-100">
+          <Eye size={16} className="text-blue-500" />
+          <span className="flex-1 truncate text-sm font-bold text-slate-800">
+            {snapshot.name}
+            <span className="ml-2 text-[11px] font-medium text-slate-400">
+              read-only · {new Date(snapshot.createdAt).toLocaleString()}
+            </span>
+          </span>
+          <button onClick={onExport} className="px-3 py-1.5 rounded text-xs font-bold text-slate-500 hover:bg-slate-100 flex items-center gap-1">
+            <Download size={12} />
+            Export
+          </button>
+          <button onClick={onCompare} className="px-3 py-1.5 rounded text-xs font-bold text-slate-500 hover:bg-slate-100 flex items-center gap-1">
+            <GitCompare size={12} />
+            Compare
+          </button>
+          <button onClick={onRestore} className="px-3 py-1.5 rounded text-xs font-bold bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-1">
+            <RotateCcw size={12} />
+            Restore
+          </button>
+          <button onClick={onClose} className="ml-2 text-slate-400 hover:text-slate-600"><X size={16} /></button>
+        </div>
+        <div className="flex-1 bg-[#f1f5f9]">
+          <ReactFlowProvider>
+            <ReactFlow
+              nodes={nodes}
+              edges={edges}
+              nodeTypes={nodeTypes}
+              nodesDraggable={false}
+              nodesConnectable={false}
+              elementsSelectable={false}
+              fitView
+            >
+              <Background color="#cbd5e1" variant="dots" gap={20} size={1} />
+              <Controls showInteractive={false} />
+            </ReactFlow>
+          </ReactFlowProvider>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotPreview;
@@ -1,6 +1,33 @@
-import React from 'react';
-import { Handle, Position } from 'reactflow';
-import { Trash2, Edit3, Key, Table, Link as LinkIcon, Layers } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import { Trash2, Edit3, Key, Table, Link as LinkIcon, Layers, Pin, ChevronsDownUp, ChevronsUpDown, KeyRound, GripVertical, Plus, X } from 'lucide-react';
+import { columnHandleId } from './relationships';
+import { moveColumn, nextColumnName, normalizeColumn, renameColumn } from './columns';
+import { DETAIL_LEVELS, MAX_VISIBLE_COLUMNS, getVisibleColumns, nextDetail } from './tableDetail';
+
+// Row backgrounds while comparing with another version of the diagram
+const DIFF_ROW_CLASSES = {
+  added: 'bg-emerald-50',
+  modified: 'bg-amber-50',
+};
+
+const DETAIL_ICONS = {
+  all: ChevronsDownUp,
+  keys: KeyRound,
+  header: ChevronsUpDown,
+};
+
+const hiddenHandleStyle = { opacity: 0, pointerEvents: 'none' };
+
+const KEY_TOGGLES = [
+  { key: 'isPK', label: 'PK', title: 'Primary key', on: 'bg-yellow-100 text-yellow-700' },
+  { key: 'isFK', label: 'FK', title: 'Foreign key', on: 'bg-emerald-100 text-emerald-700' },
+  { key: 'isCK', label: 'CK', title: 'Composite key', on: 'bg-blue-100 text-blue-700' },
+];
+
+const inlineInputClass = 'nodrag flex-1 min-w-0 rounded px-1 outline-none';
+
+const detailName = (id) => DETAIL_LEVELS.find(l => l.id === id).name.toLowerCase();
 
 const TableNode = ({ id, data }) => {
   // Common style for handles to ensure they show up in downloads
@@ -12,6 +39,91 @@ const TableNode = ({ id, data }) => {
     opacity: 1 // Ensure they are visible for the export engine
   };
 
+  const columnHandleStyle = {
+    backgroundColor: '#10b981',
+    border: '1px solid white',
+    width: '6px',
+    height: '6px',
+  };
+
+  // Zoomed-out canvases draw headers only, whatever the table's own level
+  const [expanded, setExpanded] = useState(false);
+  const chosenDetail = data.detail || 'all';
+  const detail = data.headersOnly ? 'header' : chosenDetail;
+  const { shown, hidden } = getVisibleColumns(data.columns, detail, expanded);
+  const DetailIcon = DETAIL_ICONS[chosenDetail];
+
+  // Row handles move when columns are added, renamed, reordered, shown or hidden
+  const updateNodeInternals = useUpdateNodeInternals();
+  // Inline edits: `renaming` is the column being renamed, or null for the table itself;
+  // `adding` is set while a new column is being named, before it is added
+  const [renaming, setRenaming] = useState();
+  const [adding, setAdding] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dropAt, setDropAt] = useState(null);
+  const editable = !data.readOnly && !!data.onUpdateTable;
+
+  const startRename = (column) => {
+    if (!editable) return;
+    setAdding(false);
+    setDraft(column === null ? data.label : column);
+    setRenaming(column);
+  };
+
+  const finishRename = () => {
+    if (renaming === undefined) return;
+    setRenaming(undefined);
+    if (renaming === null) {
+      if (draft.trim() && draft.trim() !== data.label) data.onUpdateTable(id, { label: draft.trim() });
+      return;
+    }
+    const columns = renameColumn(data.columns, renaming, draft);
+    const name = draft.trim();
+    if (columns && name !== renaming) data.onUpdateTable(id, { columns }, { [renaming]: name });
+  };
+
+  const renameKeys = (e) => {
+    if (e.key === 'Enter') finishRename();
+    if (e.key === 'Escape') setRenaming(undefined);
+  };
+
+  const updateColumns = (columns) => data.onUpdateTable(id, { columns });
+
+  // The column is added once it has its name, so adding it is a single undo step
+  const addColumn = () => {
+    setRenaming(undefined);
+    setExpanded(true);
+    setDraft(nextColumnName(data.columns));
+    setAdding(true);
+  };
+
+  const finishAdd = () => {
+    if (!adding) return;
+    setAdding(false);
+    const name = draft.trim();
+    if (name && !data.columns.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+      updateColumns(data.columns.concat(normalizeColumn({ name })));
+    }
+  };
+
+  const addKeys = (e) => {
+    if (e.key === 'Enter') finishAdd();
+    if (e.key === 'Escape') setAdding(false);
+  };
+
+  const endDrag = () => {
+    setDragFrom(null);
+    setDropAt(null);
+  };
+
+  const lineageMenu = (column) => (data.readOnly ? undefined : (e) => data.onLineageMenu?.(id, column, e));
+
+  const columnKey = [detail, ...shown.map(c => c.name), '|', ...hidden.map(c => c.name)].join('\n');
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, columnKey, updateNodeInternals]);
+
   return (
     <div className="bg-white border-2 border-slate-800 rounded shadow-2xl min-w-[220px] font-sans overflow-hidden group relative">
       
@@ -34,48 +146,228 @@ const TableNode = ({ id, data }) => {
 
       {/* Table Header */}
       <div 
-        className="text-white px-3 py-2 text-[11px] font-bold flex items-center justify-between"
+        className="relative text-white px-3 py-2 text-[11px] font-bold flex items-center justify-between"
         style={{ backgroundColor: data.color || '#334155' }}
       >
-        <div 
-          className="flex items-center gap-2 cursor-pointer flex-1 min-w-0" 
-          onClick={() => data.onEdit?.(id, data)}
-        >
+        {/* Relationships on hidden rows attach to the header instead */}
+        {hidden.map(col => (
+          <React.Fragment key={col.name}>
+            <Handle type="target" position={Position.Left} id={columnHandleId(col.name, 'target')} isConnectable={false} style={hiddenHandleStyle} />
+            <Handle type="source" position={Position.Right} id={columnHandleId(col.name, 'source')} isConnectable={false} style={hiddenHandleStyle} />
+          </React.Fragment>
+        ))}
+        <div className="flex items-center gap-2 flex-1 min-w-0" onContextMenu={lineageMenu(null)}>
           <Table size={14} className="opacity-70 shrink-0" />
-          <span className="truncate uppercase tracking-tight">{data.label}</span>
-          <Edit3 size={10} className="opacity-0 group-hover:opacity-100 transition-opacity shrink-0" />
+          {renaming === null ? (
+            <input
+              autoFocus
+              className={`${inlineInputClass} bg-white/20 uppercase tracking-tight`}
+              value={draft}
+              onChange={e => setDraft(e.target.value)}
+              onFocus={e => e.target.select()}
+              onBlur={finishRename}
+              onKeyDown={renameKeys}
+            />
+          ) : (
+            <span
+              className="truncate uppercase tracking-tight"
+              title={editable ? 'Double-click to rename' : undefined}
+              onDoubleClick={() => startRename(null)}
+            >
+              {data.label}
+            </span>
+          )}
+          {!data.readOnly && (
+            <button
+              onClick={(e) => { e.stopPropagation(); data.onEdit?.(id, data); }}
+              title="Edit in the sidebar"
+              className="opacity-0 group-hover:opacity-100 transition-opacity shrink-0"
+            >
+              <Edit3 size={10} />
+            </button>
+          )}
         </div>
-        <button 
-          onClick={(e) => { e.stopPropagation(); data.onDelete?.(id); }} 
-          className="text-white/60 hover:text-white transition-colors ml-2"
-        >
-          <Trash2 size={14} />
-        </button>
+        {!data.readOnly && (
+          <>
+            {editable && detail === 'all' && (
+              <button
+                onClick={(e) => { e.stopPropagation(); addColumn(); }}
+                title="Add column"
+                className="text-white/60 hover:text-white transition-colors ml-2 opacity-0 group-hover:opacity-100"
+              >
+                <Plus size={12} />
+              </button>
+            )}
+            <button
+              onClick={(e) => { e.stopPropagation(); data.onSetDetail?.(id, nextDetail(chosenDetail)); }}
+              title={`Showing ${detailName(chosenDetail)} · click for ${detailName(nextDetail(chosenDetail))}`}
+              className={`transition-colors ml-2 ${chosenDetail === 'all' ? 'text-white/60 hover:text-white opacity-0 group-hover:opacity-100' : 'text-white'}`}
+            >
+              <DetailIcon size={12} />
+            </button>
+            <button
+              onClick={(e) => { e.stopPropagation(); data.onTogglePin?.(id); }}
+              title={data.pinned ? 'Unpin (auto layout will move it)' : 'Pin in place during auto layout'}
+              className={`transition-colors ml-2 ${data.pinned ? 'text-white' : 'text-white/60 hover:text-white opacity-0 group-hover:opacity-100'}`}
+            >
+              <Pin size={12} className={data.pinned ? 'fill-white' : ''} />
+            </button>
+            <button 
+              onClick={(e) => { e.stopPropagation(); data.onDelete?.(id); }} 
+              className="text-white/60 hover:text-white transition-colors ml-2"
+            >
+              <Trash2 size={14} />
+            </button>
+          </>
+        )}
       </div>
 
       {/* Column List */}
       <div className="bg-white flex flex-col">
-        {data.columns?.map((col, index) => (
-          <div key={`${col.name}-${index}`} className="flex items-center px-3 py-2 border-b border-slate-50 last:border-0 text-[11px] hover:bg-slate-50 transition-colors">
-            {/* Key Icon Only Container */}
-            <div className="w-5 flex justify-center shrink-0 mr-2">
-              {col.isPK && (
-                <Key size={12} className="text-yellow-500 fill-yellow-500 transform -rotate-45" title="Primary Key" />
+        {shown.map((col, index) => {
+          const colDiff = data.diff?.columns[col.name];
+          const onLineage = data.lineage?.columns.includes(col.name);
+          const position = data.columns.indexOf(col);
+          let dropMarker = '';
+          if (dropAt === position && dragFrom !== null && dragFrom !== position) {
+            dropMarker = dragFrom > position ? 'shadow-[inset_0_2px_0_#3b82f6]' : 'shadow-[inset_0_-2px_0_#3b82f6]';
+          }
+          return (
+            <div
+              key={`${col.name}-${index}`}
+              title={[col.description, col.defaultValue && `default ${col.defaultValue}`, ...(colDiff?.changes || [])].filter(Boolean).join('\n') || undefined}
+              className={`group/row relative flex items-center px-3 py-2 border-b border-slate-50 last:border-0 text-[11px] hover:bg-slate-50 transition-colors ${onLineage ? 'bg-violet-50' : DIFF_ROW_CLASSES[colDiff?.status] || ''} ${dropMarker}`}
+              onContextMenu={lineageMenu(col.name)}
+              onDragOver={dragFrom === null ? undefined : (e) => { e.preventDefault(); setDropAt(position); }}
+              onDrop={dragFrom === null ? undefined : (e) => {
+                e.preventDefault();
+                updateColumns(moveColumn(data.columns, dragFrom, position));
+                endDrag();
+              }}
+            >
+              {/* Column Handles: fk rows connect to the pk rows they reference */}
+              <Handle type="target" position={Position.Left} id={columnHandleId(col.name, 'target')} style={{ ...columnHandleStyle, left: '1px' }} className="opacity-0 group-hover:opacity-100 cursor-crosshair" />
+              <Handle type="source" position={Position.Right} id={columnHandleId(col.name, 'source')} style={{ ...columnHandleStyle, right: '1px' }} className="opacity-0 group-hover:opacity-100 cursor-crosshair" />
+
+              {editable && (
+                <div
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', col.name);
+                    setDragFrom(position);
+                  }}
+                  onDragEnd={endDrag}
+                  title="Drag to reorder"
+                  className="nodrag -ml-2 mr-0.5 text-slate-300 hover:text-slate-500 cursor-grab opacity-0 group-hover/row:opacity-100"
+                >
+                  <GripVertical size={12} />
+                </div>
+              )}
+
+              {/* Key Icon Only Container */}
+              <div className="w-5 flex justify-center shrink-0 mr-2">
+                {col.isPK && (
+                  <Key size={12} className="text-yellow-500 fill-yellow-500 transform -rotate-45" title="Primary Key" />
+                )}
+                {col.isCK && (
+                  <Layers size={12} className="text-blue-500" title="Composite Key" />
+                )}
+                {col.isFK && (
+                  <LinkIcon size={12} className="text-emerald-500" title="Foreign Key" />
+                )}
+              </div>
+
+              {/* Column Name */}
+              {renaming === col.name ? (
+                <input
+                  autoFocus
+                  className={`${inlineInputClass} bg-slate-100 text-slate-700 font-medium`}
+                  value={draft}
+                  onChange={e => setDraft(e.target.value)}
+                  onFocus={e => e.target.select()}
+                  onBlur={finishRename}
+                  onKeyDown={renameKeys}
+                />
+              ) : (
+                <span
+                  className={`flex-1 truncate ${onLineage ? 'text-violet-700' : 'text-slate-700'} ${col.isPK || col.isCK ? 'font-bold' : 'font-medium'}`}
+                  onDoubleClick={() => startRename(col.name)}
+                >
+                  {col.name}
+                  {col.notNull && !col.isPK && <span className="text-red-400 ml-0.5" title="Not null">*</span>}
+                </span>
               )}
-              {col.isCK && (
-                <Layers size={12} className="text-blue-500" title="Composite Key" />
+
+              {/* Column Type */}
+              {col.unique && !col.isPK && (
+                <span className="text-[8px] font-bold text-violet-500 border border-violet-200 rounded px-1 ml-2 shrink-0" title="Unique">UQ</span>
               )}
-              {col.isFK && (
-                <LinkIcon size={12} className="text-emerald-500" title="Foreign Key" />
+              <span className="text-[10px] font-mono text-slate-400 ml-3 shrink-0 lowercase">
+                {col.type}
+              </span>
+
+              {/* Row tools cover the type while hovered */}
+              {editable && renaming !== col.name && (
+                <div className="absolute right-2 inset-y-0 pl-2 hidden group-hover/row:flex items-center gap-0.5 bg-slate-50">
+                  {KEY_TOGGLES.map(({ key, label, title, on }) => (
+                    <button
+                      key={key}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        updateColumns(data.columns.map(c => (c === col ? { ...c, [key]: !c[key] } : c)));
+                      }}
+                      title={`${col[key] ? 'Unset' : 'Set'} ${title.toLowerCase()}`}
+                      className={`nodrag px-1 rounded text-[8px] font-bold ${col[key] ? on : 'text-slate-300 hover:text-slate-500'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  <button
+                    onClick={(e) => { e.stopPropagation(); updateColumns(data.columns.filter(c => c !== col)); }}
+                    title="Remove column"
+                    className="nodrag ml-1 text-slate-300 hover:text-red-500"
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
               )}
             </div>
-
-            {/* Column Name */}
-            <span className={`flex-1 truncate text-slate-700 ${col.isPK || col.isCK ? 'font-bold' : 'font-medium'}`}>
-              {col.name}
-            </span>
+          );
+        })}
+        {adding && (
+          <div className="flex items-center px-3 py-2 border-b border-slate-50 last:border-0 text-[11px]">
+            <div className="w-5 shrink-0 mr-2" />
+            <input
+              autoFocus
+              className={`${inlineInputClass} bg-slate-100 text-slate-700 font-medium`}
+              value={draft}
+              onChange={e => setDraft(e.target.value)}
+              onFocus={e => e.target.select()}
+              onBlur={finishAdd}
+              onKeyDown={addKeys}
+            />
+          </div>
+        )}
+        {detail !== 'header' && data.diff?.removedColumns.map(col => (
+          <div
+            key={`removed-${col.name}`}
+            title="Removed since the compared version"
+            className="flex items-center px-3 py-2 border-b border-slate-50 last:border-0 text-[11px] bg-red-50 text-red-400 line-through"
+          >
+            <div className="w-5 shrink-0 mr-2" />
+            <span className="flex-1 truncate font-medium">{col.name}</span>
+            <span className="text-[10px] font-mono ml-3 shrink-0 lowercase">{col.type}</span>
           </div>
         ))}
+        {detail === 'all' && (hidden.length > 0 || expanded) && data.columns.length > MAX_VISIBLE_COLUMNS && (
+          <button
+            onClick={(e) => { e.stopPropagation(); setExpanded(x => !x); }}
+            className="nodrag px-3 py-1.5 text-[10px] font-bold text-blue-500 hover:bg-slate-50 text-left"
+          >
+            {expanded ? 'Show fewer' : `Show ${hidden.length} more`}
+          </button>
+        )}
       </div>
     </div>
   );
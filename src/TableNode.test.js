@@ -0,0 +1,117 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { act } from 'react-dom/test-utils';
+import { ReactFlowProvider } from 'reactflow';
+import TableNode from './TableNode';
+import { normalizeColumn } from './columns';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const columns = [
+  normalizeColumn({ name: 'id', type: 'int', isPK: true }),
+  normalizeColumn({ name: 'email', type: 'varchar(255)' }),
+];
+
+let root;
+let container;
+const onUpdateTable = jest.fn();
+// Re-rendering with changed data stands in for App applying onUpdateTable
+const renderTable = (data = {}) => act(() => root.render(
+  <ReactFlowProvider>
+    <TableNode id="users" data={{ label: 'users', columns, onUpdateTable, ...data }} />
+  </ReactFlowProvider>
+));
+beforeEach(() => {
+  onUpdateTable.mockClear();
+  container = document.createElement('div');
+  root = createRoot(container);
+});
+afterEach(() => act(() => root.unmount()));
+
+const spanWithText = (text) => Array.from(container.querySelectorAll('span')).find(s => s.textContent === text);
+const fire = (element, event) => act(() => {
+  element.dispatchEvent(event);
+});
+const type = (input, value) => act(() => {
+  Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set.call(input, value);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+});
+const press = (input, key) => fire(input, new KeyboardEvent('keydown', { key, bubbles: true }));
+const rename = (text, value, key = 'Enter') => {
+  fire(spanWithText(text), new MouseEvent('dblclick', { bubbles: true }));
+  const input = container.querySelector('input');
+  type(input, value);
+  press(input, key);
+};
+
+test('renames the table on double-click and Enter', () => {
+  renderTable();
+  rename('users', ' customers ');
+
+  expect(onUpdateTable).toHaveBeenCalledWith('users', { label: 'customers' });
+  expect(container.querySelector('input')).toBeNull();
+});
+
+test('renames a column and reports the rename for its relationships', () => {
+  renderTable();
+  rename('email', 'login');
+
+  expect(onUpdateTable).toHaveBeenCalledWith('users', { columns: [columns[0], { ...columns[1], name: 'login' }] }, { email: 'login' });
+});
+
+test('leaves names alone on Escape, when unchanged or when taken', () => {
+  renderTable();
+  rename('users', 'customers', 'Escape');
+  rename('email', 'email');
+  rename('email', 'ID');
+
+  expect(onUpdateTable).not.toHaveBeenCalled();
+});
+
+const addColumn = (value, key = 'Enter') => {
+  fire(container.querySelector('[title="Add column"]'), new MouseEvent('click', { bubbles: true }));
+  const input = container.querySelector('input');
+  type(input, value);
+  press(input, key);
+};
+
+test('adds a column once it is named, in a single update', () => {
+  renderTable({ columns: columns.concat(normalizeColumn({ name: 'Column' })) });
+  fire(container.querySelector('[title="Add column"]'), new MouseEvent('click', { bubbles: true }));
+  expect(container.querySelector('input').value).toBe('column_2');
+  expect(onUpdateTable).not.toHaveBeenCalled();
+
+  type(container.querySelector('input'), 'created_at');
+  press(container.querySelector('input'), 'Enter');
+  expect(onUpdateTable).toHaveBeenCalledTimes(1);
+  const [, { columns: added }] = onUpdateTable.mock.calls[0];
+  expect(added.map(c => c.name)).toEqual(['id', 'email', 'Column', 'created_at']);
+  expect(added[3]).toEqual(normalizeColumn({ name: 'created_at' }));
+  expect(container.querySelector('input')).toBeNull();
+});
+
+test('adds nothing on Escape or when the name is blank or taken', () => {
+  renderTable();
+  addColumn('created_at', 'Escape');
+  addColumn('  ');
+  addColumn('EMAIL');
+
+  expect(onUpdateTable).not.toHaveBeenCalled();
+});
+
+test('toggles keys on a column', () => {
+  renderTable();
+  fire(container.querySelector('[title="Set primary key"]'), new MouseEvent('click', { bubbles: true }));
+  fire(container.querySelector('[title="Unset primary key"]'), new MouseEvent('click', { bubbles: true }));
+
+  expect(onUpdateTable.mock.calls.map(([, changes]) => changes.columns.map(c => c.isPK))).toEqual([[true, true], [false, false]]);
+});
+
+test('offers no inline editing on read-only tables', () => {
+  renderTable({ readOnly: true });
+  fire(spanWithText('users'), new MouseEvent('dblclick', { bubbles: true }));
+
+  expect(container.querySelector('input')).toBeNull();
+  expect(container.querySelector('[title="Add column"]')).toBeNull();
+  expect(onUpdateTable).not.toHaveBeenCalled();
+});
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Copy, Edit2, FolderOpen, Plus, Trash2 } from 'lucide-react';
+
+const formatDate = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' }) : '';
+
+const WorkspacePanel = ({ diagrams, activeId, onOpen, onCreate, onRename, onDuplicate, onDelete }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const active = diagrams.find(d => d.id === activeId);
+
+  const startRename = (diagram) => {
+    setRenamingId(diagram.id);
+    setDraftName(diagram.name);
+  };
+
+  const commitRename = () => {
+    if (renamingId && draftName.trim()) onRename(renamingId, draftName.trim());
+    setRenamingId(null);
+  };
+
+  return (
+    <section className="mb-6 -mt-4">
+      <button
+        onClick={() => setExpanded(e => !e)}
+        className="w-full flex items-center gap-2 p-2 rounded bg-slate-800/60 border border-slate-700 text-left hover:border-slate-500"
+      >
+        <FolderOpen size={14} className="text-blue-400 shrink-0" />
+        <span className="flex-1 truncate text-xs font-bold">{active?.name || 'Loading…'}</span>
+        {expanded ? <ChevronDown size={14} className="text-slate-500" /> : <ChevronRight size={14} className="text-slate-500" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-1">
+          {diagrams.map(d => (
+            <div
+              key={d.id}
+              className={`group flex items-center gap-2 px-2 py-1.5 rounded text-[11px] ${d.id === activeId ? 'bg-blue-500/15 text-white' : 'text-slate-400 hover:bg-slate-800'}`}
+            >
+              {renamingId === d.id ? (
+                <input
+                  autoFocus
+                  className="flex-1 bg-slate-900 border border-slate-700 p-1 rounded text-xs text-white outline-none focus:border-blue-500"
+                  value={draftName}
+                  onChange={e => setDraftName(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                />
+              ) : (
+                <button onClick={() => onOpen(d.id)} onDoubleClick={() => startRename(d)} className="flex-1 min-w-0 text-left">
+                  <span className="block truncate font-bold">{d.name}</span>
+                  <span className="block text-[9px] text-slate-500">
+                    {d.tableCount} {d.tableCount === 1 ? 'table' : 'tables'} · {formatDate(d.updatedAt)}
+                  </span>
+                </button>
+              )}
+              <div className="flex items-center gap-1.5 opacity-0 group-hover:opacity-100">
+                <button onClick={() => startRename(d)} title="Rename" className="hover:text-white"><Edit2 size={11} /></button>
+                <button onClick={() => onDuplicate(d.id)} title="Duplicate" className="hover:text-white"><Copy size={11} /></button>
+                <button onClick={() => onDelete(d.id)} title="Delete" className="hover:text-red-400"><Trash2 size={11} /></button>
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={onCreate}
+            className="w-full mt-1 p-1.5 rounded border border-dashed border-slate-700 text-[10px] font-bold text-slate-400 hover:text-white hover:border-slate-500 flex items-center justify-center gap-1"
+          >
+            <Plus size={12} />
+            New diagram
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default WorkspacePanel;
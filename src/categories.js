@@ -0,0 +1,49 @@
+import { isTable } from './groups';
+
+export const createCategoryId = () => `category_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+/** Sets each node's color from its category; nodes that already match are returned as they were. */
+export const applyCategoryColors = (nodes, legend) => {
+  const hexOf = Object.fromEntries(legend.map(l => [l.id, l.hex]));
+  return nodes.map((n) => {
+    const color = hexOf[n.data?.category];
+    return !color || n.data.color === color ? n : { ...n, data: { ...n.data, color } };
+  });
+};
+
+/** Number of tables in each category, by category id. */
+export const countByCategory = (nodes) => nodes.filter(isTable).reduce((counts, n) => {
+  counts[n.data.category] = (counts[n.data.category] || 0) + 1;
+  return counts;
+}, {});
+
+export const recolorCategory = ({ nodes, legend }, id, hex) => {
+  const next = legend.map(l => (l.id === id ? { ...l, hex } : l));
+  return { legend: next, nodes: applyCategoryColors(nodes, next) };
+};
+
+/** Moves an entry `offset` places up (negative) or down the legend. */
+export const moveCategory = (legend, id, offset) => {
+  const from = legend.findIndex(l => l.id === id);
+  const to = Math.min(Math.max(from + offset, 0), legend.length - 1);
+  if (from === -1 || from === to) return legend;
+  const next = legend.slice();
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+};
+
+/**
+ * Removes a category and moves its tables and groups to `replacementId`,
+ * the first remaining category unless given.
+ */
+export const deleteCategory = ({ nodes, legend }, id, replacementId) => {
+  const next = legend.filter(l => l.id !== id);
+  const replacement = next.find(l => l.id === replacementId) || next[0];
+  if (!replacement) return { nodes, legend };
+  return {
+    legend: next,
+    nodes: nodes.map(n => (n.data?.category === id
+      ? { ...n, data: { ...n.data, category: replacement.id, color: replacement.hex } }
+      : n)),
+  };
+};
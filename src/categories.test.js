@@ -0,0 +1,31 @@
+import { applyCategoryColors, countByCategory, recolorCategory, moveCategory, deleteCategory } from './categories';
+
+const legend = [
+  { id: '1', name: 'Reporting', hex: '#fbbf24' },
+  { id: '2', name: 'Staging', hex: '#cd7f32' },
+  { id: '3', name: 'Refined', hex: '#10b981' },
+];
+const node = (id, category, type = 'tableNode') => ({ id, type, data: { label: id, category, color: legend.find(l => l.id === category).hex } });
+const nodes = [node('a', '1'), node('b', '2'), node('c', '2'), node('g', '2', 'groupNode')];
+
+test('recoloring a category recolors every node in it and nothing else', () => {
+  const next = recolorCategory({ nodes, legend }, '2', '#000000');
+
+  expect(next.legend[1]).toEqual({ id: '2', name: 'Staging', hex: '#000000' });
+  expect(next.nodes.map(n => n.data.color)).toEqual(['#fbbf24', '#000000', '#000000', '#000000']);
+  expect(next.nodes[0]).toBe(nodes[0]);
+  expect(applyCategoryColors(nodes, legend)).toEqual(nodes);
+  expect(countByCategory(nodes)).toEqual({ 1: 1, 2: 2 });
+});
+
+test('reorders and deletes categories, moving their tables to another', () => {
+  expect(moveCategory(legend, '3', -1).map(l => l.id)).toEqual(['1', '3', '2']);
+  expect(moveCategory(legend, '1', -1)).toBe(legend);
+
+  const removed = deleteCategory({ nodes, legend }, '2', '3');
+  expect(removed.legend.map(l => l.id)).toEqual(['1', '3']);
+  expect(removed.nodes.map(n => [n.data.category, n.data.color])).toEqual([
+    ['1', '#fbbf24'], ['3', '#10b981'], ['3', '#10b981'], ['3', '#10b981'],
+  ]);
+  expect(deleteCategory({ nodes, legend }, '1').nodes[0].data.category).toBe('2');
+});
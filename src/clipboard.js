@@ -0,0 +1,84 @@
+import { serializeDiagram } from './diagramFormat';
+import { mergeLegend } from './diagramMerge';
+import { getAbsolutePosition, isGroup, isTable, sortGroupsFirst } from './groups';
+
+// Duplicates land this far below and to the right of the originals
+export const PASTE_OFFSET = 40;
+
+const labelKey = (label) => String(label || '').trim().toLowerCase();
+
+const uniqueLabel = (label, taken) => {
+  if (!taken.has(labelKey(label))) return label;
+  let candidate = `${label}_copy`;
+  for (let i = 2; taken.has(labelKey(candidate)); i += 1) candidate = `${label}_copy${i}`;
+  return candidate;
+};
+
+/**
+ * The selected nodes as a diagram file, with the tables inside selected
+ * groups and the edges between copied tables. A table copied without its
+ * group keeps its place on the canvas. Null when nothing is selected.
+ */
+export const copySelection = ({ nodes, edges, legend }, ids) => {
+  const groupIds = new Set(nodes.filter(n => isGroup(n) && ids.includes(n.id)).map(n => n.id));
+  const copied = nodes
+    .filter(n => ids.includes(n.id) || groupIds.has(n.parentNode))
+    .map(({ parentNode, ...n }) => (parentNode && !groupIds.has(parentNode)
+      ? { ...n, position: getAbsolutePosition({ ...n, parentNode }, nodes) }
+      : { ...n, ...(parentNode && { parentNode }) }));
+  if (copied.length === 0) return null;
+  const copiedIds = new Set(copied.map(n => n.id));
+  const categories = new Set(copied.map(n => n.data.category));
+  return serializeDiagram({
+    nodes: copied,
+    edges: edges.filter(e => copiedIds.has(e.source) && copiedIds.has(e.target)),
+    legend: legend.filter(l => categories.has(l.id)),
+  });
+};
+
+/**
+ * Adds copied nodes and edges to the diagram under fresh ids. Tables whose
+ * name is taken get a "_copy" suffix, legend entries merge by color, and
+ * the copied block's top-left corner lands on `at` (by default just off
+ * where it was copied from). Only the pasted nodes end up selected.
+ */
+export const pasteDiagram = (current, copied, at) => {
+  const stamp = Date.now();
+  const { legend, categoryMap } = mergeLegend(current.legend, copied.legend, stamp);
+  const topLevel = copied.nodes.filter(n => !n.parentNode);
+  const origin = {
+    x: Math.min(...topLevel.map(n => n.position.x)),
+    y: Math.min(...topLevel.map(n => n.position.y)),
+  };
+  const target = at || { x: origin.x + PASTE_OFFSET, y: origin.y + PASTE_OFFSET };
+  const taken = new Set(current.nodes.filter(isTable).map(n => labelKey(n.data.label)));
+
+  const idMap = {};
+  const pasted = copied.nodes.map((node, index) => {
+    const id = `${isGroup(node) ? 'group' : 'node'}_${stamp}_${index}`;
+    idMap[node.id] = id;
+    const label = isTable(node) ? uniqueLabel(node.data.label, taken) : node.data.label;
+    if (isTable(node)) taken.add(labelKey(label));
+    return {
+      ...node,
+      id,
+      selected: true,
+      position: node.parentNode ? node.position : { x: node.position.x - origin.x + target.x, y: node.position.y - origin.y + target.y },
+      data: { ...node.data, label, category: categoryMap[node.data.category] ?? node.data.category },
+    };
+  }).map(node => (node.parentNode ? { ...node, parentNode: idMap[node.parentNode] } : node));
+
+  const edges = copied.edges.map((edge, index) => ({
+    ...edge,
+    id: `e-${stamp}-${index}`,
+    source: idMap[edge.source],
+    target: idMap[edge.target],
+    selected: false,
+  }));
+
+  return {
+    nodes: sortGroupsFirst(current.nodes.map(n => (n.selected ? { ...n, selected: false } : n)).concat(pasted)),
+    edges: current.edges.map(e => (e.selected ? { ...e, selected: false } : e)).concat(edges),
+    legend,
+  };
+};
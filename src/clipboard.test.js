@@ -0,0 +1,62 @@
+import { copySelection, pasteDiagram } from './clipboard';
+import { deserializeDiagram } from './diagramFormat';
+
+const table = (id, label, x, y, extra = {}) => ({
+  id, type: 'tableNode', position: { x, y }, data: { label, category: '1', color: '#fbbf24', columns: [{ name: 'id', isPK: true }] }, ...extra,
+});
+
+const legend = [{ id: '1', name: 'Reporting', hex: '#fbbf24' }, { id: '2', name: 'Unused', hex: '#000000' }];
+const nodes = [
+  { id: 'g', type: 'groupNode', position: { x: 100, y: 100 }, style: { width: 400, height: 300 }, data: { label: 'Billing', category: '1' } },
+  table('users', 'users', 0, 0),
+  table('orders', 'orders', 20, 40, { parentNode: 'g' }),
+  table('items', 'items', 300, 0),
+];
+const edges = [
+  { id: 'e1', source: 'users', target: 'orders', data: { relType: '1:N' } },
+  { id: 'e2', source: 'orders', target: 'items', data: { relType: '1:N' } },
+];
+
+test('copies the selection with its internal edges and used categories', () => {
+  const copied = copySelection({ nodes, edges, legend }, ['users', 'orders']);
+
+  expect(copied.nodes.map(n => [n.id, n.position, n.parentNode])).toEqual([
+    ['users', { x: 0, y: 0 }, undefined],
+    ['orders', { x: 120, y: 140 }, undefined],
+  ]);
+  expect(copied.edges.map(e => e.id)).toEqual(['e1']);
+  expect(copied.legend).toEqual([legend[0]]);
+  expect(copySelection({ nodes, edges, legend }, ['g']).nodes.map(n => n.id)).toEqual(['g', 'orders']);
+  expect(copySelection({ nodes, edges, legend }, [])).toBeNull();
+});
+
+test('pastes under fresh ids and names, selecting only the pasted nodes', () => {
+  const copied = deserializeDiagram(copySelection({ nodes, edges, legend }, ['users', 'orders']));
+  const current = { nodes: nodes.map(n => (n.id === 'users' ? { ...n, selected: true } : n)), edges, legend };
+  const pasted = pasteDiagram(current, copied);
+  const added = pasted.nodes.slice(nodes.length);
+
+  expect(added.map(n => [n.data.label, n.position, n.selected])).toEqual([
+    ['users_copy', { x: 40, y: 40 }, true],
+    ['orders_copy', { x: 160, y: 180 }, true],
+  ]);
+  expect(pasted.nodes.find(n => n.id === 'users').selected).toBe(false);
+  expect(pasted.edges[2]).toMatchObject({ source: added[0].id, target: added[1].id, data: { relType: '1:N' } });
+  expect(pasted.legend).toEqual(legend);
+
+  const again = pasteDiagram(pasted, copied, { x: 1000, y: 500 });
+  expect(again.nodes.slice(-2).map(n => [n.data.label, n.position])).toEqual([
+    ['users_copy2', { x: 1000, y: 500 }],
+    ['orders_copy2', { x: 1120, y: 640 }],
+  ]);
+});
+
+test('keeps copied groups around their tables', () => {
+  const copied = deserializeDiagram(copySelection({ nodes, edges, legend }, ['g']));
+  const pasted = pasteDiagram({ nodes: [], edges: [], legend: [] }, copied, { x: 0, y: 0 });
+
+  expect(pasted.nodes[0]).toMatchObject({ type: 'groupNode', position: { x: 0, y: 0 }, style: { width: 400, height: 300 } });
+  expect(pasted.nodes[1]).toMatchObject({ parentNode: pasted.nodes[0].id, position: { x: 20, y: 40 }, data: { label: 'orders' } });
+  expect(pasted.legend).toHaveLength(1);
+  expect(pasted.nodes[1].data.category).toBe(pasted.legend[0].id);
+});
@@ -0,0 +1,202 @@
+import * as Y from 'yjs';
+import { serializeDiagram, deserializeDiagram, FORMAT_NAME, FORMAT_VERSION } from './diagramFormat';
+import { isGroup, sortGroupsFirst } from './groups';
+
+/*
+ * Shared document layout. Every table is a map of its own fields, so one
+ * user moving a table and another renaming it or editing its columns both
+ * survive. Edges and legend entries are replaced as a whole, keyed by id.
+ *
+ *   nodes:  id -> Y.Map { type, position, parentNode?, size?, label, color, columns, ... }
+ *   edges:  id -> serialized edge
+ *   legend: id -> { id, name, hex, index }
+ */
+
+export const DEFAULT_RELAY_URL = `ws://${typeof window !== 'undefined' ? window.location.hostname || 'localhost' : 'localhost'}:1234`;
+
+export const PEER_COLORS = ['#ef4444', '#f97316', '#10b981', '#06b6d4', '#6366f1', '#d946ef', '#84cc16', '#f43f5e'];
+
+// Origins of document changes: local edits are undoable and sent to the
+// relay, changes from the relay are neither
+const LOCAL = 'local';
+const REMOTE = 'remote';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Applies what changed from `previous` to `next`, or makes the map equal to `next` without `previous`
+const applyChanges = (yMap, next, previous, write) => {
+  const keys = previous ? Object.keys(previous) : Array.from(yMap.keys());
+  keys.filter(key => !(key in next)).forEach(key => yMap.delete(key));
+  Object.entries(next).forEach(([key, value]) => {
+    if (previous && same(previous[key], value)) return;
+    write(key, value, previous?.[key]);
+  });
+};
+
+const setField = (yMap) => (key, value) => {
+  if (!same(yMap.get(key), value)) yMap.set(key, value);
+};
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+const nodeFields = ({ id, data, ...fields }) => ({ ...fields, ...data });
+const legendEntries = (legend) => Object.fromEntries(legend.map((l, index) => [l.id, { ...l, index }]));
+
+export const isDocEmpty = (doc) =>
+  doc.getMap('nodes').size === 0 && doc.getMap('edges').size === 0 && doc.getMap('legend').size === 0;
+
+/**
+ * Writes local edits into the shared document. Only the fields that differ
+ * between `previous` (the state last written or read) and `diagram` are
+ * written, so a peer's concurrent change to another field is never
+ * overwritten with a stale value. Without `previous` the whole diagram is
+ * written, as when a room is first filled.
+ */
+export const writeDiagramToDoc = (doc, diagram, previous = null) => {
+  const content = serializeDiagram(diagram);
+  const before = previous && serializeDiagram(previous);
+  doc.transact(() => {
+    const yNodes = doc.getMap('nodes');
+    applyChanges(yNodes, byId(content.nodes), before && byId(before.nodes), (id, node, previousNode) => {
+      let yNode = yNodes.get(id);
+      if (!yNode) {
+        yNode = new Y.Map();
+        yNodes.set(id, yNode);
+      }
+      applyChanges(yNode, nodeFields(node), previousNode && nodeFields(previousNode), setField(yNode));
+    });
+    const yEdges = doc.getMap('edges');
+    applyChanges(yEdges, byId(content.edges), before && byId(before.edges), setField(yEdges));
+    const yLegend = doc.getMap('legend');
+    applyChanges(yLegend, legendEntries(content.legend), before && legendEntries(before.legend), setField(yLegend));
+  }, LOCAL);
+};
+
+/** Undo and redo of this user's own edits only. */
+export const createUndoManager = (doc) =>
+  new Y.UndoManager([doc.getMap('nodes'), doc.getMap('edges'), doc.getMap('legend')], { trackedOrigins: new Set([LOCAL]) });
+
+/** Reads the shared document back into React Flow nodes, edges and a legend. */
+export const readDiagramFromDoc = (doc) => {
+  const nodes = Array.from(doc.getMap('nodes').entries()).map(([id, yNode]) => {
+    const { type, position, parentNode, size, ...data } = yNode.toJSON();
+    return {
+      id,
+      type,
+      position,
+      ...(parentNode && { parentNode }),
+      ...(size && { size }),
+      data: isGroup({ type }) ? data : { columns: [], ...data },
+    };
+  });
+  const edges = Array.from(doc.getMap('edges').values());
+  const legend = Array.from(doc.getMap('legend').values())
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...item }) => item);
+  return deserializeDiagram({ format: FORMAT_NAME, version: FORMAT_VERSION, nodes, edges, legend });
+};
+
+/**
+ * Replaces local nodes with the shared ones, keeping the local order, the
+ * local selection and what React Flow measured. Group membership and size
+ * always come from the shared nodes.
+ */
+export const mergeRemoteNodes = (local, remote, handlers = {}) => {
+  const remoteById = new Map(remote.map(n => [n.id, n]));
+  const kept = local.filter(n => remoteById.has(n.id)).map((n) => {
+    const next = remoteById.get(n.id);
+    remoteById.delete(n.id);
+    return {
+      ...n,
+      ...next,
+      parentNode: next.parentNode,
+      style: next.style,
+      selected: n.selected,
+      data: { ...next.data, ...handlers },
+    };
+  });
+  return sortGroupsFirst(kept.concat(Array.from(remoteById.values()).map(n => ({ ...n, data: { ...n.data, ...handlers } }))));
+};
+
+/** Why `url` cannot be used to reach a relay, or null when it can. */
+export const relayUrlError = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `"${url}" is not a valid URL.`;
+  }
+  if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+    return `The relay URL must start with ws:// or wss://, not ${parsed.protocol}//.`;
+  }
+  return null;
+};
+
+/**
+ * Joins a room on the relay (server/relay.js) with a fresh shared document.
+ * Document updates travel as binary frames and presence (name, color,
+ * cursor, selection) as JSON text frames. The relay answers with the room's
+ * state; `onSync` runs once that has been applied, `onChange` after every
+ * later change that did not come from writeDiagramToDoc. Throws when `url`
+ * is not a relay URL (see relayUrlError).
+ */
+export const connectCollaboration = ({ url, room, onSync, onChange, onPeers, onStatus }) => {
+  const urlError = relayUrlError(url);
+  if (urlError) throw new Error(urlError);
+  const doc = new Y.Doc();
+  const undoManager = createUndoManager(doc);
+  const socket = new WebSocket(`${url.replace(/\/+$/, '')}/${encodeURIComponent(room)}`);
+  socket.binaryType = 'arraybuffer';
+  const peers = new Map();
+  let synced = false;
+
+  const onUpdate = (update, origin) => {
+    if (!synced) return;
+    if (origin !== REMOTE && socket.readyState === WebSocket.OPEN) socket.send(update);
+    if (origin !== LOCAL) onChange();
+  };
+  doc.on('update', onUpdate);
+
+  onStatus('connecting');
+  socket.onmessage = ({ data }) => {
+    if (typeof data !== 'string') {
+      try {
+        Y.applyUpdate(doc, new Uint8Array(data), REMOTE);
+      } catch (err) {
+        console.error('Collaboration: dropped an invalid update', err);
+        return;
+      }
+      if (!synced) {
+        synced = true;
+        onStatus('connected');
+        onSync();
+      }
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'presence') peers.set(message.id, message);
+    if (message.type === 'leave') peers.delete(message.id);
+    onPeers(Array.from(peers.values()));
+  };
+  socket.onclose = () => {
+    doc.off('update', onUpdate);
+    undoManager.destroy();
+    peers.clear();
+    onPeers([]);
+    onStatus('disconnected');
+  };
+
+  return {
+    doc,
+    undoManager,
+    setPresence: (presence) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ ...presence, type: 'presence' }));
+    },
+    disconnect: () => socket.close(),
+  };
+};
@@ -0,0 +1,143 @@
+import * as Y from 'yjs';
+import { writeDiagramToDoc, readDiagramFromDoc, mergeRemoteNodes, isDocEmpty, createUndoManager, relayUrlError, connectCollaboration } from './collaboration';
+import { createRelationshipEdge } from './relationships';
+
+const table = (id, label, x = 0) => ({
+  id, type: 'tableNode', position: { x, y: 0 }, data: { label, category: '1', columns: [{ name: 'id', type: 'integer', isPK: true }] },
+});
+
+const diagram = {
+  nodes: [table('u', 'users'), table('o', 'orders', 300)],
+  edges: [],
+  legend: [{ id: '1', name: 'Reporting', hex: '#fbbf24' }, { id: '2', name: 'Staging', hex: '#cd7f32' }],
+};
+
+const sync = (a, b) => {
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)));
+  Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)));
+};
+
+test('reads back what was written', () => {
+  const doc = new Y.Doc();
+  expect(isDocEmpty(doc)).toBe(true);
+  writeDiagramToDoc(doc, diagram);
+
+  const read = readDiagramFromDoc(doc);
+  expect(read.nodes.map(n => [n.id, n.data.label, n.position.x])).toEqual([['u', 'users', 0], ['o', 'orders', 300]]);
+  expect(read.legend.map(l => l.name)).toEqual(['Reporting', 'Staging']);
+
+  const updates = jest.fn();
+  doc.on('update', updates);
+  writeDiagramToDoc(doc, read);
+  writeDiagramToDoc(doc, read, read);
+  expect(updates).not.toHaveBeenCalled();
+});
+
+test('merges concurrent edits to the same table and to the edges', () => {
+  const a = new Y.Doc();
+  const b = new Y.Doc();
+  writeDiagramToDoc(a, diagram);
+  sync(a, b);
+
+  const fromA = readDiagramFromDoc(a);
+  writeDiagramToDoc(a, { ...fromA, nodes: fromA.nodes.map(n => (n.id === 'u' ? { ...n, position: { x: 50, y: 80 } } : n)) }, fromA);
+
+  // B still shows the old position when the move arrives, then writes its own edit
+  const fromB = readDiagramFromDoc(b);
+  sync(a, b);
+  writeDiagramToDoc(b, {
+    ...fromB,
+    nodes: fromB.nodes.map(n => (n.id === 'u' ? { ...n, data: { ...n.data, label: 'customers' } } : n)),
+    edges: [createRelationshipEdge({ id: 'e1', source: 'u', target: 'o' }, '1:N', {})],
+  }, fromB);
+  sync(a, b);
+
+  const merged = readDiagramFromDoc(a);
+  expect(merged.nodes.find(n => n.id === 'u')).toMatchObject({ position: { x: 50, y: 80 }, data: { label: 'customers' } });
+  expect(merged.edges.map(e => [e.id, e.data.relType])).toEqual([['e1', '1:N']]);
+  expect(readDiagramFromDoc(b)).toEqual(merged);
+});
+
+test('undoes only the local user\'s edits', () => {
+  const a = new Y.Doc();
+  const b = new Y.Doc();
+  writeDiagramToDoc(a, diagram);
+  sync(a, b);
+  const undoManager = createUndoManager(a);
+
+  const fromA = readDiagramFromDoc(a);
+  writeDiagramToDoc(a, { ...fromA, nodes: fromA.nodes.filter(n => n.id !== 'o') }, fromA);
+  const fromB = readDiagramFromDoc(b);
+  writeDiagramToDoc(b, { ...fromB, nodes: fromB.nodes.map(n => ({ ...n, data: { ...n.data, category: '2' } })) }, fromB);
+  sync(a, b);
+
+  undoManager.undo();
+  expect(readDiagramFromDoc(a).nodes.map(n => [n.id, n.data.color])).toEqual([['u', '#cd7f32'], ['o', '#fbbf24']]);
+});
+
+test('keeps the local order, selection and measurements of nodes', () => {
+  const local = [{ ...table('o', 'orders'), selected: true, width: 220, height: 90 }, table('u', 'users')];
+  const remote = [table('n', 'new'), table('u', 'people'), table('o', 'orders', 40)];
+  const onDelete = () => {};
+
+  const merged = mergeRemoteNodes(local, remote, { onDelete });
+  expect(merged.map(n => n.id)).toEqual(['o', 'u', 'n']);
+  expect(merged[0]).toMatchObject({ selected: true, width: 220, position: { x: 40 } });
+  expect(merged[1].data).toMatchObject({ label: 'people', onDelete });
+});
+
+test('shares groups and which tables are in them', () => {
+  const doc = new Y.Doc();
+  const group = { id: 'g', type: 'groupNode', position: { x: 0, y: 0 }, style: { width: 480, height: 320 }, data: { label: 'Billing', category: '1' } };
+  writeDiagramToDoc(doc, { ...diagram, nodes: [{ ...table('u', 'users'), parentNode: 'g' }, group] });
+
+  const read = readDiagramFromDoc(doc);
+  expect(read.nodes.map(n => [n.id, n.parentNode])).toEqual([['g', undefined], ['u', 'g']]);
+  expect(read.nodes[0]).toMatchObject({ style: { width: 480, height: 320 }, data: { label: 'Billing' } });
+  expect(read.nodes[0].data.columns).toBeUndefined();
+
+  const merged = mergeRemoteNodes([{ ...table('u', 'users'), parentNode: 'g' }, group], [group, table('u', 'users')]);
+  expect(merged.find(n => n.id === 'u').parentNode).toBeUndefined();
+});
+
+test('accepts only ws:// and wss:// relay URLs', () => {
+  expect(relayUrlError('ws://localhost:1234')).toBeNull();
+  expect(relayUrlError('wss://relay.example.com/')).toBeNull();
+  expect(relayUrlError('http://localhost:1234')).toMatch(/ws:\/\/ or wss:\/\//);
+  expect(relayUrlError('localhost:1234')).toMatch(/ws:\/\/ or wss:\/\//);
+  expect(relayUrlError('ws://')).toMatch(/not a valid URL/);
+});
+
+test('drops malformed frames from the relay and keeps the session', () => {
+  const sockets = [];
+  const RealWebSocket = global.WebSocket;
+  global.WebSocket = class {
+    static OPEN = 1;
+    readyState = 1;
+    constructor() { sockets.push(this); }
+    send() {}
+    close() { this.onclose(); }
+  };
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const onSync = jest.fn();
+  const onPeers = jest.fn();
+  const session = connectCollaboration({ url: 'ws://relay', room: 'r', onSync, onChange: () => {}, onPeers, onStatus: () => {} });
+  const [socket] = sockets;
+
+  ['null', '7', '"text"'].forEach(data => socket.onmessage({ data }));
+  socket.onmessage({ data: new Uint8Array([255, 255, 255]).buffer });
+  expect(onSync).not.toHaveBeenCalled();
+  expect(onPeers).not.toHaveBeenCalled();
+
+  const remote = new Y.Doc();
+  writeDiagramToDoc(remote, diagram);
+  socket.onmessage({ data: Y.encodeStateAsUpdate(remote).buffer });
+  socket.onmessage({ data: JSON.stringify({ type: 'presence', id: 2, name: 'Ada' }) });
+  expect(onSync).toHaveBeenCalledTimes(1);
+  expect(onPeers).toHaveBeenLastCalledWith([{ type: 'presence', id: 2, name: 'Ada' }]);
+  expect(readDiagramFromDoc(session.doc).nodes).toHaveLength(diagram.nodes.length);
+
+  session.disconnect();
+  error.mockRestore();
+  global.WebSocket = RealWebSocket;
+});
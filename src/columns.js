@@ -0,0 +1,140 @@
+export const normalizeColumn = (column = {}) => ({
+  ...column,
+  name: column.name ?? '',
+  type: column.type ?? '',
+  notNull: !!column.notNull,
+  unique: !!column.unique,
+  defaultValue: column.defaultValue ?? '',
+  description: column.description ?? '',
+  isPK: !!column.isPK,
+  isFK: !!column.isFK,
+  isCK: !!column.isCK,
+});
+
+// Splits on commas and newlines that are outside quotes and parentheses,
+// so `numeric(10, 2)` and `default 'a, b'` stay in one entry.
+const splitEntries = (text) => {
+  const entries = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === "'") quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth = Math.max(0, depth - 1);
+    if (!quoted && depth === 0 && (ch === ',' || ch === '\n')) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  entries.push(current);
+  return entries.map(e => e.trim()).filter(e => e !== '');
+};
+
+const TOKEN_PATTERN = /'(?:[^']|'')*'|\([^()]*\)|[^\s(']+(?:\([^()]*\))?/g;
+const KEY_TAG = /^\((pk|fk|ck)\)$/i;
+
+const unquote = (value) =>
+  /^'.*'$/.test(value) ? value.slice(1, -1).replace(/''/g, "'") : value;
+
+/**
+ * Parses the sidebar mini-syntax, one column per comma or line:
+ * `email varchar(255) not null unique default 'x' comment 'Login' (fk)`.
+ */
+export const parseColumnEntry = (entry) => {
+  const tokens = entry.match(TOKEN_PATTERN) || [];
+  const column = normalizeColumn({ name: tokens[0] || '' });
+  const typeParts = [];
+  let inType = true;
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    const word = token.toLowerCase();
+    const tag = KEY_TAG.exec(token);
+
+    if (tag) {
+      column[`is${tag[1].toUpperCase()}`] = true;
+      inType = false;
+    } else if (word === 'not' && tokens[i + 1]?.toLowerCase() === 'null') {
+      column.notNull = true;
+      inType = false;
+      i++;
+    } else if (word === 'null') {
+      column.notNull = false;
+      inType = false;
+    } else if (word === 'unique') {
+      column.unique = true;
+      inType = false;
+    } else if (word === 'default' && i + 1 < tokens.length) {
+      column.defaultValue = tokens[++i];
+      inType = false;
+    } else if (word === 'comment' && i + 1 < tokens.length) {
+      column.description = unquote(tokens[++i]);
+      inType = false;
+    } else if (inType) {
+      typeParts.push(token);
+    }
+  }
+
+  column.type = typeParts.join(' ').replace(/\s+\(/g, '(');
+  return column;
+};
+
+export const parseSchemaText = (text) =>
+  splitEntries(text).map(parseColumnEntry).filter(c => c.name !== '');
+
+export const formatColumn = (column) => {
+  let text = column.name;
+  if (column.type) text += ` ${column.type}`;
+  if (column.notNull) text += ' not null';
+  if (column.unique) text += ' unique';
+  if (column.defaultValue) text += ` default ${column.defaultValue}`;
+  if (column.description) text += ` comment '${column.description.replace(/'/g, "''")}'`;
+  if (column.isPK) text += ' (pk)';
+  if (column.isFK) text += ' (fk)';
+  if (column.isCK) text += ' (ck)';
+  return text;
+};
+
+export const formatSchemaText = (columns = []) => columns.map(formatColumn).join(',\n');
+
+// A column is treated as renamed when its old name disappeared and the column
+// now at the same position has a name that did not exist before.
+export const getColumnRenames = (oldColumns = [], newColumns = []) => {
+  const oldNames = new Set(oldColumns.map(c => c.name));
+  const newNames = new Set(newColumns.map(c => c.name));
+  const renames = {};
+  oldColumns.forEach((column, index) => {
+    const replacement = newColumns[index];
+    if (!newNames.has(column.name) && replacement && !oldNames.has(replacement.name)) {
+      renames[column.name] = replacement.name;
+    }
+  });
+  return renames;
+};
+
+/** Moves the column at `from` to `to`, shifting the ones in between. */
+export const moveColumn = (columns, from, to) => {
+  if (from === to || from < 0 || from >= columns.length) return columns;
+  const next = columns.slice();
+  next.splice(Math.min(Math.max(to, 0), columns.length - 1), 0, next.splice(from, 1)[0]);
+  return next;
+};
+
+/** `base`, or `base_2`, `base_3`… when the table already has it. */
+export const nextColumnName = (columns, base = 'column') => {
+  const taken = new Set(columns.map(c => c.name.toLowerCase()));
+  if (!taken.has(base.toLowerCase())) return base;
+  let i = 2;
+  while (taken.has(`${base}_${i}`.toLowerCase())) i++;
+  return `${base}_${i}`;
+};
+
+/** Renames a column, or returns null when the new name is empty or another column has it. */
+export const renameColumn = (columns, name, newName) => {
+  const next = newName.trim();
+  if (!next || columns.some(c => c.name !== name && c.name.toLowerCase() === next.toLowerCase())) return null;
+  return columns.map(c => (c.name === name ? { ...c, name: next } : c));
+};
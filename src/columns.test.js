@@ -0,0 +1,40 @@
+import { parseSchemaText, formatSchemaText, getColumnRenames, moveColumn, nextColumnName, renameColumn } from './columns';
+
+test('parses types, constraints and key tags from the mini syntax', () => {
+  const columns = parseSchemaText("id int (pk), price numeric(10, 2) not null default 0,\nemail varchar(255) not null unique comment 'Login, lower-cased', user_id (fk)");
+
+  expect(columns).toHaveLength(4);
+  expect(columns[0]).toMatchObject({ name: 'id', type: 'int', isPK: true, notNull: false });
+  expect(columns[1]).toMatchObject({ name: 'price', type: 'numeric(10, 2)', notNull: true, defaultValue: '0' });
+  expect(columns[2]).toMatchObject({ type: 'varchar(255)', notNull: true, unique: true, description: 'Login, lower-cased' });
+  expect(columns[3]).toMatchObject({ name: 'user_id', type: '', isFK: true });
+});
+
+test('formats columns back into text that parses to the same model', () => {
+  const text = "id bigint (pk) (fk), status text default 'new' comment 'It''s set by jobs'";
+  const columns = parseSchemaText(text);
+
+  expect(columns[1].description).toBe("It's set by jobs");
+  expect(formatSchemaText(columns)).toBe("id bigint (pk) (fk),\nstatus text default 'new' comment 'It''s set by jobs'");
+  expect(parseSchemaText(formatSchemaText(columns))).toEqual(columns);
+});
+
+test('detects renames by position without mistaking reorders for them', () => {
+  const before = parseSchemaText('id (pk), user_id (fk), total');
+
+  expect(getColumnRenames(before, parseSchemaText('id (pk), customer_id (fk), total'))).toEqual({ user_id: 'customer_id' });
+  expect(getColumnRenames(before, parseSchemaText('total, id (pk), user_id (fk)'))).toEqual({});
+});
+
+test('reorders, names and renames columns for inline editing', () => {
+  const columns = parseSchemaText('id (pk), column, column_2, total');
+
+  expect(moveColumn(columns, 3, 1).map(c => c.name)).toEqual(['id', 'total', 'column', 'column_2']);
+  expect(moveColumn(columns, 0, 9).map(c => c.name)).toEqual(['column', 'column_2', 'total', 'id']);
+  expect(nextColumnName(columns)).toBe('column_3');
+  expect(nextColumnName(columns, 'email')).toBe('email');
+  expect(nextColumnName([{ name: 'Email' }, { name: 'EMAIL_2' }], 'email')).toBe('email_3');
+  expect(renameColumn(columns, 'total', ' amount ')[3]).toMatchObject({ name: 'amount' });
+  expect(renameColumn(columns, 'total', 'ID')).toBeNull();
+  expect(renameColumn(columns, 'total', '  ')).toBeNull();
+});
@@ -0,0 +1,169 @@
+import { normalizeColumn } from './columns';
+import { isTable } from './groups';
+import { isLineageEdge } from './lineage';
+import { getRelType } from './relationships';
+
+export const DICTIONARY_FORMATS = [
+  { id: 'dictionary-html', name: 'HTML', extension: 'html', type: 'text/html' },
+  { id: 'dictionary-md', name: 'Markdown', extension: 'md', type: 'text/markdown' },
+];
+
+// Cardinality read from the side of the table holding the foreign key
+const FROM_CHILD = { '1:1': '1:1', '1:N': 'N:1', 'N:M': 'N:M' };
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+const keyFlags = (column) => [
+  column.isPK && 'PK', column.isFK && 'FK', column.isCK && 'CK', column.unique && !column.isPK && 'UQ',
+].filter(Boolean);
+
+/**
+ * The model arranged for reading: legend categories in legend order, each
+ * with its tables by name. Every table lists its columns, the tables it
+ * references and the tables that reference it, with cardinality seen from
+ * that table. Lineage edges are not relationships and are left out.
+ */
+export const buildDataDictionary = ({ nodes, edges, legend = [] }) => {
+  const tables = nodes.filter(isTable);
+  const labelOf = Object.fromEntries(tables.map(t => [t.id, t.data.label]));
+  const relationships = edges.filter(e => !isLineageEdge(e) && labelOf[e.source] !== undefined && labelOf[e.target] !== undefined);
+
+  const entry = (node) => ({
+    id: node.id,
+    name: node.data.label,
+    columns: (node.data.columns || []).map(normalizeColumn).map(c => ({ ...c, keys: keyFlags(c) })),
+    references: relationships.filter(e => e.target === node.id).map(e => ({
+      tableId: e.source,
+      table: labelOf[e.source],
+      columns: e.data?.targetColumns || [],
+      otherColumns: e.data?.sourceColumns || [],
+      cardinality: FROM_CHILD[getRelType(e)],
+      name: e.data?.name || '',
+    })),
+    referencedBy: relationships.filter(e => e.source === node.id).map(e => ({
+      tableId: e.target,
+      table: labelOf[e.target],
+      columns: e.data?.sourceColumns || [],
+      otherColumns: e.data?.targetColumns || [],
+      cardinality: getRelType(e),
+      name: e.data?.name || '',
+    })),
+  });
+
+  const categories = legend
+    .map(l => ({ id: l.id, name: l.name, hex: l.hex, tables: tables.filter(t => t.data.category === l.id).map(entry).sort(byName) }))
+    .filter(c => c.tables.length);
+  const known = new Set(legend.map(l => l.id));
+  const uncategorized = tables.filter(t => !known.has(t.data.category)).map(entry).sort(byName);
+  if (uncategorized.length) categories.push({ id: '', name: 'Uncategorized', hex: '#334155', tables: uncategorized });
+
+  return { categories, tableCount: tables.length, relationshipCount: relationships.length };
+};
+
+const qualified = (table, columns) => (columns.length ? `${table}.${columns.join(', ')}` : table);
+
+const describeLink = (link, own) =>
+  `${qualified(own, link.columns)} → ${qualified(link.table, link.otherColumns)} (${link.cardinality})${link.name ? ` “${link.name}”` : ''}`;
+
+const summaryLine = (dictionary, generatedAt) =>
+  `Generated ${generatedAt.toISOString().slice(0, 10)} · ${dictionary.tableCount} ${dictionary.tableCount === 1 ? 'table' : 'tables'}`
+  + ` · ${dictionary.relationshipCount} ${dictionary.relationshipCount === 1 ? 'relationship' : 'relationships'}`;
+
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+/** The dictionary as Markdown; `image` is a data URL of the diagram, if any. */
+export const generateMarkdownDictionary = (model, { title = 'Data Dictionary', image, generatedAt = new Date() } = {}) => {
+  const dictionary = buildDataDictionary(model);
+  const lines = [`# ${title}`, '', `_${summaryLine(dictionary, generatedAt)}_`, ''];
+  if (image) lines.push(`![Diagram of ${title}](${image})`, '');
+
+  dictionary.categories.forEach((category) => {
+    lines.push(`## ${category.name}`, '');
+    category.tables.forEach((table) => {
+      lines.push(`### ${table.name}`, '');
+      if (table.columns.length) {
+        lines.push('| Column | Type | Keys | Nullable | Default | Description |', '| --- | --- | --- | --- | --- | --- |');
+        table.columns.forEach((c) => {
+          lines.push(`| ${[
+            c.name, c.type, c.keys.join(', '), c.notNull || c.isPK ? 'No' : 'Yes', c.defaultValue, c.description,
+          ].map(markdownCell).join(' | ')} |`);
+        });
+        lines.push('');
+      } else {
+        lines.push('_No columns._', '');
+      }
+      [['References', table.references], ['Referenced by', table.referencedBy]].forEach(([heading, links]) => {
+        if (!links.length) return;
+        lines.push(`**${heading}**`, '', ...links.map(link => `- ${describeLink(link, table.name)}`), '');
+      });
+    });
+  });
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const anchor = (prefix, id) => `${prefix}-${String(id).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+
+const HTML_STYLE = `
+body { font-family: system-ui, -apple-system, sans-serif; color: #1e293b; max-width: 1100px; margin: 0 auto; padding: 32px; }
+h1 { margin-bottom: 4px; } .summary { color: #64748b; margin-top: 0; }
+h2 { border-bottom: 3px solid; padding-bottom: 4px; margin-top: 48px; }
+h3 { margin: 32px 0 8px; font-family: ui-monospace, monospace; }
+figure { margin: 24px 0; } figure img { max-width: 100%; border: 1px solid #e2e8f0; border-radius: 8px; }
+nav ul { columns: 3; padding-left: 18px; } nav a, a { color: #2563eb; text-decoration: none; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f8fafc; } td.mono { font-family: ui-monospace, monospace; }
+.key { display: inline-block; font-size: 10px; font-weight: 700; padding: 0 4px; margin-right: 2px; border-radius: 3px; background: #e2e8f0; }
+.links { font-size: 13px; } .links h4 { margin: 12px 0 4px; font-size: 12px; text-transform: uppercase; color: #64748b; }
+.muted { color: #94a3b8; }
+`;
+
+/** The dictionary as one HTML file with its styles and diagram image inline. */
+export const generateHtmlDictionary = (model, { title = 'Data Dictionary', image, generatedAt = new Date() } = {}) => {
+  const dictionary = buildDataDictionary(model);
+
+  const linkItem = (link, own) => {
+    const target = `<a href="#${anchor('table', link.tableId)}">${escapeHtml(qualified(link.table, link.otherColumns))}</a>`;
+    return `<li>${escapeHtml(qualified(own, link.columns))} → ${target} (${link.cardinality})${link.name ? ` “${escapeHtml(link.name)}”` : ''}</li>`;
+  };
+
+  const tableSection = (table) => {
+    const rows = table.columns.map(c => `<tr><td class="mono">${escapeHtml(c.name)}</td><td class="mono">${escapeHtml(c.type)}</td>`
+      + `<td>${c.keys.map(k => `<span class="key">${k}</span>`).join('')}</td><td>${c.notNull || c.isPK ? 'No' : 'Yes'}</td>`
+      + `<td class="mono">${escapeHtml(c.defaultValue)}</td><td>${escapeHtml(c.description)}</td></tr>`).join('\n');
+    const columns = table.columns.length
+      ? `<table>\n<thead><tr><th>Column</th><th>Type</th><th>Keys</th><th>Nullable</th><th>Default</th><th>Description</th></tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`
+      : '<p class="muted">No columns.</p>';
+    const links = [['References', table.references], ['Referenced by', table.referencedBy]]
+      .filter(([, list]) => list.length)
+      .map(([heading, list]) => `<h4>${heading}</h4>\n<ul>\n${list.map(link => linkItem(link, table.name)).join('\n')}\n</ul>`)
+      .join('\n');
+    return `<section id="${anchor('table', table.id)}">\n<h3>${escapeHtml(table.name)}</h3>\n${columns}\n${links ? `<div class="links">\n${links}\n</div>\n` : ''}</section>`;
+  };
+
+  const nav = dictionary.categories.map(c => `<li><a href="#${anchor('category', c.id || 'none')}">${escapeHtml(c.name)}</a> <span class="muted">(${c.tables.length})</span></li>`).join('\n');
+  const body = dictionary.categories.map(c => `<h2 id="${anchor('category', c.id || 'none')}" style="border-color: ${escapeHtml(c.hex)}">${escapeHtml(c.name)}</h2>\n${c.tables.map(tableSection).join('\n')}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary">${summaryLine(dictionary, generatedAt)}</p>
+${image ? `<figure><img src="${image}" alt="Diagram of ${escapeHtml(title)}"></figure>\n` : ''}<nav>
+<ul>
+${nav}
+</ul>
+</nav>
+${body}
+</body>
+</html>
+`;
+};
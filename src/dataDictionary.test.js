@@ -0,0 +1,63 @@
+import { buildDataDictionary, generateHtmlDictionary, generateMarkdownDictionary } from './dataDictionary';
+
+const table = (id, label, category, columns) => ({ id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, category, columns } });
+
+const model = {
+  nodes: [
+    { id: 'g', type: 'groupNode', position: { x: 0, y: 0 }, data: { label: 'Sales', category: 'core' } },
+    table('o', 'orders', 'core', [
+      { name: 'id', type: 'int', isPK: true },
+      { name: 'user_id', type: 'int', isFK: true, notNull: true, description: 'Buyer | owner' },
+    ]),
+    table('u', 'users', 'core', [{ name: 'id', type: 'int', isPK: true }, { name: 'email', type: 'text', unique: true }]),
+    table('r', 'revenue', 'reporting', []),
+    table('x', 'legacy <tmp>', 'gone', []),
+  ],
+  edges: [
+    { id: 'e1', source: 'u', target: 'o', data: { relType: '1:N', sourceColumns: ['id'], targetColumns: ['user_id'], name: 'places' } },
+    { id: 'l1', source: 'o', target: 'r', data: { kind: 'lineage' } },
+  ],
+  legend: [{ id: 'reporting', name: 'Reporting', hex: '#fbbf24' }, { id: 'core', name: 'Core', hex: '#3b82f6' }],
+};
+
+const generatedAt = new Date('2026-01-02T10:00:00Z');
+
+test('groups tables by category and reads relationships from each side', () => {
+  const dictionary = buildDataDictionary(model);
+
+  expect(dictionary.categories.map(c => [c.name, c.tables.map(t => t.name)])).toEqual([
+    ['Reporting', ['revenue']],
+    ['Core', ['orders', 'users']],
+    ['Uncategorized', ['legacy <tmp>']],
+  ]);
+  expect(dictionary.relationshipCount).toBe(1);
+  const [orders, users] = dictionary.categories[1].tables;
+  expect(orders.columns.map(c => c.keys)).toEqual([['PK'], ['FK']]);
+  expect(users.columns[1].keys).toEqual(['UQ']);
+  expect(orders.references).toEqual([{ tableId: 'u', table: 'users', columns: ['user_id'], otherColumns: ['id'], cardinality: 'N:1', name: 'places' }]);
+  expect(users.referencedBy[0]).toMatchObject({ table: 'orders', cardinality: '1:N' });
+  expect(dictionary.categories[0].tables[0].references).toEqual([]);
+});
+
+test('writes Markdown with escaped cells and the diagram image', () => {
+  const markdown = generateMarkdownDictionary(model, { title: 'Shop', image: 'data:image/png;base64,AAA', generatedAt });
+
+  expect(markdown).toContain('# Shop\n\n_Generated 2026-01-02 · 4 tables · 1 relationship_\n\n![Diagram of Shop](data:image/png;base64,AAA)');
+  expect(markdown).toContain('## Core\n\n### orders\n\n| Column | Type | Keys | Nullable | Default | Description |');
+  expect(markdown).toContain('| user_id | int | FK | No |  | Buyer \\| owner |');
+  expect(markdown).toContain('**References**\n\n- orders.user_id → users.id (N:1) “places”');
+  expect(markdown).toContain('**Referenced by**\n\n- users.id → orders.user_id (1:N) “places”');
+  expect(markdown).toContain('### revenue\n\n_No columns._');
+});
+
+test('writes a self-contained HTML page', () => {
+  const html = generateHtmlDictionary(model, { title: 'Shop & Co', image: 'data:image/png;base64,AAA', generatedAt });
+
+  expect(html).toMatch(/^<!DOCTYPE html>/);
+  expect(html).toContain('<title>Shop &amp; Co</title>');
+  expect(html).toContain('<img src="data:image/png;base64,AAA" alt="Diagram of Shop &amp; Co">');
+  expect(html).toContain('<h3>legacy &lt;tmp&gt;</h3>');
+  expect(html).toContain('<section id="table-u">');
+  expect(html).toContain('orders.user_id → <a href="#table-u">users.id</a> (N:1)');
+  expect(html).not.toMatch(/<link|<script/);
+});
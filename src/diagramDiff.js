@@ -0,0 +1,314 @@
+import { getRelType } from './relationships';
+import { isLineageEdge } from './lineage';
+import { generateSql, formatIdentifier, formatColumnDefinition, formatReferentialAction } from './sqlExport';
+
+export const DIFF_COLORS = { added: '#10b981', removed: '#ef4444', modified: '#f59e0b' };
+
+const COLUMN_FIELDS = [
+  ['type', 'type'],
+  ['notNull', 'not null'],
+  ['unique', 'unique'],
+  ['defaultValue', 'default'],
+  ['description', 'description'],
+  ['isPK', 'primary key'],
+  ['isFK', 'foreign key'],
+  ['isCK', 'composite key'],
+];
+
+const RELATIONSHIP_FIELDS = [
+  ['relType', 'cardinality'],
+  ['sourceOptional', 'optional parent'],
+  ['targetOptional', 'optional child'],
+  ['onDelete', 'on delete'],
+  ['onUpdate', 'on update'],
+  ['name', 'name'],
+];
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+const shown = (value) => (value === '' || value === undefined || value === null ? 'none' : `"${value}"`);
+
+const describeChange = (label, before, after) => {
+  if (typeof before === 'boolean' || typeof after === 'boolean') return `${label} ${after ? 'added' : 'removed'}`;
+  return `${label} ${shown(before)} → ${shown(after)}`;
+};
+
+const compareFields = (fields, before, after) => fields
+  .filter(([key]) => (typeof before[key] === 'boolean' || typeof after[key] === 'boolean'
+    ? !!before[key] !== !!after[key]
+    : (before[key] ?? '') !== (after[key] ?? '')))
+  .map(([key, label]) => describeChange(label, before[key], after[key]));
+
+// Same id first, so renamed tables are recognized, then the same label
+const matchTables = (baseNodes, nodes) => {
+  const matches = new Map();
+  const taken = new Set();
+  baseNodes.forEach((b) => {
+    if (nodes.some(n => n.id === b.id)) {
+      matches.set(b.id, b.id);
+      taken.add(b.id);
+    }
+  });
+  baseNodes.filter(b => !matches.has(b.id)).forEach((b) => {
+    const match = nodes.find(n => !taken.has(n.id) && lower(n.data.label) === lower(b.data.label));
+    if (match) {
+      matches.set(b.id, match.id);
+      taken.add(match.id);
+    }
+  });
+  return matches;
+};
+
+const diffColumns = (baseColumns, columns) => {
+  const result = [];
+  const byName = (list, name) => list.find(c => lower(c.name) === lower(name));
+  const removed = baseColumns.filter(c => !byName(columns, c.name));
+  const added = columns.filter(c => !byName(baseColumns, c.name));
+
+  // A column that disappears where a new one of the same type appears was renamed
+  const renamedTo = new Map();
+  removed.forEach((column) => {
+    const candidate = columns[baseColumns.indexOf(column)];
+    if (candidate && added.includes(candidate) && !renamedTo.has(candidate) && lower(candidate.type) === lower(column.type)) {
+      renamedTo.set(candidate, column);
+    }
+  });
+  const renamedFrom = new Set(renamedTo.values());
+
+  columns.forEach((column) => {
+    const previous = byName(baseColumns, column.name) || renamedTo.get(column);
+    if (!previous) {
+      result.push({ status: 'added', name: column.name, column, changes: [] });
+      return;
+    }
+    const changes = compareFields(COLUMN_FIELDS, previous, column);
+    if (previous.name !== column.name) changes.unshift(`renamed from ${previous.name}`);
+    result.push({ status: changes.length ? 'modified' : 'unchanged', name: column.name, previousName: previous.name, column, previous, changes });
+  });
+  removed.filter(c => !renamedFrom.has(c)).forEach((previous) => {
+    result.push({ status: 'removed', name: previous.name, previous, changes: [] });
+  });
+  return result;
+};
+
+const edgeColumns = (edge) => `${(edge.data?.sourceColumns || []).join(',')}|${(edge.data?.targetColumns || []).join(',')}`;
+
+const edgeLabel = (edge, labelOf) => {
+  const columns = (list) => (list?.length ? `.${list.join(', ')}` : '');
+  return `${labelOf(edge.source)}${columns(edge.data?.sourceColumns)} → ${labelOf(edge.target)}${columns(edge.data?.targetColumns)}`;
+};
+
+/**
+ * Compares a base version of the model with the current one. Tables are
+ * matched by id, then by label; relationships by id, then by the tables and
+ * columns they join. Every table, column and relationship gets a status of
+ * added, removed, modified or unchanged, and `changes` lists them as text.
+ * Lineage edges are not part of the schema and are left out.
+ */
+export const diffDiagrams = (base, current) => {
+  const baseNodes = base.nodes.filter(n => !n.type || n.type === 'tableNode');
+  const baseEdges = base.edges.filter(e => !isLineageEdge(e));
+  const edges = current.edges.filter(e => !isLineageEdge(e));
+  const nodes = current.nodes.filter(n => !n.type || n.type === 'tableNode');
+  const tableMatches = matchTables(baseNodes, nodes);
+  const matchedCurrent = new Set(tableMatches.values());
+
+  const tables = nodes.map((node) => {
+    if (!matchedCurrent.has(node.id)) {
+      return { status: 'added', id: node.id, label: node.data.label, node, columns: diffColumns([], node.data.columns || []), changes: [] };
+    }
+    const baseId = [...tableMatches].find(([, id]) => id === node.id)[0];
+    const baseNode = baseNodes.find(b => b.id === baseId);
+    const columns = diffColumns(baseNode.data.columns || [], node.data.columns || []);
+    const changes = baseNode.data.label !== node.data.label ? [`renamed from ${baseNode.data.label}`] : [];
+    const status = changes.length || columns.some(c => c.status !== 'unchanged') ? 'modified' : 'unchanged';
+    return { status, id: node.id, baseId, label: node.data.label, previousLabel: baseNode.data.label, node, baseNode, columns, changes };
+  });
+  baseNodes.filter(b => !tableMatches.has(b.id)).forEach((baseNode) => {
+    tables.push({
+      status: 'removed', baseId: baseNode.id, label: baseNode.data.label, baseNode,
+      columns: diffColumns(baseNode.data.columns || [], []), changes: [],
+    });
+  });
+
+  const labelOf = (id) => nodes.find(n => n.id === id)?.data.label || baseNodes.find(n => n.id === id)?.data.label || id;
+  const mapped = (edge) => ({ ...edge, source: tableMatches.get(edge.source) || edge.source, target: tableMatches.get(edge.target) || edge.target });
+  const taken = new Set();
+  const findMatch = (baseEdge) => {
+    const m = mapped(baseEdge);
+    const candidates = edges.filter(e => !taken.has(e.id) && e.source === m.source && e.target === m.target);
+    return candidates.find(e => e.id === baseEdge.id)
+      || candidates.find(e => edgeColumns(e) === edgeColumns(baseEdge))
+      || (candidates.length === 1 ? candidates[0] : null);
+  };
+
+  const relationships = [];
+  baseEdges.forEach((baseEdge) => {
+    const edge = findMatch(baseEdge);
+    if (!edge) {
+      relationships.push({ status: 'removed', baseId: baseEdge.id, baseEdge: mapped(baseEdge), label: edgeLabel(baseEdge, labelOf), changes: [] });
+      return;
+    }
+    taken.add(edge.id);
+    const before = { ...baseEdge.data, relType: getRelType(baseEdge) };
+    const after = { ...edge.data, relType: getRelType(edge) };
+    const changes = compareFields(RELATIONSHIP_FIELDS, before, after);
+    if (edgeColumns(baseEdge) !== edgeColumns(edge)) changes.push(`columns ${edgeLabel(baseEdge, labelOf)} → ${edgeLabel(edge, labelOf)}`);
+    relationships.push({ status: changes.length ? 'modified' : 'unchanged', id: edge.id, baseId: baseEdge.id, edge, baseEdge, label: edgeLabel(edge, labelOf), changes });
+  });
+  edges.filter(e => !taken.has(e.id)).forEach((edge) => {
+    relationships.push({ status: 'added', id: edge.id, edge, label: edgeLabel(edge, labelOf), changes: [] });
+  });
+
+  const changes = [];
+  tables.forEach((table) => {
+    if (table.status === 'unchanged') return;
+    const nodeId = table.id;
+    if (table.status !== 'modified') {
+      changes.push({ status: table.status, nodeId, baseNodeId: table.baseId, text: `Table ${table.label} ${table.status}` });
+      return;
+    }
+    table.changes.forEach(text => changes.push({ status: 'modified', nodeId, text: `Table ${table.label} ${text}` }));
+    table.columns.filter(c => c.status !== 'unchanged').forEach((column) => {
+      const text = column.status === 'modified'
+        ? `${table.label}.${column.name}: ${column.changes.join(', ')}`
+        : `Column ${table.label}.${column.name} ${column.status}`;
+      changes.push({ status: column.status, nodeId, text });
+    });
+  });
+  relationships.filter(r => r.status !== 'unchanged').forEach((rel) => {
+    const text = rel.status === 'modified'
+      ? `Relationship ${rel.label}: ${rel.changes.join(', ')}`
+      : `Relationship ${rel.label} ${rel.status}`;
+    changes.push({ status: rel.status, edgeId: rel.id, nodeId: (rel.edge || rel.baseEdge).target, text });
+  });
+
+  return { tables, relationships, changes };
+};
+
+const ALTER = {
+  postgres: {
+    renameTable: (t, to) => [`ALTER TABLE ${t} RENAME TO ${to};`],
+    renameColumn: (t, c, to) => [`ALTER TABLE ${t} RENAME COLUMN ${c} TO ${to};`],
+    addColumn: (t, def) => [`ALTER TABLE ${t} ADD COLUMN ${def};`],
+    addForeignKey: (t, fk) => [`ALTER TABLE ${t} ADD ${fk};`],
+    alterColumn: (t, c, col, prev) => {
+      const statements = [];
+      if (lower(col.type) !== lower(prev.type) && col.type) statements.push(`ALTER TABLE ${t} ALTER COLUMN ${c} TYPE ${col.type};`);
+      const notNull = col.notNull || col.isPK || col.isCK;
+      if (notNull !== (prev.notNull || prev.isPK || prev.isCK)) statements.push(`ALTER TABLE ${t} ALTER COLUMN ${c} ${notNull ? 'SET' : 'DROP'} NOT NULL;`);
+      if ((col.defaultValue || '') !== (prev.defaultValue || '')) {
+        statements.push(`ALTER TABLE ${t} ALTER COLUMN ${c} ${col.defaultValue ? `SET DEFAULT ${col.defaultValue}` : 'DROP DEFAULT'};`);
+      }
+      if (!!col.unique !== !!prev.unique) {
+        statements.push(col.unique ? `ALTER TABLE ${t} ADD UNIQUE (${c});` : `-- Drop the unique constraint on ${t}.${c}.`);
+      }
+      return statements;
+    },
+  },
+  mysql: {
+    renameTable: (t, to) => [`RENAME TABLE ${t} TO ${to};`],
+    renameColumn: (t, c, to) => [`ALTER TABLE ${t} RENAME COLUMN ${c} TO ${to};`],
+    addColumn: (t, def) => [`ALTER TABLE ${t} ADD COLUMN ${def};`],
+    addForeignKey: (t, fk) => [`ALTER TABLE ${t} ADD ${fk};`],
+    alterColumn: (t, c, col, prev, dialect) => [`ALTER TABLE ${t} MODIFY COLUMN ${formatColumnDefinition(col, dialect)};`],
+  },
+  sqlite: {
+    renameTable: (t, to) => [`ALTER TABLE ${t} RENAME TO ${to};`],
+    renameColumn: (t, c, to) => [`ALTER TABLE ${t} RENAME COLUMN ${c} TO ${to};`],
+    addColumn: (t, def) => [`ALTER TABLE ${t} ADD COLUMN ${def};`],
+    addForeignKey: (t, fk) => [`-- SQLite cannot add a foreign key to ${t}; rebuild the table with ${fk}.`],
+    alterColumn: (t, c) => [`-- SQLite cannot alter ${t}.${c} in place; rebuild the table to apply the change.`],
+  },
+  sqlserver: {
+    renameTable: (t, to, from) => [`EXEC sp_rename '${from}', '${to}';`],
+    renameColumn: (t, c, to, from, table) => [`EXEC sp_rename '${table}.${from}', '${to}', 'COLUMN';`],
+    addColumn: (t, def) => [`ALTER TABLE ${t} ADD ${def};`],
+    addForeignKey: (t, fk) => [`ALTER TABLE ${t} ADD ${fk};`],
+    alterColumn: (t, c, col, prev, dialect) => [
+      `ALTER TABLE ${t} ALTER COLUMN ${formatColumnDefinition({ ...col, unique: false, defaultValue: '' }, dialect)}${col.notNull || col.isPK || col.isCK ? '' : ' NULL'};`,
+    ],
+  },
+};
+
+const keyNames = (columns) => {
+  const pk = columns.filter(c => c.isPK);
+  return (pk.length ? pk : columns.filter(c => c.isCK)).map(c => c.name);
+};
+
+/**
+ * Writes the statements that turn the base schema into the current one.
+ * Constraint names are not part of the model, so dropping or changing a
+ * foreign key or primary key is left as a comment.
+ */
+export const generateMigrationSql = (diff, current, { dialect = 'postgres' } = {}) => {
+  const ops = ALTER[dialect] || ALTER.postgres;
+  const id = (name) => formatIdentifier(name, dialect);
+  const renames = [];
+  const alters = [];
+  const drops = [];
+  const foreignKeys = [];
+
+  diff.tables.filter(t => t.status === 'modified').forEach((table) => {
+    const name = id(table.label);
+    if (table.previousLabel !== table.label) {
+      renames.push(...ops.renameTable(id(table.previousLabel), name, table.previousLabel));
+    }
+    table.columns.forEach((column) => {
+      if (column.status === 'added') alters.push(...ops.addColumn(name, formatColumnDefinition(column.column, dialect)));
+      if (column.status === 'removed') drops.push(`ALTER TABLE ${name} DROP COLUMN ${id(column.name)};`);
+      if (column.status !== 'modified') return;
+      const c = id(column.name);
+      if (column.previousName !== column.name) {
+        alters.push(...ops.renameColumn(name, id(column.previousName), c, column.previousName, table.label));
+      }
+      if (compareFields(COLUMN_FIELDS.slice(0, 4), column.previous, column.column).length) {
+        alters.push(...ops.alterColumn(name, c, column.column, column.previous, dialect));
+      }
+    });
+
+    const before = keyNames(table.baseNode.data.columns || []);
+    const after = keyNames(table.node.data.columns || []);
+    if (before.join(',') !== after.join(',')) {
+      if (before.length) alters.push(`-- Drop the primary key of ${table.label} on (${before.join(', ')}) before adding the new one.`);
+      if (after.length) alters.push(`ALTER TABLE ${name} ADD PRIMARY KEY (${after.map(id).join(', ')});`);
+    }
+  });
+
+  const added = diff.tables.filter(t => t.status === 'added');
+  const addedIds = new Set(added.map(t => t.id));
+  const creates = added.length
+    ? [generateSql(added.map(t => t.node), current.edges.filter(e => addedIds.has(e.source) && addedIds.has(e.target)), { dialect }).trim()]
+    : [];
+
+  const labelOf = (nodeId) => current.nodes.find(n => n.id === nodeId)?.data.label;
+  diff.relationships.forEach((rel) => {
+    if (rel.status === 'unchanged') return;
+    if (rel.status === 'removed' || rel.status === 'modified') {
+      foreignKeys.push(`-- Relationship ${rel.label} ${rel.status === 'removed' ? 'removed' : `changed (${rel.changes.join(', ')})`}: drop its foreign key constraint.`);
+    }
+    if (rel.status === 'removed') return;
+    const { edge } = rel;
+    if (addedIds.has(edge.source) && addedIds.has(edge.target)) return;
+    if (getRelType(edge) === 'N:M') {
+      foreignKeys.push(`-- ${rel.label} is many-to-many; create its junction table to store it.`);
+      return;
+    }
+    const columns = edge.data?.targetColumns || [];
+    const refColumns = edge.data?.sourceColumns || [];
+    if (!columns.length || !refColumns.length) {
+      foreignKeys.push(`-- ${rel.label} does not name its columns; add its foreign key by hand.`);
+      return;
+    }
+    let fk = `FOREIGN KEY (${columns.map(id).join(', ')}) REFERENCES ${id(labelOf(edge.source))} (${refColumns.map(id).join(', ')})`;
+    if (edge.data?.onDelete) fk += ` ON DELETE ${formatReferentialAction(edge.data.onDelete, dialect)}`;
+    if (edge.data?.onUpdate) fk += ` ON UPDATE ${formatReferentialAction(edge.data.onUpdate, dialect)}`;
+    foreignKeys.push(...ops.addForeignKey(id(labelOf(edge.target)), fk));
+  });
+
+  diff.tables.filter(t => t.status === 'removed').forEach((table) => {
+    drops.push(`DROP TABLE ${id(table.label)};`);
+  });
+
+  const sections = [renames, creates, alters, foreignKeys, drops].filter(s => s.length).map(s => s.join('\n'));
+  return sections.length ? `${sections.join('\n\n')}\n` : '-- No schema changes.\n';
+};
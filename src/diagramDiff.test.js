@@ -0,0 +1,74 @@
+import { diffDiagrams, generateMigrationSql } from './diagramDiff';
+
+const table = (id, label, columns) => ({ id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, columns } });
+const col = (name, flags = {}) => ({ name, type: 'integer', isPK: false, isFK: false, isCK: false, ...flags });
+
+const base = {
+  nodes: [
+    table('u', 'customers', [col('id', { isPK: true }), col('mail', { type: 'text' }), col('fax', { type: 'text' })]),
+    table('o', 'orders', [col('id', { isPK: true }), col('customer_id', { isFK: true })]),
+    table('l', 'legacy', [col('id', { isPK: true })]),
+  ],
+  edges: [{ id: 'e1', source: 'u', target: 'o', data: { relType: '1:N', sourceColumns: ['id'], targetColumns: ['customer_id'] } }],
+};
+
+const current = {
+  nodes: [
+    table('u', 'users', [col('id', { isPK: true }), col('email', { type: 'text', notNull: true })]),
+    table('o2', 'orders', [col('id', { isPK: true }), col('customer_id', { isFK: true }), col('total', { type: 'numeric' })]),
+    table('p', 'payments', [col('id', { isPK: true }), col('order_id', { isFK: true })]),
+  ],
+  edges: [
+    { id: 'x1', source: 'u', target: 'o2', data: { relType: '1:1', sourceColumns: ['id'], targetColumns: ['customer_id'] } },
+    { id: 'x2', source: 'o2', target: 'p', data: { relType: '1:N', sourceColumns: ['id'], targetColumns: ['order_id'] } },
+  ],
+};
+
+test('classifies tables, columns and relationships', () => {
+  const diff = diffDiagrams(base, current);
+  const byLabel = Object.fromEntries(diff.tables.map(t => [t.label, t]));
+
+  expect(byLabel.users).toMatchObject({ status: 'modified', previousLabel: 'customers', changes: ['renamed from customers'] });
+  expect(byLabel.users.columns.map(c => [c.name, c.status])).toEqual([['id', 'unchanged'], ['email', 'modified'], ['fax', 'removed']]);
+  expect(byLabel.users.columns[1].changes).toEqual(['renamed from mail', 'not null added']);
+  expect(byLabel.orders.status).toBe('modified');
+  expect(byLabel.payments.status).toBe('added');
+  expect(byLabel.legacy.status).toBe('removed');
+  expect(diff.relationships.map(r => [r.status, r.changes])).toEqual([
+    ['modified', ['cardinality "1:N" → "1:1"']],
+    ['added', []],
+  ]);
+  expect(diff.changes.map(c => c.text)).toContain('Column orders.total added');
+});
+
+test('writes migration statements in dependency order', () => {
+  const sql = generateMigrationSql(diffDiagrams(base, current), current);
+
+  expect(sql).toContain('ALTER TABLE customers RENAME TO users;');
+  expect(sql).toContain('ALTER TABLE users RENAME COLUMN mail TO email;');
+  expect(sql).toContain('ALTER TABLE users ALTER COLUMN email SET NOT NULL;');
+  expect(sql).toContain('ALTER TABLE orders ADD COLUMN total numeric;');
+  expect(sql).toContain('CREATE TABLE payments');
+  expect(sql).toContain('ALTER TABLE payments ADD FOREIGN KEY (order_id) REFERENCES orders (id);');
+  expect(sql.indexOf('DROP TABLE legacy;')).toBeGreaterThan(sql.indexOf('ALTER TABLE users DROP COLUMN fax;'));
+  expect(generateMigrationSql(diffDiagrams(base, base), base)).toBe('-- No schema changes.\n');
+});
+
+test('writes foreign keys the way each dialect accepts them', () => {
+  const withActions = {
+    ...current,
+    edges: current.edges.map(e => (e.id === 'x2' ? { ...e, data: { ...e.data, onDelete: 'RESTRICT', onUpdate: 'CASCADE' } } : e)),
+  };
+  const migrate = (dialect) => generateMigrationSql(diffDiagrams(base, withActions), withActions, { dialect });
+
+  expect(migrate('sqlserver')).toContain(
+    'ALTER TABLE payments ADD FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE NO ACTION ON UPDATE CASCADE;',
+  );
+  expect(migrate('postgres')).toContain('REFERENCES orders (id) ON DELETE RESTRICT ON UPDATE CASCADE;');
+
+  const sqlite = migrate('sqlite');
+  expect(sqlite).not.toMatch(/ADD FOREIGN KEY/);
+  expect(sqlite).toContain(
+    '-- SQLite cannot add a foreign key to payments; rebuild the table with FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE RESTRICT ON UPDATE CASCADE.',
+  );
+});
@@ -0,0 +1,78 @@
+import { isTable } from './groups';
+
+export const FILTER_MODES = [
+  { id: 'none', name: 'No filter' },
+  { id: 'search', name: 'Search matches' },
+  { id: 'category', name: 'Category' },
+  { id: 'neighborhood', name: 'Neighborhood of selection' },
+];
+
+export const MAX_HOPS = 5;
+
+const normalize = (text) => String(text || '').toLowerCase();
+
+/**
+ * Finds tables whose label matches the query and columns whose name does.
+ * Table hits come first, then columns, each ordered by how early they match.
+ */
+export const searchDiagram = (nodes, query, limit = 30) => {
+  const q = normalize(query).trim();
+  if (!q) return [];
+  const tableHits = [];
+  const columnHits = [];
+
+  nodes.filter(isTable).forEach((node) => {
+    const label = node.data?.label || '';
+    const at = normalize(label).indexOf(q);
+    if (at !== -1) tableHits.push({ id: node.id, nodeId: node.id, label, rank: at });
+    (node.data?.columns || []).forEach((column) => {
+      const columnAt = normalize(column.name).indexOf(q);
+      if (columnAt !== -1) {
+        columnHits.push({ id: `${node.id}:${column.name}`, nodeId: node.id, label, column: column.name, rank: columnAt });
+      }
+    });
+  });
+
+  const byRank = (a, b) => a.rank - b.rank || a.label.localeCompare(b.label);
+  return tableHits.sort(byRank).concat(columnHits.sort(byRank)).slice(0, limit);
+};
+
+/** Tables reachable from `seeds` in at most `hops` relationships, in either direction. */
+export const getNeighborhood = (seeds, edges, hops = 1) => {
+  const reached = new Set(seeds);
+  let frontier = [...seeds];
+  for (let step = 0; step < hops && frontier.length; step++) {
+    const current = new Set(frontier);
+    const next = [];
+    edges.forEach((edge) => {
+      [[edge.source, edge.target], [edge.target, edge.source]].forEach(([from, to]) => {
+        if (current.has(from) && !reached.has(to)) {
+          reached.add(to);
+          next.push(to);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return reached;
+};
+
+/**
+ * Returns the ids of the tables the filter keeps, or null when nothing is filtered.
+ */
+export const getVisibleNodeIds = (nodes, edges, filter) => {
+  if (filter.mode === 'search') {
+    if (!normalize(filter.query).trim()) return null;
+    return new Set(searchDiagram(nodes, filter.query, Infinity).map(hit => hit.nodeId));
+  }
+  if (filter.mode === 'category') {
+    if (!filter.category) return null;
+    return new Set(nodes.filter(n => isTable(n) && n.data?.category === filter.category).map(n => n.id));
+  }
+  if (filter.mode === 'neighborhood') {
+    const seeds = nodes.filter(n => isTable(n) && n.selected).map(n => n.id);
+    if (seeds.length === 0) return null;
+    return getNeighborhood(seeds, edges, Math.min(filter.hops, MAX_HOPS));
+  }
+  return null;
+};
@@ -0,0 +1,68 @@
+import { searchDiagram, getNeighborhood, getVisibleNodeIds, MAX_HOPS } from './diagramFilter';
+
+const table = (id, label, category, columns = []) => ({
+  id,
+  type: 'tableNode',
+  position: { x: 0, y: 0 },
+  data: { label, category, columns: columns.map(name => ({ name })) },
+});
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+// users <- orders <- order_items -> products <- suppliers, plus an unrelated audit_log
+const nodes = [
+  table('u', 'users', '1', ['id', 'email']),
+  table('o', 'orders', '2', ['id', 'user_id']),
+  table('i', 'order_items', '2', ['order_id', 'product_id']),
+  table('p', 'products', '3', ['id', 'supplier_id']),
+  table('s', 'suppliers', '3', ['id']),
+  table('a', 'audit_log', '1', ['user_email']),
+  { id: 'g', type: 'groupNode', position: { x: 0, y: 0 }, data: { label: 'Orders', category: '2' } },
+];
+const edges = [edge('u', 'o'), edge('o', 'i'), edge('p', 'i'), edge('s', 'p')];
+
+const ids = (set) => (set ? Array.from(set).sort() : set);
+
+test('searches table labels before column names, earliest match first, then by name', () => {
+  expect(searchDiagram(nodes, 'ORDER').map(hit => [hit.nodeId, hit.column])).toEqual([
+    ['i', undefined],
+    ['o', undefined],
+    ['i', 'order_id'],
+  ]);
+  expect(searchDiagram(nodes, 'email').map(hit => hit.id)).toEqual(['u:email', 'a:user_email']);
+  expect(searchDiagram(nodes, '  ')).toEqual([]);
+});
+
+test('counts hops from the selection and stops at the limit', () => {
+  expect(ids(getNeighborhood(['u'], edges, 1))).toEqual(['o', 'u']);
+  expect(ids(getNeighborhood(['u'], edges, 2))).toEqual(['i', 'o', 'u']);
+  expect(ids(getNeighborhood(['u'], edges, 4))).toEqual(['i', 'o', 'p', 's', 'u']);
+  expect(ids(getNeighborhood(['u', 's'], edges, 1))).toEqual(['o', 'p', 's', 'u']);
+});
+
+test('follows relationships against their direction as well as along it', () => {
+  // order_items is the target of both of its relationships
+  expect(ids(getNeighborhood(['i'], edges, 1))).toEqual(['i', 'o', 'p']);
+  // suppliers is only ever a source
+  expect(ids(getNeighborhood(['s'], edges, 2))).toEqual(['i', 'p', 's']);
+  expect(ids(getNeighborhood(['a'], edges, MAX_HOPS))).toEqual(['a']);
+});
+
+test('filters by search query, category or neighborhood', () => {
+  expect(getVisibleNodeIds(nodes, edges, { mode: 'none' })).toBeNull();
+  expect(ids(getVisibleNodeIds(nodes, edges, { mode: 'search', query: 'supplier' }))).toEqual(['p', 's']);
+  expect(getVisibleNodeIds(nodes, edges, { mode: 'search', query: '' })).toBeNull();
+  expect(ids(getVisibleNodeIds(nodes, edges, { mode: 'category', category: '2' }))).toEqual(['i', 'o']);
+  expect(getVisibleNodeIds(nodes, edges, { mode: 'category', category: '' })).toBeNull();
+
+  const selected = nodes.map(n => (n.id === 'o' ? { ...n, selected: true } : n));
+  expect(ids(getVisibleNodeIds(selected, edges, { mode: 'neighborhood', hops: 1 }))).toEqual(['i', 'o', 'u']);
+  expect(getVisibleNodeIds(nodes, edges, { mode: 'neighborhood', hops: 1 })).toBeNull();
+});
+
+test('never goes further than the maximum number of hops', () => {
+  const chain = Array.from({ length: 10 }, (_, i) => table(`t${i}`, `t${i}`));
+  const links = chain.slice(1).map((n, i) => edge(chain[i].id, n.id));
+  chain[0].selected = true;
+
+  expect(getVisibleNodeIds(chain, links, { mode: 'neighborhood', hops: 50 }).size).toBe(MAX_HOPS + 1);
+});
@@ -0,0 +1,296 @@
+import { normalizeColumn } from './columns';
+import { getRelType, createRelationshipEdge, REFERENTIAL_ACTIONS } from './relationships';
+import { GROUP_TYPE, sortGroupsFirst } from './groups';
+import { DETAIL_LEVELS } from './tableDetail';
+import { applyCategoryColors } from './categories';
+import { createLineageEdge, isLineageEdge, LINEAGE_KIND } from './lineage';
+
+/*
+ * Diagram file format, version 5:
+ *
+ * {
+ *   "format": "data-model-diagram",
+ *   "version": 5,
+ *   "nodes": [{
+ *     "id": "g1", "type": "groupNode", "position": { "x": 0, "y": 0 },
+ *     "size": { "width": 480, "height": 320 },
+ *     "data": { "label": "Billing", "category": "1", "collapsed": false }
+ *   }, {
+ *     "id": "n1", "type": "tableNode", "position": { "x": 40, "y": 76 }, "parentNode": "g1",
+ *     "data": { "label": "users", "category": "1", "pinned": false, "detail": "header" | "keys" | "all",
+ *               "columns": [{ "name", "type", "notNull", "unique", "defaultValue",
+ *                             "description", "isPK", "isFK", "isCK" }] }
+ *   }],
+ *   "edges": [{
+ *     "id": "e1", "source": "n1", "target": "n2", "sourceHandle", "targetHandle",
+ *     "data": { "relType": "1:1" | "1:N" | "N:M", "sourceColumns", "targetColumns",
+ *               "sourceOptional", "targetOptional", "onDelete", "onUpdate", "name" }
+ *   }, {
+ *     "id": "l1", "source": "n1", "target": "n3", "sourceHandle", "targetHandle",
+ *     "data": { "kind": "lineage", "sourceColumns", "targetColumns", "transformation" }
+ *   }],
+ *   "legend": [{ "id": "1", "name": "Reporting", "hex": "#fbbf24" }]
+ * }
+ *
+ * Edges point from the referenced table to the one holding the foreign key.
+ * Lineage edges (kind "lineage") point from where data comes from to where
+ * it is loaded, and carry no relType.
+ * Markers, styles and labels are derived from `data` when the file is loaded.
+ * A table in a group (subject area) names it in `parentNode` and its position
+ * is relative to the group's. Nodes name their legend entry in `category`
+ * and take its color. Version 4 had no lineage edges, version 3 stored the color on each node instead,
+ * version 2 had no groups, and files without a version are the plain React
+ * Flow dump of version 1.
+ */
+
+export const FORMAT_NAME = 'data-model-diagram';
+export const FORMAT_VERSION = 5;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const REL_TYPES = ['1:1', '1:N', 'N:M'];
+const NODE_TYPES = ['tableNode', GROUP_TYPE];
+const DEFAULT_COLOR = '#fbbf24';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const pick = (source, keys) =>
+  Object.fromEntries(keys.filter(key => source?.[key] !== undefined).map(key => [key, source[key]]));
+
+const EDGE_DATA_KEYS = [
+  'relType', 'sourceColumns', 'targetColumns', 'sourceOptional', 'targetOptional', 'onDelete', 'onUpdate', 'name',
+];
+const LINEAGE_DATA_KEYS = ['kind', 'sourceColumns', 'targetColumns', 'transformation'];
+
+// Each migration takes a document of its version and returns the next version
+const MIGRATIONS = {
+  // Version 1 stored whatever React Flow held; cardinality lived only in the edge markers
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    nodes: (Array.isArray(doc.nodes) ? doc.nodes : []).map(n => (isObject(n) ? {
+      ...n,
+      type: n.type || 'tableNode',
+      position: n.position || { x: 0, y: 0 },
+      data: {
+        ...n.data,
+        label: n.data?.label ?? 'Table',
+        color: n.data?.color ?? DEFAULT_COLOR,
+        columns: Array.isArray(n.data?.columns) ? n.data.columns.map(normalizeColumn) : [],
+      },
+    } : n)),
+    edges: (Array.isArray(doc.edges) ? doc.edges : []).map(e => (isObject(e) ? {
+      ...e,
+      data: { ...e.data, relType: getRelType(e) },
+    } : e)),
+  }),
+  // Groups are new in version 3; nothing to change
+  2: (doc) => ({ ...doc, version: 3 }),
+  // Nodes pointed at a legend entry only through its color; colors without one get their own
+  3: (doc) => {
+    const legend = (Array.isArray(doc.legend) ? doc.legend : [])
+      .map((l, index) => (isObject(l) && (l.id === undefined || l.id === '') ? { ...l, id: `legend-${index + 1}` } : l));
+    const categoryFor = (hex) => {
+      const match = legend.find(l => isObject(l) && String(l.hex).toLowerCase() === hex.toLowerCase());
+      if (match) return match.id;
+      const id = `color-${hex.slice(1).toLowerCase()}`;
+      legend.push({ id, name: `Color ${hex}`, hex });
+      return id;
+    };
+    const nodes = (Array.isArray(doc.nodes) ? doc.nodes : []).map((n) => {
+      if (!isObject(n) || !HEX_COLOR.test(n.data?.color)) return n;
+      const { color, ...data } = n.data;
+      return { ...n, data: { ...data, category: categoryFor(color) } };
+    });
+    return { ...doc, version: 4, nodes, legend };
+  },
+  // Lineage edges are new in version 5; nothing to change
+  4: (doc) => ({ ...doc, version: 5 }),
+};
+
+/** Upgrades a document of any known version to the current one. */
+export const migrateDiagram = (doc) => {
+  let current = { ...doc, version: doc.version ?? 1 };
+  while (current.version < FORMAT_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`No migration from version ${current.version}`);
+    current = migrate(current);
+  }
+  return current;
+};
+
+const describeNode = (node, index) =>
+  (node?.data?.label ? `Node ${index + 1} ("${node.data.label}", id ${node.id})` : `Node ${index + 1}${node?.id ? ` (id ${node.id})` : ''}`);
+
+const describeEdge = (edge, index) => `Edge ${index + 1}${edge?.id ? ` (id ${edge.id})` : ''}`;
+
+/**
+ * Checks a current-version document and returns one message per problem,
+ * naming the node, edge or legend entry it was found in.
+ */
+export const validateDiagram = (doc) => {
+  const errors = [];
+  if (!isObject(doc)) return ['The file does not contain a diagram object.'];
+  if (!Array.isArray(doc.nodes)) errors.push('"nodes" must be an array.');
+  if (!Array.isArray(doc.edges)) errors.push('"edges" must be an array.');
+  if (doc.legend !== undefined && !Array.isArray(doc.legend)) errors.push('"legend" must be an array.');
+  if (errors.length) return errors;
+
+  const categoryIds = new Set((doc.legend || []).map(l => l?.id));
+  const nodeIds = new Set();
+  doc.nodes.forEach((node, index) => {
+    const where = describeNode(node, index);
+    if (!isObject(node)) {
+      errors.push(`${where} is not an object.`);
+      return;
+    }
+    if (typeof node.id !== 'string' || !node.id) errors.push(`${where} has no id.`);
+    else if (nodeIds.has(node.id)) errors.push(`${where} reuses the id "${node.id}".`);
+    nodeIds.add(node.id);
+    if (!NODE_TYPES.includes(node.type)) errors.push(`${where} has unknown type "${node.type}".`);
+    if (!isFiniteNumber(node.position?.x) || !isFiniteNumber(node.position?.y)) {
+      errors.push(`${where} has no valid position.`);
+    }
+    if (typeof node.data?.label !== 'string' || !node.data.label.trim()) errors.push(`${where} has no label.`);
+    const { color, category } = node.data || {};
+    if (color !== undefined && !HEX_COLOR.test(color)) {
+      errors.push(`${where} has color "${color}", expected a hex color like #fbbf24.`);
+    } else if (color !== undefined && category === undefined) {
+      // A color is all a node had before version 4; since then it comes from the legend entry
+      errors.push(`${where} has color "${color}" but no category; nodes take their color from the legend entry named in "category".`);
+    } else if (!categoryIds.has(category)) {
+      errors.push(`${where} has category "${category}", which is not a legend entry id.`);
+    }
+    if (node.type === GROUP_TYPE) {
+      if (!(node.size?.width > 0) || !(node.size?.height > 0)) errors.push(`${where} has no valid size.`);
+      if (node.parentNode !== undefined) errors.push(`${where} is a group inside another node; groups cannot be nested.`);
+      return;
+    }
+    if (node.parentNode !== undefined && !doc.nodes.some(n => n?.id === node.parentNode && n.type === GROUP_TYPE)) {
+      errors.push(`${where} has parentNode "${node.parentNode}", which is not a group id.`);
+    }
+    if (node.data?.detail !== undefined && !DETAIL_LEVELS.some(l => l.id === node.data.detail)) {
+      errors.push(`${where} has detail "${node.data.detail}", expected one of ${DETAIL_LEVELS.map(l => l.id).join(', ')}.`);
+    }
+    if (!Array.isArray(node.data?.columns)) {
+      errors.push(`${where} has no columns array.`);
+    } else {
+      node.data.columns.forEach((column, i) => {
+        if (!isObject(column) || typeof column.name !== 'string' || !column.name.trim()) {
+          errors.push(`${where}, column ${i + 1} has no name.`);
+        }
+      });
+    }
+  });
+
+  const edgeIds = new Set();
+  doc.edges.forEach((edge, index) => {
+    const where = describeEdge(edge, index);
+    if (!isObject(edge)) {
+      errors.push(`${where} is not an object.`);
+      return;
+    }
+    if (typeof edge.id !== 'string' || !edge.id) errors.push(`${where} has no id.`);
+    else if (edgeIds.has(edge.id)) errors.push(`${where} reuses the id "${edge.id}".`);
+    edgeIds.add(edge.id);
+    if (!nodeIds.has(edge.source)) errors.push(`${where} has source "${edge.source}", which is not a node id.`);
+    if (!nodeIds.has(edge.target)) errors.push(`${where} has target "${edge.target}", which is not a node id.`);
+    if (edge.data?.kind !== undefined && edge.data.kind !== LINEAGE_KIND) errors.push(`${where} has unknown kind "${edge.data.kind}".`);
+    if (isLineageEdge(edge)) {
+      if (edge.data.transformation !== undefined && typeof edge.data.transformation !== 'string') {
+        errors.push(`${where} has a transformation that is not text.`);
+      }
+      return;
+    }
+    if (!REL_TYPES.includes(edge.data?.relType)) errors.push(`${where} has unknown relType "${edge.data?.relType}".`);
+    ['onDelete', 'onUpdate'].forEach((key) => {
+      const action = edge.data?.[key];
+      if (action !== undefined && !REFERENTIAL_ACTIONS.includes(action)) errors.push(`${where} has unknown ${key} "${action}".`);
+    });
+  });
+
+  const legendIds = new Set();
+  (doc.legend || []).forEach((item, index) => {
+    const where = `Legend entry ${index + 1}${item?.name ? ` ("${item.name}")` : ''}`;
+    if (!isObject(item) || typeof item.name !== 'string') errors.push(`${where} has no name.`);
+    if (item?.id === undefined || item.id === '') errors.push(`${where} has no id.`);
+    else if (legendIds.has(item.id)) errors.push(`${where} reuses the id "${item.id}".`);
+    legendIds.add(item?.id);
+    if (!HEX_COLOR.test(item?.hex)) errors.push(`${where} has color "${item?.hex}", expected a hex color like #fbbf24.`);
+  });
+
+  return errors;
+};
+
+const serializeGroup = (n) => ({
+  id: n.id,
+  type: GROUP_TYPE,
+  position: { x: n.position.x, y: n.position.y },
+  size: { width: n.style?.width || n.width, height: n.style?.height || n.height },
+  data: {
+    label: n.data.label,
+    category: n.data.category,
+    ...(n.data.collapsed && { collapsed: true }),
+  },
+});
+
+/** Writes only the documented fields, leaving out handlers and React Flow's runtime state. */
+export const serializeDiagram = ({ nodes, edges, legend }) => ({
+  format: FORMAT_NAME,
+  version: FORMAT_VERSION,
+  nodes: sortGroupsFirst(nodes).map(n => (n.type === GROUP_TYPE ? serializeGroup(n) : {
+    id: n.id,
+    type: n.type || 'tableNode',
+    position: { x: n.position.x, y: n.position.y },
+    ...(n.parentNode && { parentNode: n.parentNode }),
+    data: {
+      label: n.data.label,
+      category: n.data.category,
+      columns: (n.data.columns || []).map(c => pick(normalizeColumn(c), [
+        'name', 'type', 'notNull', 'unique', 'defaultValue', 'description', 'isPK', 'isFK', 'isCK',
+      ])),
+      ...(n.data.pinned && { pinned: true }),
+      ...(n.data.detail && n.data.detail !== 'all' && { detail: n.data.detail }),
+    },
+  })),
+  edges: edges.map(e => ({
+    ...pick(e, ['id', 'source', 'target', 'sourceHandle', 'targetHandle']),
+    data: isLineageEdge(e) ? pick(e.data, LINEAGE_DATA_KEYS) : pick({ ...e.data, relType: getRelType(e) }, EDGE_DATA_KEYS),
+  })),
+  legend: (legend || []).map(l => pick(l, ['id', 'name', 'hex'])),
+});
+
+/** Turns a current-version document back into React Flow nodes and edges, coloring nodes by category. */
+export const deserializeDiagram = (doc) => ({
+  nodes: applyCategoryColors(sortGroupsFirst(doc.nodes).map(({ size, ...n }) => (n.type === GROUP_TYPE
+    ? { ...n, style: { width: size.width, height: size.height } }
+    : { ...n, data: { ...n.data, columns: n.data.columns.map(normalizeColumn) } })), doc.legend || []),
+  edges: doc.edges.map(({ data, ...edge }) => (isLineageEdge({ data })
+    ? createLineageEdge(edge, data)
+    : createRelationshipEdge(edge, data.relType, data))),
+  legend: doc.legend || [],
+});
+
+/**
+ * Reads a diagram file: migrates it to the current version, validates it and
+ * returns `{ diagram }` or `{ errors }`.
+ */
+export const parseDiagramFile = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return { errors: [`The file is not valid JSON: ${err.message}`] };
+  }
+  if (!isObject(doc)) return { errors: ['The file does not contain a diagram object.'] };
+  if (doc.format !== undefined && doc.format !== FORMAT_NAME) return { errors: [`Unknown format "${doc.format}".`] };
+  if (doc.version !== undefined && (!Number.isInteger(doc.version) || doc.version < 1)) {
+    return { errors: [`Unknown version "${doc.version}".`] };
+  }
+  if (doc.version > FORMAT_VERSION) {
+    return { errors: [`The file was written by a newer version of the app (format ${doc.version}).`] };
+  }
+
+  const migrated = migrateDiagram(doc);
+  const errors = validateDiagram(migrated);
+  return errors.length ? { errors } : { diagram: deserializeDiagram(migrated) };
+};
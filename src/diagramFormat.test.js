@@ -0,0 +1,147 @@
+import { parseDiagramFile, serializeDiagram, FORMAT_VERSION } from './diagramFormat';
+
+const node = (id, label, extra = {}) => ({
+  id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, category: '1', color: '#fbbf24', columns: [{ name: 'id', isPK: true }] }, ...extra,
+});
+
+const legend = [{ id: '1', name: 'Reporting', hex: '#fbbf24' }];
+
+test('migrates unversioned files and derives cardinality from markers', () => {
+  const legacy = {
+    nodes: [{ id: 'a', position: { x: 1, y: 2 }, data: { label: 'users', columns: [{ name: 'id', isPK: true }] } }, node('b', 'orders')],
+    edges: [{ id: 'e1', source: 'a', target: 'b', markerEnd: 'many-side' }],
+    legend: [{ id: '1', name: 'Reporting', hex: '#fbbf24' }],
+  };
+  const { diagram, errors } = parseDiagramFile(JSON.stringify(legacy));
+
+  expect(errors).toBeUndefined();
+  expect(diagram.nodes[0]).toMatchObject({ type: 'tableNode', data: { category: '1', color: '#fbbf24' } });
+  expect(diagram.nodes[0].data.columns[0]).toMatchObject({ name: 'id', isPK: true, notNull: false, type: '' });
+  expect(diagram.edges[0]).toMatchObject({ markerEnd: 'many-side', data: { relType: '1:N' } });
+});
+
+test('names every malformed node and edge', () => {
+  const file = {
+    version: 3,
+    nodes: [node('a', 'users'), node('a', 'orders', { data: { label: 'orders', color: 'blue', columns: [] } })],
+    edges: [{ id: 'e1', source: 'a', target: 'missing', data: { relType: '1:N' } }],
+  };
+  const { errors } = parseDiagramFile(JSON.stringify(file));
+
+  expect(errors).toEqual([
+    'Node 2 ("orders", id a) reuses the id "a".',
+    'Node 2 ("orders", id a) has color "blue", expected a hex color like #fbbf24.',
+    'Edge 1 (id e1) has target "missing", which is not a node id.',
+  ]);
+  expect(parseDiagramFile('{"version": 99, "nodes": [], "edges": []}').errors[0]).toMatch(/newer version/);
+  expect(parseDiagramFile('nope').errors[0]).toMatch(/not valid JSON/);
+});
+
+test('explains that a colored node without a category needs one', () => {
+  const file = {
+    version: 5,
+    nodes: [node('a', 'users'), { ...node('b', 'orders'), data: { label: 'orders', color: '#123456', columns: [] } }],
+    edges: [],
+    legend: [{ id: '1', name: 'Reporting', hex: '#fbbf24' }],
+  };
+
+  expect(parseDiagramFile(JSON.stringify(file)).errors).toEqual([
+    'Node 2 ("orders", id b) has color "#123456" but no category; nodes take their color from the legend entry named in "category".',
+  ]);
+});
+
+test('writes only documented fields and reads them back', () => {
+  const nodes = [
+    { ...node('a', 'users'), selected: true, width: 220, data: { ...node('a', 'users').data, onDelete: () => {}, pinned: true, detail: 'keys', headersOnly: true } },
+    node('b', 'orders'),
+  ];
+  const edges = [{ id: 'e1', source: 'a', target: 'b', markerEnd: 'many-side', style: {}, data: { relType: '1:N', name: 'places' } }];
+  const saved = serializeDiagram({ nodes, edges, legend });
+
+  expect(saved.nodes[0]).toEqual({
+    id: 'a', type: 'tableNode', position: { x: 0, y: 0 },
+    data: {
+      label: 'users', category: '1', pinned: true, detail: 'keys',
+      columns: [{ name: 'id', type: '', notNull: false, unique: false, defaultValue: '', description: '', isPK: true, isFK: false, isCK: false }],
+    },
+  });
+  expect(saved.edges[0]).toEqual({ id: 'e1', source: 'a', target: 'b', data: { relType: '1:N', name: 'places' } });
+
+  const { diagram } = parseDiagramFile(JSON.stringify(saved));
+  expect(diagram.edges[0]).toMatchObject({ markerEnd: 'many-side', label: 'places', type: 'smoothstep' });
+});
+
+test('keeps groups, their size and which tables are inside them', () => {
+  const nodes = [
+    node('a', 'users', { parentNode: 'g', position: { x: 40, y: 76 } }),
+    { id: 'g', type: 'groupNode', position: { x: 10, y: 20 }, style: { width: 480, height: 320 }, data: { label: 'Billing', category: '1', color: '#fbbf24', collapsed: true } },
+  ];
+  const saved = serializeDiagram({ nodes, edges: [], legend });
+
+  expect(saved.nodes.map(n => n.id)).toEqual(['g', 'a']);
+  expect(saved.nodes[0]).toEqual({
+    id: 'g', type: 'groupNode', position: { x: 10, y: 20 }, size: { width: 480, height: 320 },
+    data: { label: 'Billing', category: '1', collapsed: true },
+  });
+  expect(saved.nodes[1].parentNode).toBe('g');
+
+  const { diagram } = parseDiagramFile(JSON.stringify(saved));
+  expect(diagram.nodes[0]).toMatchObject({ type: 'groupNode', style: { width: 480, height: 320 } });
+  expect(diagram.nodes[0].size).toBeUndefined();
+
+  const broken = { ...saved, nodes: [{ ...saved.nodes[0], size: undefined }, { ...saved.nodes[1], parentNode: 'a' }] };
+  expect(parseDiagramFile(JSON.stringify(broken)).errors).toEqual([
+    'Node 1 ("Billing", id g) has no valid size.',
+    'Node 2 ("users", id a) has parentNode "a", which is not a group id.',
+  ]);
+});
+
+test('moves node colors into legend categories', () => {
+  const v3 = {
+    version: 3,
+    nodes: [
+      { id: 'a', type: 'tableNode', position: { x: 0, y: 0 }, data: { label: 'users', color: '#FBBF24', columns: [] } },
+      { id: 'b', type: 'tableNode', position: { x: 0, y: 0 }, data: { label: 'orders', color: '#123456', columns: [] } },
+    ],
+    edges: [],
+    legend: [{ name: 'Reporting', hex: '#fbbf24' }],
+  };
+  const { diagram } = parseDiagramFile(JSON.stringify(v3));
+
+  expect(diagram.legend).toEqual([
+    { id: 'legend-1', name: 'Reporting', hex: '#fbbf24' },
+    { id: 'color-123456', name: 'Color #123456', hex: '#123456' },
+  ]);
+  expect(diagram.nodes.map(n => [n.data.category, n.data.color])).toEqual([['legend-1', '#fbbf24'], ['color-123456', '#123456']]);
+
+  const saved = serializeDiagram(diagram);
+  expect(saved.nodes[0].data.color).toBeUndefined();
+  expect(parseDiagramFile(JSON.stringify({ ...saved, legend: [] })).errors).toEqual([
+    'Node 1 ("users", id a) has category "legend-1", which is not a legend entry id.',
+    'Node 2 ("orders", id b) has category "color-123456", which is not a legend entry id.',
+  ]);
+});
+
+test('keeps lineage edges apart from relationships', () => {
+  const edges = [{
+    id: 'l1', source: 'a', target: 'b', sourceHandle: 'col-id-source', animated: true,
+    data: { kind: 'lineage', sourceColumns: ['id'], transformation: 'copied nightly', relType: '1:1' },
+  }];
+  const saved = serializeDiagram({ nodes: [node('a', 'users'), node('b', 'orders')], edges, legend });
+
+  expect(saved.version).toBe(FORMAT_VERSION);
+  expect(saved.edges[0]).toEqual({
+    id: 'l1', source: 'a', target: 'b', sourceHandle: 'col-id-source',
+    data: { kind: 'lineage', sourceColumns: ['id'], transformation: 'copied nightly' },
+  });
+
+  const { diagram } = parseDiagramFile(JSON.stringify(saved));
+  expect(diagram.edges[0]).toMatchObject({ type: 'default', animated: true, label: 'copied nightly', data: { kind: 'lineage' } });
+
+  const broken = { ...saved, edges: [{ ...saved.edges[0], data: { kind: 'lineage', transformation: 3 } }, { ...saved.edges[0], id: 'l2', data: { kind: 'flow' } }] };
+  expect(parseDiagramFile(JSON.stringify(broken)).errors).toEqual([
+    'Edge 1 (id l1) has a transformation that is not text.',
+    'Edge 2 (id l2) has unknown kind "flow".',
+    'Edge 2 (id l2) has unknown relType "undefined".',
+  ]);
+});
@@ -0,0 +1,132 @@
+import { getNodeSize } from './layout';
+import { isGroup, isTable, sortGroupsFirst } from './groups';
+import { remapEdgeColumns } from './relationships';
+
+export const CONFLICT_RESOLUTIONS = [
+  { id: 'merge', name: 'Merge columns' },
+  { id: 'keep', name: 'Keep ours' },
+  { id: 'replace', name: 'Replace with theirs' },
+];
+
+const BLOCK_GAP = 200;
+
+const labelKey = (node) => String(node.data?.label || '').trim().toLowerCase();
+
+// Tables in a group are placed relative to it, so only top-level nodes count
+const getBounds = (nodes) => {
+  const rects = nodes.filter(n => !n.parentNode).map(n => ({ ...n.position, ...getNodeSize(n) }));
+  return {
+    left: Math.min(...rects.map(r => r.x)),
+    top: Math.min(...rects.map(r => r.y)),
+    right: Math.max(...rects.map(r => r.x + r.width)),
+  };
+};
+
+/** Incoming tables whose label matches a table already on the canvas. */
+export const findMergeConflicts = (nodes, incomingNodes) => {
+  const byLabel = new Map(nodes.filter(isTable).map(n => [labelKey(n), n]));
+  return incomingNodes
+    .filter(n => isTable(n) && byLabel.has(labelKey(n)))
+    .map(n => ({ incomingId: n.id, existingId: byLabel.get(labelKey(n)).id, label: n.data.label }));
+};
+
+// Existing columns first, then the incoming ones the table does not have yet
+const mergeColumns = (ours, theirs) => {
+  const names = new Set(ours.map(c => c.name.toLowerCase()));
+  return ours.concat(theirs.filter(c => !names.has(c.name.toLowerCase())));
+};
+
+const sameEdge = (a, b) =>
+  a.source === b.source && a.target === b.target
+  && (a.sourceHandle || null) === (b.sourceHandle || null) && (a.targetHandle || null) === (b.targetHandle || null);
+
+/**
+ * Adds incoming legend entries that no entry has the color of yet.
+ * `categoryMap` tells which of ours each incoming entry id became.
+ */
+export const mergeLegend = (ours = [], theirs = [], stamp = Date.now()) => {
+  const legend = ours.slice();
+  const categoryMap = {};
+  theirs.forEach((item) => {
+    const match = legend.find(l => l.hex.toLowerCase() === item.hex.toLowerCase());
+    categoryMap[item.id] = match ? match.id : `${stamp}-${legend.length}`;
+    if (!match) legend.push({ ...item, id: categoryMap[item.id] });
+  });
+  return { legend, categoryMap };
+};
+
+/**
+ * Adds an incoming diagram to the current one. Incoming nodes and edges get
+ * fresh ids and are moved to the right of the current block; incoming groups
+ * keep their tables, except conflicting ones. A conflicting
+ * table is resolved per `resolutions[incomingId]`: 'keep' drops it, 'replace'
+ * takes its columns, 'merge' adds the columns ours lacks. In every case its
+ * relationships are attached to our table. Legend entries merge by hex, and
+ * incoming nodes move to the matching category.
+ */
+export const mergeDiagrams = (current, incoming, resolutions = {}) => {
+  const stamp = Date.now();
+  const conflicts = findMergeConflicts(current.nodes, incoming.nodes);
+  const conflictFor = Object.fromEntries(conflicts.map(c => [c.incomingId, c]));
+  const idMap = {};
+
+  const { legend, categoryMap } = mergeLegend(current.legend, incoming.legend, stamp);
+
+  const added = incoming.nodes.filter(n => !conflictFor[n.id]);
+  const offset = { x: 0, y: 0 };
+  if (current.nodes.length && added.length) {
+    const ours = getBounds(current.nodes);
+    const theirs = getBounds(added);
+    offset.x = ours.right + BLOCK_GAP - theirs.left;
+    offset.y = ours.top - theirs.top;
+  }
+
+  const newNodes = added.map((node, index) => {
+    const id = `${isGroup(node) ? 'group' : 'node'}_${stamp}_${index}`;
+    idMap[node.id] = id;
+    return {
+      ...node,
+      id,
+      selected: false,
+      position: node.parentNode ? node.position : { x: node.position.x + offset.x, y: node.position.y + offset.y },
+      data: { ...node.data, category: categoryMap[node.data.category] ?? node.data.category },
+    };
+  }).map(node => (node.parentNode ? { ...node, parentNode: idMap[node.parentNode] } : node));
+
+  const incomingById = Object.fromEntries(incoming.nodes.map(n => [n.id, n]));
+  const replaced = {};
+  conflicts.forEach(({ incomingId, existingId }) => {
+    idMap[incomingId] = existingId;
+    const theirs = incomingById[incomingId].data.columns || [];
+    const resolution = resolutions[incomingId] || 'merge';
+    if (resolution === 'replace') replaced[existingId] = () => theirs;
+    if (resolution === 'merge') replaced[existingId] = ours => mergeColumns(ours, theirs);
+  });
+
+  const nodes = sortGroupsFirst(current.nodes
+    .map(n => (replaced[n.id] ? { ...n, data: { ...n.data, columns: replaced[n.id](n.data.columns || []) } } : n))
+    .concat(newNodes));
+
+  let edges = current.edges.slice();
+  incoming.edges.forEach((edge, index) => {
+    const source = idMap[edge.source];
+    const target = idMap[edge.target];
+    if (!source || !target) return;
+    const moved = {
+      ...edge,
+      id: `e-${stamp}-${index}`,
+      source,
+      target,
+      selected: false,
+    };
+    if (!edges.some(e => sameEdge(e, moved))) edges.push(moved);
+  });
+
+  // Relationships on a resolved table may name columns it no longer has
+  conflicts.forEach(({ existingId }) => {
+    const columns = nodes.find(n => n.id === existingId).data.columns || [];
+    edges = remapEdgeColumns(edges, existingId, {}, columns.map(c => c.name));
+  });
+
+  return { nodes, edges, legend };
+};
@@ -0,0 +1,47 @@
+import { findMergeConflicts, mergeDiagrams } from './diagramMerge';
+
+const table = (id, label, columns, x = 0, category = '1') => ({
+  id, type: 'tableNode', position: { x, y: 0 }, width: 220, height: 100,
+  data: { label, category, columns: columns.map(name => ({ name })) },
+});
+
+const current = {
+  nodes: [table('a', 'users', ['id', 'email'])],
+  edges: [],
+  legend: [{ id: '1', name: 'Reporting', hex: '#fbbf24' }],
+};
+
+const incoming = {
+  nodes: [table('a', 'Users', ['id', 'phone']), table('b', 'orders', ['id', 'user_id'], 0, '2')],
+  edges: [{
+    id: 'e1', source: 'a', target: 'b', sourceHandle: 'col-phone-source', targetHandle: 'col-user_id-target',
+    data: { relType: '1:N', sourceColumns: ['phone'], targetColumns: ['user_id'] },
+  }],
+  legend: [{ id: '1', name: 'Reports', hex: '#FBBF24' }, { id: '2', name: 'Sensitive', hex: '#f43f5e' }],
+};
+
+test('finds tables with the same label', () => {
+  expect(findMergeConflicts(current.nodes, incoming.nodes)).toEqual([{ incomingId: 'a', existingId: 'a', label: 'Users' }]);
+});
+
+test('re-ids and offsets incoming tables and attaches their edges to ours', () => {
+  const merged = mergeDiagrams(current, incoming, { a: 'merge' });
+  const orders = merged.nodes.find(n => n.data.label === 'orders');
+
+  expect(merged.nodes).toHaveLength(2);
+  expect(orders.id).not.toBe('b');
+  expect(orders.position.x).toBeGreaterThan(220);
+  expect(merged.nodes[0].data.columns.map(c => c.name)).toEqual(['id', 'email', 'phone']);
+  expect(merged.edges[0]).toMatchObject({ source: 'a', target: orders.id, sourceHandle: 'col-phone-source' });
+  expect(merged.legend.map(l => l.name)).toEqual(['Reporting', 'Sensitive']);
+  expect(orders.data.category).toBe(merged.legend[1].id);
+});
+
+test('keeping our table drops relationships to columns it lacks', () => {
+  const merged = mergeDiagrams(current, incoming, { a: 'keep' });
+
+  expect(merged.nodes[0].data.columns.map(c => c.name)).toEqual(['id', 'email']);
+  expect(merged.edges[0].sourceHandle).toBe('right-source');
+  expect(merged.edges[0].data.sourceColumns).toBeUndefined();
+  expect(mergeDiagrams(current, incoming, { a: 'replace' }).nodes[0].data.columns.map(c => c.name)).toEqual(['id', 'phone']);
+});
@@ -0,0 +1,126 @@
+import { getNodeSize } from './layout';
+
+export const GROUP_TYPE = 'groupNode';
+export const DEFAULT_GROUP_SIZE = { width: 480, height: 320 };
+export const COLLAPSED_GROUP_SIZE = { width: 240, height: 92 };
+
+// Space between the framed tables and the frame; the title bar sits above it
+const GROUP_PADDING = 40;
+const TITLE_HEIGHT = 36;
+
+export const isGroup = (node) => node.type === GROUP_TYPE;
+export const isTable = (node) => (node.type || 'tableNode') === 'tableNode';
+
+/** Where a node is on the canvas; tables in a group store their position relative to it. */
+export const getAbsolutePosition = (node, nodes) => {
+  const parent = node.parentNode && nodes.find(n => n.id === node.parentNode);
+  return parent
+    ? { x: parent.position.x + node.position.x, y: parent.position.y + node.position.y }
+    : node.position;
+};
+
+// React Flow needs every group before the nodes inside it
+export const sortGroupsFirst = (nodes) => nodes.filter(isGroup).concat(nodes.filter(n => !isGroup(n)));
+
+/** The expanded group whose frame holds the center of the node, if any. */
+export const findGroupAt = (nodes, node) => {
+  const { x, y } = getAbsolutePosition(node, nodes);
+  const { width, height } = getNodeSize(node);
+  const center = { x: x + width / 2, y: y + height / 2 };
+  return nodes.find((group) => {
+    if (!isGroup(group) || group.data.collapsed) return false;
+    const size = getNodeSize(group);
+    return center.x >= group.position.x && center.x <= group.position.x + size.width
+      && center.y >= group.position.y && center.y <= group.position.y + size.height;
+  }) || null;
+};
+
+/** Moves a node into a group, or out of any with a null `groupId`, without moving it on the canvas. */
+export const setNodeGroup = (nodes, nodeId, groupId) => {
+  const node = nodes.find(n => n.id === nodeId);
+  const group = groupId && nodes.find(n => n.id === groupId);
+  const { x, y } = getAbsolutePosition(node, nodes);
+  const { parentNode, positionAbsolute, ...rest } = node;
+  const moved = group
+    ? { ...rest, parentNode: group.id, position: { x: x - group.position.x, y: y - group.position.y } }
+    : { ...rest, position: { x, y } };
+  return sortGroupsFirst(nodes.map(n => (n.id === nodeId ? moved : n)));
+};
+
+/**
+ * Adds a group framing the given tables, or an empty one of the default size
+ * at `position` when there are none.
+ */
+export const createGroup = (nodes, tableIds, { id, label, category, color, position }) => {
+  const members = nodes.filter(n => isTable(n) && tableIds.includes(n.id));
+  let frame = { ...position, ...DEFAULT_GROUP_SIZE };
+  if (members.length) {
+    const rects = members.map(n => ({ ...getAbsolutePosition(n, nodes), ...getNodeSize(n) }));
+    const left = Math.min(...rects.map(r => r.x)) - GROUP_PADDING;
+    const top = Math.min(...rects.map(r => r.y)) - GROUP_PADDING - TITLE_HEIGHT;
+    frame = {
+      x: left,
+      y: top,
+      width: Math.max(...rects.map(r => r.x + r.width)) + GROUP_PADDING - left,
+      height: Math.max(...rects.map(r => r.y + r.height)) + GROUP_PADDING - top,
+    };
+  }
+  const group = {
+    id,
+    type: GROUP_TYPE,
+    position: { x: frame.x, y: frame.y },
+    style: { width: frame.width, height: frame.height },
+    data: { label, category, color, collapsed: false },
+  };
+  return members.reduce((acc, member) => setNodeGroup(acc, member.id, id), [group, ...nodes]);
+};
+
+/** Removes groups, leaving their tables where they are on the canvas. */
+export const ungroup = (nodes, groupIds) => nodes
+  .filter(n => groupIds.includes(n.parentNode))
+  .reduce((acc, child) => setNodeGroup(acc, child.id, null), nodes)
+  .filter(n => !groupIds.includes(n.id));
+
+/**
+ * What is drawn for collapsed groups: their tables are hidden, edges to them
+ * start or end at the group instead (one per pair of ends), edges inside the
+ * group are hidden, and the group shows how many tables and outside
+ * relationships it holds.
+ */
+export const collapseGroups = (nodes, edges) => {
+  const collapsed = new Set(nodes.filter(n => isGroup(n) && n.data.collapsed).map(n => n.id));
+  if (collapsed.size === 0) return { nodes, edges };
+
+  const shownAs = Object.fromEntries(nodes.filter(n => collapsed.has(n.parentNode)).map(n => [n.id, n.parentNode]));
+  const summaries = Object.fromEntries(Array.from(collapsed).map(id => [id, { tableCount: 0, externalEdges: 0 }]));
+  Object.values(shownAs).forEach((groupId) => { summaries[groupId].tableCount += 1; });
+
+  const drawn = new Set();
+  const shownEdges = edges.map((edge) => {
+    const source = shownAs[edge.source] || edge.source;
+    const target = shownAs[edge.target] || edge.target;
+    if (source === edge.source && target === edge.target) return edge;
+    if (source === target) return { ...edge, hidden: true };
+    [source, target].forEach((id) => {
+      if (summaries[id]) summaries[id].externalEdges += 1;
+    });
+    const key = `${source}>${target}`;
+    const duplicate = drawn.has(key);
+    drawn.add(key);
+    return {
+      ...edge,
+      source,
+      target,
+      sourceHandle: source === edge.source ? edge.sourceHandle : 'right-source',
+      targetHandle: target === edge.target ? edge.targetHandle : 'left-target',
+      hidden: edge.hidden || duplicate,
+    };
+  });
+
+  const shownNodes = nodes.map((node) => {
+    if (shownAs[node.id]) return { ...node, hidden: true };
+    if (!collapsed.has(node.id)) return node;
+    return { ...node, style: { ...node.style, ...COLLAPSED_GROUP_SIZE }, data: { ...node.data, summary: summaries[node.id] } };
+  });
+  return { nodes: shownNodes, edges: shownEdges };
+};
@@ -0,0 +1,46 @@
+import { createGroup, setNodeGroup, ungroup, collapseGroups, findGroupAt, COLLAPSED_GROUP_SIZE } from './groups';
+
+const table = (id, x, y) => ({
+  id, type: 'tableNode', position: { x, y }, width: 200, height: 100, data: { label: id, columns: [] },
+});
+
+test('frames the chosen tables and keeps them where they were on the canvas', () => {
+  const nodes = createGroup([table('a', 100, 100), table('b', 400, 300), table('c', 900, 0)], ['a', 'b'], {
+    id: 'g', label: 'Billing', category: '1', color: '#fbbf24',
+  });
+
+  expect(nodes.map(n => n.id)).toEqual(['g', 'a', 'b', 'c']);
+  expect(nodes[0]).toMatchObject({ position: { x: 60, y: 24 }, style: { width: 580, height: 416 } });
+  expect(nodes[1]).toMatchObject({ parentNode: 'g', position: { x: 40, y: 76 } });
+  expect(nodes[3].parentNode).toBeUndefined();
+
+  expect(findGroupAt(nodes, table('d', 300, 200))?.id).toBe('g');
+  expect(findGroupAt(nodes, table('d', 1000, 200))).toBeNull();
+
+  const outside = setNodeGroup(nodes, 'a', null);
+  expect(outside.find(n => n.id === 'a')).toEqual(table('a', 100, 100));
+
+  const ungrouped = ungroup(nodes, ['g']);
+  expect(ungrouped).toEqual([table('a', 100, 100), table('b', 400, 300), table('c', 900, 0)]);
+});
+
+test('draws a collapsed group as one node with its outside relationships', () => {
+  const nodes = createGroup([table('a', 0, 0), table('b', 300, 0), table('c', 900, 0), table('d', 900, 300)], ['a', 'b'], {
+    id: 'g', label: 'Billing', category: '1', color: '#fbbf24',
+  }).map(n => (n.id === 'g' ? { ...n, data: { ...n.data, collapsed: true } } : n));
+  const edges = [
+    { id: 'ab', source: 'a', target: 'b' },
+    { id: 'ac', source: 'a', target: 'c', sourceHandle: 'col-id-source' },
+    { id: 'bc', source: 'b', target: 'c' },
+    { id: 'dc', source: 'd', target: 'c' },
+  ];
+  const shown = collapseGroups(nodes, edges);
+
+  expect(shown.nodes.filter(n => n.hidden).map(n => n.id)).toEqual(['a', 'b']);
+  expect(shown.nodes[0]).toMatchObject({ style: COLLAPSED_GROUP_SIZE, data: { summary: { tableCount: 2, externalEdges: 2 } } });
+  expect(shown.edges.map(e => [e.id, e.source, e.target, !!e.hidden])).toEqual([
+    ['ab', 'a', 'b', true], ['ac', 'g', 'c', false], ['bc', 'g', 'c', true], ['dc', 'd', 'c', false],
+  ]);
+  expect(shown.edges[1].sourceHandle).toBe('right-source');
+  expect(shown.edges[3]).toBe(edges[3]);
+});
@@ -0,0 +1,251 @@
+export const LAYOUT_STRATEGIES = [
+  { id: 'layered', name: 'Layered (by FK direction)' },
+  { id: 'force', name: 'Force-directed' },
+  { id: 'grid', name: 'Grid by category' },
+];
+
+const LAYER_GAP = 140;
+const NODE_GAP = 50;
+const OVERLAP_PADDING = 30;
+
+// Size set on a group frame, the rendered size when React Flow has measured the node, an estimate otherwise.
+export const getNodeSize = (node) => ({
+  width: node.style?.width || node.width || 220,
+  height: node.style?.height || node.height || 40 + (node.data?.columns?.length || 0) * 33,
+});
+
+const overlaps = (a, b, padding = OVERLAP_PADDING) =>
+  a.x < b.x + b.width + padding && b.x < a.x + a.width + padding
+  && a.y < b.y + b.height + padding && b.y < a.y + a.height + padding;
+
+/** Finds a spot near `start` that does not cover any existing node. */
+export const findFreePosition = (nodes, start, size = { width: 220, height: 80 }) => {
+  // Tables inside a group lie within its frame
+  const rects = nodes.filter(n => !n.parentNode).map(n => ({ ...n.position, ...getNodeSize(n) }));
+  const candidate = { ...start, ...size };
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const blocker = rects.find(r => overlaps(candidate, r));
+    if (!blocker) break;
+    candidate.y = blocker.y + blocker.height + NODE_GAP;
+    if (attempt % 10 === 9) {
+      candidate.x += size.width + NODE_GAP;
+      candidate.y = start.y;
+    }
+  }
+  return { x: candidate.x, y: candidate.y };
+};
+
+// Assigns each node the length of the longest FK path leading to it.
+// Edges that close a cycle are ignored so every node gets a finite layer.
+const assignLayers = (ids, links) => {
+  const state = {};
+  const acyclic = [];
+  const visit = (id) => {
+    state[id] = 'visiting';
+    links.filter(l => l.source === id).forEach((link) => {
+      if (state[link.target] === 'visiting') return;
+      acyclic.push(link);
+      if (!state[link.target]) visit(link.target);
+    });
+    state[id] = 'done';
+  };
+  ids.forEach(id => { if (!state[id]) visit(id); });
+
+  const layer = {};
+  const depth = (id) => {
+    if (layer[id] !== undefined) return layer[id];
+    const parents = acyclic.filter(l => l.target === id).map(l => l.source);
+    layer[id] = parents.length ? Math.max(...parents.map(depth)) + 1 : 0;
+    return layer[id];
+  };
+  ids.forEach(depth);
+  return layer;
+};
+
+// Barycenter sweeps: order each layer by the mean index of its neighbours
+// in the adjacent layer, which removes most edge crossings.
+const orderLayers = (layers, links) => {
+  const neighbours = (id, inLayer) => links
+    .flatMap(l => (l.source === id ? [l.target] : l.target === id ? [l.source] : []))
+    .filter(n => inLayer.includes(n));
+
+  for (let sweep = 0; sweep < 8; sweep++) {
+    const down = sweep % 2 === 0;
+    const indices = layers.map((_, i) => i);
+    (down ? indices.slice(1) : indices.reverse().slice(1)).forEach((i) => {
+      const reference = layers[down ? i - 1 : i + 1];
+      const score = (id, fallback) => {
+        const adjacent = neighbours(id, reference).map(n => reference.indexOf(n));
+        return adjacent.length ? adjacent.reduce((a, b) => a + b, 0) / adjacent.length : fallback;
+      };
+      layers[i] = layers[i]
+        .map((id, index) => ({ id, key: score(id, index) }))
+        .sort((a, b) => a.key - b.key)
+        .map(entry => entry.id);
+    });
+  }
+  return layers;
+};
+
+const layered = (nodes, edges) => {
+  const ids = nodes.map(n => n.id);
+  const links = edges.filter(e => e.source !== e.target && ids.includes(e.source) && ids.includes(e.target));
+  const layer = assignLayers(ids, links);
+  const layers = [];
+  ids.forEach((id) => {
+    (layers[layer[id]] = layers[layer[id]] || []).push(id);
+  });
+  orderLayers(layers, links);
+
+  const sizes = Object.fromEntries(nodes.map(n => [n.id, getNodeSize(n)]));
+  const heights = layers.map(l => l.reduce((sum, id) => sum + sizes[id].height, 0) + (l.length - 1) * NODE_GAP);
+  const tallest = Math.max(...heights);
+  const positions = {};
+  let x = 0;
+  layers.forEach((column, i) => {
+    let y = (tallest - heights[i]) / 2;
+    column.forEach((id) => {
+      positions[id] = { x, y };
+      y += sizes[id].height + NODE_GAP;
+    });
+    x += Math.max(...column.map(id => sizes[id].width)) + LAYER_GAP;
+  });
+  return positions;
+};
+
+// Fruchterman-Reingold with node sizes folded into the ideal distance.
+const force = (nodes, edges, pinned) => {
+  const sizes = Object.fromEntries(nodes.map(n => [n.id, getNodeSize(n)]));
+  const pos = Object.fromEntries(nodes.map((n, i) => [n.id, {
+    // Nudge identical starting points apart so forces have a direction
+    x: n.position.x + (i % 7) * 3,
+    y: n.position.y + (i % 5) * 3,
+  }]));
+  const ideal = 320;
+  const links = edges.filter(e => pos[e.source] && pos[e.target] && e.source !== e.target);
+  let temperature = 200;
+
+  for (let step = 0; step < 300; step++) {
+    const shift = Object.fromEntries(nodes.map(n => [n.id, { x: 0, y: 0 }]));
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach((b) => {
+        const dx = pos[a.id].x - pos[b.id].x;
+        const dy = pos[a.id].y - pos[b.id].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const reach = ideal + (sizes[a.id].height + sizes[b.id].height) / 4;
+        const push = (reach * reach) / distance;
+        shift[a.id].x += (dx / distance) * push;
+        shift[a.id].y += (dy / distance) * push;
+        shift[b.id].x -= (dx / distance) * push;
+        shift[b.id].y -= (dy / distance) * push;
+      });
+    });
+    links.forEach(({ source, target }) => {
+      const dx = pos[source].x - pos[target].x;
+      const dy = pos[source].y - pos[target].y;
+      const distance = Math.max(Math.hypot(dx, dy), 1);
+      const pull = (distance * distance) / ideal;
+      shift[source].x -= (dx / distance) * pull;
+      shift[source].y -= (dy / distance) * pull;
+      shift[target].x += (dx / distance) * pull;
+      shift[target].y += (dy / distance) * pull;
+    });
+    const limit = temperature;
+    nodes.forEach(({ id }) => {
+      if (pinned.has(id)) return;
+      const length = Math.max(Math.hypot(shift[id].x, shift[id].y), 1);
+      pos[id].x += (shift[id].x / length) * Math.min(length, limit);
+      pos[id].y += (shift[id].y / length) * Math.min(length, limit);
+    });
+    temperature = Math.max(temperature * 0.98, 2);
+  }
+  return pos;
+};
+
+const grid = (nodes, legend = []) => {
+  const order = legend.map(l => l.id);
+  const groups = {};
+  nodes.forEach((n) => {
+    (groups[n.data?.category] = groups[n.data?.category] || []).push(n);
+  });
+  const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  const positions = {};
+  let x = 0;
+
+  Object.keys(groups).sort((a, b) => rank(a) - rank(b)).forEach((category) => {
+    const members = groups[category].slice().sort((a, b) => (a.data?.label || '').localeCompare(b.data?.label || ''));
+    const perRow = Math.ceil(Math.sqrt(members.length));
+    const width = Math.max(...members.map(n => getNodeSize(n).width));
+    let y = 0;
+    for (let row = 0; row * perRow < members.length; row++) {
+      const cells = members.slice(row * perRow, (row + 1) * perRow);
+      const left = x;
+      const top = y;
+      cells.forEach((n, col) => {
+        positions[n.id] = { x: left + col * (width + NODE_GAP), y: top };
+      });
+      y += Math.max(...cells.map(n => getNodeSize(n).height)) + NODE_GAP;
+    }
+    x += perRow * (width + NODE_GAP) + LAYER_GAP;
+  });
+  return positions;
+};
+
+// Moves free nodes down until none of them covers a pinned or already placed node.
+const separate = (nodes, positions, pinned) => {
+  const placed = nodes
+    .filter(n => pinned.has(n.id))
+    .map(n => ({ ...n.position, ...getNodeSize(n) }));
+  nodes
+    .filter(n => !pinned.has(n.id))
+    .sort((a, b) => positions[a.id].y - positions[b.id].y || positions[a.id].x - positions[b.id].x)
+    .forEach((n) => {
+      const rect = { ...positions[n.id], ...getNodeSize(n) };
+      for (let guard = 0; guard < 500; guard++) {
+        const blocker = placed.find(r => overlaps(rect, r));
+        if (!blocker) break;
+        rect.y = blocker.y + blocker.height + OVERLAP_PADDING + 1;
+      }
+      positions[n.id] = { x: rect.x, y: rect.y };
+      placed.push(rect);
+    });
+  return positions;
+};
+
+/**
+ * Computes new positions for every unpinned node. The result is anchored at
+ * the top-left corner of the free nodes so the diagram does not jump away.
+ * Groups are laid out as one block with their tables staying inside.
+ */
+export const computeLayout = (allNodes, allEdges, { strategy = 'layered', legend } = {}) => {
+  const nodes = allNodes.filter(n => !n.parentNode);
+  const blockOf = Object.fromEntries(allNodes.map(n => [n.id, n.parentNode || n.id]));
+  const edges = allEdges
+    .map(e => ({ ...e, source: blockOf[e.source] || e.source, target: blockOf[e.target] || e.target }))
+    .filter(e => e.source !== e.target);
+  const pinned = new Set(nodes.filter(n => n.data?.pinned).map(n => n.id));
+  const free = nodes.filter(n => !pinned.has(n.id));
+  if (free.length === 0) return {};
+
+  let positions;
+  if (strategy === 'force') positions = force(nodes, edges, pinned);
+  else if (strategy === 'grid') positions = grid(free, legend);
+  else positions = layered(free, edges);
+
+  const origin = {
+    x: Math.min(...free.map(n => n.position.x)),
+    y: Math.min(...free.map(n => n.position.y)),
+  };
+  const laidOut = free.map(n => positions[n.id]);
+  // Force layout already runs around the pinned nodes, so it stays where it settled
+  const offset = strategy === 'force' && pinned.size > 0 ? { x: 0, y: 0 } : {
+    x: origin.x - Math.min(...laidOut.map(p => p.x)),
+    y: origin.y - Math.min(...laidOut.map(p => p.y)),
+  };
+  const anchored = Object.fromEntries(free.map(n => [n.id, {
+    x: Math.round(positions[n.id].x + offset.x),
+    y: Math.round(positions[n.id].y + offset.y),
+  }]));
+
+  return separate(nodes, anchored, pinned);
+};
@@ -0,0 +1,45 @@
+import { computeLayout, findFreePosition } from './layout';
+
+const node = (id, x = 0, y = 0, data = {}) => ({ id, position: { x, y }, data: { label: id, columns: [], ...data } });
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+const overlapping = (positions, nodes) => nodes.some((a, i) => nodes.slice(i + 1).some((b) => {
+  const p = positions[a.id] || a.position;
+  const q = positions[b.id] || b.position;
+  return Math.abs(p.x - q.x) < 220 && Math.abs(p.y - q.y) < 40;
+}));
+
+test('layered layout puts referenced tables left of the tables that reference them', () => {
+  const nodes = [node('orders'), node('users'), node('items'), node('products')];
+  const edges = [edge('users', 'orders'), edge('orders', 'items'), edge('products', 'items')];
+  const positions = computeLayout(nodes, edges, { strategy: 'layered' });
+
+  expect(positions.users.x).toBeLessThan(positions.orders.x);
+  expect(positions.orders.x).toBeLessThan(positions.items.x);
+  expect(overlapping(positions, nodes)).toBe(false);
+});
+
+test('every strategy spreads stacked nodes apart and leaves pinned ones alone', () => {
+  const nodes = [node('a', 350, 150), node('b', 350, 150), node('c', 350, 150, { pinned: true }), node('d', 350, 150)];
+  ['layered', 'force', 'grid'].forEach((strategy) => {
+    const positions = computeLayout(nodes, [edge('a', 'b')], { strategy });
+
+    expect(positions.c).toBeUndefined();
+    expect(overlapping(positions, nodes)).toBe(false);
+  });
+});
+
+test('finds a free spot for a new table', () => {
+  const position = findFreePosition([node('a', 350, 150)], { x: 350, y: 150 });
+  expect(position.y).toBeGreaterThan(150);
+});
+
+test('moves groups as a block and leaves the tables inside them in place', () => {
+  const group = { id: 'g', type: 'groupNode', position: { x: 0, y: 0 }, style: { width: 500, height: 300 }, data: { label: 'Billing' } };
+  const inside = { ...node('invoices', 40, 80), parentNode: 'g' };
+  const nodes = [group, inside, node('users', 0, 0)];
+  const positions = computeLayout(nodes, [edge('users', 'invoices')], { strategy: 'layered' });
+
+  expect(positions.invoices).toBeUndefined();
+  expect(positions.users.x).toBeLessThan(positions.g.x);
+});
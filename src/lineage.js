@@ -0,0 +1,95 @@
+import { MarkerType } from 'reactflow';
+import { flipHandle } from './relationships';
+
+export const LINEAGE_KIND = 'lineage';
+export const LINEAGE_COLOR = '#8b5cf6';
+
+const LABEL_LENGTH = 28;
+
+// Lineage edges say where data comes from; they are not constraints and never reach the schema
+export const isLineageEdge = (edge) => edge?.data?.kind === LINEAGE_KIND;
+
+const lineageLabel = (transformation) => {
+  const note = (transformation || '').trim().split('\n')[0];
+  return note.length > LABEL_LENGTH ? `${note.slice(0, LABEL_LENGTH - 1)}…` : note || undefined;
+};
+
+// Source feeds the target; columns name the fields read and written, when known.
+export const createLineageEdge = (params, data = {}) => ({
+  ...params,
+  id: params.id || `l-${Date.now()}`,
+  type: 'default',
+  animated: true,
+  style: { strokeWidth: 1.5, stroke: LINEAGE_COLOR, strokeDasharray: '6 4' },
+  markerEnd: { type: MarkerType.ArrowClosed, color: LINEAGE_COLOR, width: 15, height: 15 },
+  label: lineageLabel(data.transformation),
+  labelStyle: { fill: LINEAGE_COLOR, fontSize: 10, fontWeight: 700 },
+  data: { ...data, kind: LINEAGE_KIND },
+});
+
+export const updateLineageEdge = (edge, changes) => createLineageEdge(edge, { ...edge.data, ...changes });
+
+/** Makes the target the source of the data and the source its destination. */
+export const reverseLineageEdge = (edge) => {
+  const { sourceColumns, targetColumns, ...rest } = edge.data || {};
+  return createLineageEdge({
+    ...edge,
+    source: edge.target,
+    target: edge.source,
+    sourceHandle: flipHandle(edge.targetHandle, 'source'),
+    targetHandle: flipHandle(edge.sourceHandle, 'target'),
+  }, {
+    ...rest,
+    ...(targetColumns && { sourceColumns: targetColumns }),
+    ...(sourceColumns && { targetColumns: sourceColumns }),
+  });
+};
+
+/**
+ * Follows lineage edges from a table, or one of its columns, to everything it
+ * is derived from (upstream) or everything derived from it (downstream).
+ * A column only follows edges that name it or name no columns on that side;
+ * edges without columns on the far side carry on from the whole table.
+ * Returns the tables and edges on the path and, per table, the columns on it.
+ */
+export const traceLineage = (edges, { nodeId, column = null }, direction) => {
+  const [near, far] = direction === 'upstream' ? ['target', 'source'] : ['source', 'target'];
+  const lineage = edges.filter(isLineageEdge);
+  const nodeIds = new Set([nodeId]);
+  const edgeIds = new Set();
+  const columns = {};
+  const addColumns = (id, names) => names.forEach((name) => {
+    columns[id] = columns[id] || new Set();
+    columns[id].add(name);
+  });
+
+  if (column !== null) addColumns(nodeId, [column]);
+  const visited = new Set();
+  const queue = [{ nodeId, column }];
+  while (queue.length) {
+    const step = queue.shift();
+    const key = `${step.nodeId}\n${step.column ?? ''}`;
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    lineage.forEach((edge) => {
+      if (edge[near] !== step.nodeId) return;
+      const nearColumns = edge.data[`${near}Columns`] || [];
+      const farColumns = edge.data[`${far}Columns`] || [];
+      if (step.column !== null && nearColumns.length && !nearColumns.includes(step.column)) return;
+
+      edgeIds.add(edge.id);
+      nodeIds.add(edge[far]);
+      if (step.column === null) addColumns(step.nodeId, nearColumns);
+      addColumns(edge[far], farColumns);
+      if (step.column !== null && farColumns.length) farColumns.forEach(name => queue.push({ nodeId: edge[far], column: name }));
+      else queue.push({ nodeId: edge[far], column: null });
+    });
+  }
+
+  return {
+    nodeIds,
+    edgeIds,
+    columns: Object.fromEntries(Object.entries(columns).map(([id, names]) => [id, Array.from(names)])),
+  };
+};
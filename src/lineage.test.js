@@ -0,0 +1,54 @@
+import { createLineageEdge, isLineageEdge, reverseLineageEdge, traceLineage, updateLineageEdge } from './lineage';
+
+const lineage = (id, source, target, data = {}) => createLineageEdge({ id, source, target }, data);
+
+// raw_orders.amount -> stg_orders.amount_usd -> revenue.total; raw_users -> stg_users (whole tables)
+const edges = [
+  lineage('l1', 'raw_orders', 'stg_orders', { sourceColumns: ['amount'], targetColumns: ['amount_usd'], transformation: 'amount * rate' }),
+  lineage('l2', 'raw_orders', 'stg_orders', { sourceColumns: ['created'], targetColumns: ['order_date'] }),
+  lineage('l3', 'stg_orders', 'revenue', { sourceColumns: ['amount_usd'], targetColumns: ['total'] }),
+  lineage('l4', 'raw_users', 'stg_users'),
+  lineage('l5', 'stg_users', 'revenue', { targetColumns: ['customers'] }),
+  { id: 'e1', source: 'raw_users', target: 'raw_orders', data: { relType: '1:N' } },
+];
+
+test('creates lineage edges that relationships can tell apart', () => {
+  expect(isLineageEdge(edges[0])).toBe(true);
+  expect(isLineageEdge(edges[5])).toBe(false);
+  expect(edges[0].label).toBe('amount * rate');
+  expect(updateLineageEdge(edges[0], { transformation: '' }).label).toBeUndefined();
+});
+
+test('swaps the direction together with the columns', () => {
+  const reversed = reverseLineageEdge({ ...edges[0], sourceHandle: 'col-amount-source', targetHandle: 'col-amount_usd-target' });
+
+  expect(reversed).toMatchObject({ source: 'stg_orders', target: 'raw_orders', sourceHandle: 'col-amount_usd-source', targetHandle: 'col-amount-target' });
+  expect(reversed.data).toMatchObject({ kind: 'lineage', sourceColumns: ['amount_usd'], targetColumns: ['amount'], transformation: 'amount * rate' });
+});
+
+test('traces a column downstream only along edges that read it', () => {
+  const trace = traceLineage(edges, { nodeId: 'raw_orders', column: 'amount' }, 'downstream');
+
+  expect(Array.from(trace.nodeIds)).toEqual(['raw_orders', 'stg_orders', 'revenue']);
+  expect(Array.from(trace.edgeIds)).toEqual(['l1', 'l3']);
+  expect(trace.columns).toEqual({ raw_orders: ['amount'], stg_orders: ['amount_usd'], revenue: ['total'] });
+});
+
+test('traces a column upstream through edges that name no columns', () => {
+  const trace = traceLineage(edges, { nodeId: 'revenue', column: 'customers' }, 'upstream');
+
+  expect(Array.from(trace.edgeIds)).toEqual(['l5', 'l4']);
+  expect(Array.from(trace.nodeIds)).toEqual(['revenue', 'stg_users', 'raw_users']);
+});
+
+test('traces a whole table through every lineage edge and ignores relationships', () => {
+  const trace = traceLineage(edges, { nodeId: 'revenue' }, 'upstream');
+
+  expect(new Set(trace.edgeIds)).toEqual(new Set(['l3', 'l5', 'l1', 'l2', 'l4']));
+  expect(trace.nodeIds.has('raw_users')).toBe(true);
+  expect(trace.columns).toEqual({
+    revenue: ['total', 'customers'],
+    stg_orders: ['amount_usd', 'order_date'],
+    raw_orders: ['amount', 'created'],
+  });
+});
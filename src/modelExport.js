@@ -0,0 +1,192 @@
+import { buildTables } from './sqlExport';
+import { getRelType } from './relationships';
+import { isLineageEdge } from './lineage';
+
+export const MODEL_FORMATS = [
+  { id: 'dbml', name: 'DBML', extension: 'dbml' },
+  { id: 'mermaid', name: 'Mermaid', extension: 'mmd' },
+  { id: 'plantuml', name: 'PlantUML', extension: 'puml' },
+];
+
+const PLAIN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const ident = (name) => String(name).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'table';
+
+const columnType = (col, isKey) => col.type || (isKey ? 'integer' : 'varchar');
+
+const keyColumns = (table) => {
+  const pk = table.columns.filter(c => c.isPK);
+  return pk.length ? pk : table.columns.filter(c => c.isCK);
+};
+
+/**
+ * Every relationship as parent/child tables with the columns on both sides.
+ * One-to-one and one-to-many come from the resolved foreign keys, many-to-many
+ * straight from the edges since none of these formats need a junction table.
+ */
+const collectRelationships = (nodes, edges) => {
+  const { tables } = buildTables(nodes, edges);
+  const byId = Object.fromEntries(tables.map(t => [t.id, t]));
+  const relationships = tables.flatMap(child => child.foreignKeys.map(fk => ({
+    parent: fk.refTable,
+    child,
+    parentColumns: fk.refColumns,
+    childColumns: fk.columns,
+    edge: fk.edge,
+  })));
+
+  edges.filter(e => !isLineageEdge(e) && getRelType(e) === 'N:M' && byId[e.source] && byId[e.target]).forEach((edge) => {
+    const parent = byId[edge.source];
+    const child = byId[edge.target];
+    relationships.push({
+      parent,
+      child,
+      parentColumns: edge.data?.sourceColumns?.length ? edge.data.sourceColumns : keyColumns(parent).map(c => c.name),
+      childColumns: edge.data?.targetColumns?.length ? edge.data.targetColumns : keyColumns(child).map(c => c.name),
+      edge,
+    });
+  });
+
+  return { tables, relationships };
+};
+
+const fkNames = (tables, relationships) => {
+  const names = new Map(tables.map(t => [t, new Set()]));
+  relationships.filter(r => getRelType(r.edge) !== 'N:M').forEach(r => r.childColumns.forEach(c => names.get(r.child).add(c)));
+  return names;
+};
+
+// Crow's foot ends shared by Mermaid and PlantUML: left end, then right end
+const crowsFoot = (edge) => {
+  const relType = getRelType(edge);
+  const { sourceOptional, targetOptional } = edge.data || {};
+  const left = relType === 'N:M' ? (sourceOptional ? '}o' : '}|') : (sourceOptional ? '|o' : '||');
+  const right = relType === '1:1' ? (targetOptional ? 'o|' : '||') : (targetOptional ? 'o{' : '|{');
+  return { left, right };
+};
+
+// A relationship is identifying when the child's key is made of its fk columns
+const isIdentifying = ({ child, childColumns, edge }) => {
+  if (getRelType(edge) === 'N:M') return false;
+  const keys = keyColumns(child).map(c => c.name);
+  return childColumns.length > 0 && childColumns.every(name => keys.includes(name));
+};
+
+const dbmlName = (name) => (PLAIN.test(name) ? name : `"${name.replace(/"/g, '\\"')}"`);
+const dbmlString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const dbmlColumns = (table, names) =>
+  (names.length === 1 ? `${dbmlName(table.label)}.${dbmlName(names[0])}` : `${dbmlName(table.label)}.(${names.map(dbmlName).join(', ')})`);
+
+// Quoted strings, numbers and literals pass through; anything else is an expression
+const dbmlDefault = (value) =>
+  (/^('.*'|-?\d+(\.\d+)?|true|false|null)$/i.test(value) ? value : `\`${value}\``);
+
+const DBML_REL = { '1:1': '-', '1:N': '<', 'N:M': '<>' };
+
+const toDbml = (tables, relationships) => {
+  const fks = fkNames(tables, relationships);
+  const blocks = tables.map((table) => {
+    const pk = table.columns.filter(c => c.isPK);
+    const ck = table.columns.filter(c => c.isCK);
+    const singlePk = pk.length === 1 && !ck.length;
+    const lines = table.columns.map((col) => {
+      const settings = [];
+      if (singlePk && col.isPK) settings.push('pk');
+      if (col.notNull && !col.isPK) settings.push('not null');
+      if (col.unique && !col.isPK) settings.push('unique');
+      if (col.defaultValue) settings.push(`default: ${dbmlDefault(col.defaultValue)}`);
+      if (col.description) settings.push(`note: ${dbmlString(col.description)}`);
+      const type = columnType(col, col.isPK || col.isCK || fks.get(table).has(col.name));
+      const typeText = /\s/.test(type) ? `"${type}"` : type;
+      return `  ${dbmlName(col.name)} ${typeText}${settings.length ? ` [${settings.join(', ')}]` : ''}`;
+    });
+
+    const indexes = [];
+    if (pk.length && !singlePk) indexes.push(`    (${pk.map(c => dbmlName(c.name)).join(', ')}) [pk]`);
+    if (!pk.length && ck.length) indexes.push(`    (${ck.map(c => dbmlName(c.name)).join(', ')}) [pk]`);
+    if (pk.length && ck.length) indexes.push(`    (${ck.map(c => dbmlName(c.name)).join(', ')}) [unique]`);
+    if (indexes.length) lines.push('', '  indexes {', ...indexes, '  }');
+
+    return `Table ${dbmlName(table.label)} {\n${lines.join('\n')}\n}`;
+  });
+
+  const refs = relationships.map((rel) => {
+    const relType = getRelType(rel.edge);
+    if (!rel.parentColumns.length || !rel.childColumns.length) {
+      return `// ${rel.parent.label} ${DBML_REL[relType]} ${rel.child.label}: no key columns to reference`;
+    }
+    const settings = [];
+    if (rel.edge.data?.onDelete) settings.push(`delete: ${rel.edge.data.onDelete.toLowerCase()}`);
+    if (rel.edge.data?.onUpdate) settings.push(`update: ${rel.edge.data.onUpdate.toLowerCase()}`);
+    return `Ref${rel.edge.data?.name && PLAIN.test(rel.edge.data.name) ? ` ${rel.edge.data.name}` : ''}: `
+      + `${dbmlColumns(rel.parent, rel.parentColumns)} ${DBML_REL[relType]} ${dbmlColumns(rel.child, rel.childColumns)}`
+      + (settings.length ? ` [${settings.join(', ')}]` : '');
+  });
+
+  return [...blocks, ...(refs.length ? [refs.join('\n')] : [])].join('\n\n') + '\n';
+};
+
+// Mermaid types may not contain spaces or commas, e.g. `numeric(10, 2)`
+const mermaidType = (type) => type.replace(/\s*,\s*/g, '_').replace(/[^A-Za-z0-9_()[\]-]+/g, '_');
+
+const toMermaid = (tables, relationships) => {
+  const fks = fkNames(tables, relationships);
+  const lines = ['erDiagram'];
+  tables.forEach((table) => {
+    lines.push(`  ${ident(table.label)} {`);
+    table.columns.forEach((col) => {
+      const isFk = fks.get(table).has(col.name) || col.isFK;
+      const keys = [col.isPK || col.isCK ? 'PK' : null, isFk ? 'FK' : null, col.unique && !col.isPK ? 'UK' : null].filter(Boolean);
+      const comment = col.description ? ` "${col.description.replace(/"/g, "'")}"` : '';
+      const type = mermaidType(columnType(col, col.isPK || col.isCK || isFk));
+      lines.push(`    ${type} ${ident(col.name)}${keys.length ? ` ${keys.join(',')}` : ''}${comment}`);
+    });
+    lines.push('  }');
+  });
+  relationships.forEach((rel) => {
+    const { left, right } = crowsFoot(rel.edge);
+    const line = isIdentifying(rel) ? '--' : '..';
+    const label = (rel.edge.data?.name || '').replace(/"/g, "'");
+    lines.push(`  ${ident(rel.parent.label)} ${left}${line}${right} ${ident(rel.child.label)} : "${label}"`);
+  });
+  return lines.join('\n') + '\n';
+};
+
+const toPlantUml = (tables, relationships) => {
+  const fks = fkNames(tables, relationships);
+  const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+  tables.forEach((table) => {
+    const name = PLAIN.test(table.label) ? table.label : `"${table.label}" as ${ident(table.label)}`;
+    const keys = table.columns.filter(c => c.isPK || c.isCK);
+    const attribute = (col) => {
+      const isFk = fks.get(table).has(col.name) || col.isFK;
+      const stereotypes = [col.isPK || col.isCK ? '<<PK>>' : null, isFk ? '<<FK>>' : null].filter(Boolean);
+      const mandatory = col.notNull || col.isPK || col.isCK ? '* ' : '';
+      return `  ${mandatory}${col.name} : ${columnType(col, col.isPK || col.isCK || isFk)}${stereotypes.length ? ` ${stereotypes.join(' ')}` : ''}`;
+    };
+    lines.push(`entity ${name} {`);
+    keys.forEach(col => lines.push(attribute(col)));
+    if (keys.length) lines.push('  --');
+    table.columns.filter(c => !c.isPK && !c.isCK).forEach(col => lines.push(attribute(col)));
+    lines.push('}', '');
+  });
+  relationships.forEach((rel) => {
+    const { left, right } = crowsFoot(rel.edge);
+    const line = isIdentifying(rel) ? '--' : '..';
+    const label = rel.edge.data?.name ? ` : ${rel.edge.data.name}` : '';
+    lines.push(`${ident(rel.parent.label)} ${left}${line}${right} ${ident(rel.child.label)}${label}`);
+  });
+  lines.push('@enduml');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Writes the model as DBML, a Mermaid erDiagram or PlantUML entities.
+ * Keys and cardinalities follow the same rules as the SQL export.
+ */
+export const generateModel = (nodes, edges, format) => {
+  const { tables, relationships } = collectRelationships(nodes, edges);
+  if (format === 'mermaid') return toMermaid(tables, relationships);
+  if (format === 'plantuml') return toPlantUml(tables, relationships);
+  return toDbml(tables, relationships);
+};
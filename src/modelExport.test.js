@@ -0,0 +1,40 @@
+import { generateModel } from './modelExport';
+
+const table = (id, label, columns) => ({ id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, columns } });
+const col = (name, flags = {}) => ({ name, isPK: false, isFK: false, isCK: false, ...flags });
+
+const nodes = [
+  table('n1', 'users', [col('id', { isPK: true, type: 'uuid' }), col('email', { notNull: true, unique: true, description: 'Login' })]),
+  table('n2', 'orders', [col('id', { isPK: true }), col('user_id', { isFK: true }), col('status', { defaultValue: "'new'" })]),
+  table('n3', 'tags', [col('id', { isPK: true })]),
+];
+
+const edges = [
+  { id: 'e1', source: 'n1', target: 'n2', data: { relType: '1:N', targetOptional: true, onDelete: 'CASCADE', name: 'places' } },
+  { id: 'e2', source: 'n2', target: 'n3', data: { relType: 'N:M' } },
+];
+
+test('writes DBML tables, settings and refs', () => {
+  const dbml = generateModel(nodes, edges, 'dbml');
+
+  expect(dbml).toContain('Table users {\n  id uuid [pk]\n  email varchar [not null, unique, note: \'Login\']\n}');
+  expect(dbml).toContain("status varchar [default: 'new']");
+  expect(dbml).toContain('Ref places: users.id < orders.user_id [delete: cascade]');
+  expect(dbml).toContain('Ref: orders.id <> tags.id');
+});
+
+test('writes a Mermaid erDiagram with keys and crow\'s foot ends', () => {
+  const mermaid = generateModel(nodes, edges, 'mermaid');
+
+  expect(mermaid.startsWith('erDiagram\n  users {\n    uuid id PK\n    varchar email UK "Login"\n  }')).toBe(true);
+  expect(mermaid).toContain('integer user_id FK');
+  expect(mermaid).toContain('users ||..o{ orders : "places"');
+  expect(mermaid).toContain('orders }|..|{ tags : ""');
+});
+
+test('writes PlantUML entities with keys above the separator', () => {
+  const uml = generateModel([table('n9', 'Order Lines', [col('line_no', { isPK: true }), col('note')])], [], 'plantuml');
+
+  expect(uml).toContain('entity "Order Lines" as Order_Lines {\n  * line_no : integer <<PK>>\n  --\n  note : varchar\n}');
+  expect(uml.trim().endsWith('@enduml')).toBe(true);
+});
@@ -0,0 +1,427 @@
+import { tablesToDiagram } from './sqlImport';
+import { computeLayout } from './layout';
+
+export const IMPORT_FORMATS = [
+  { id: 'json', name: 'Diagram JSON', extensions: ['json'] },
+  { id: 'dbml', name: 'DBML', extensions: ['dbml'] },
+  { id: 'mermaid', name: 'Mermaid erDiagram', extensions: ['mmd', 'mermaid'] },
+  { id: 'prisma', name: 'Prisma schema', extensions: ['prisma'] },
+];
+
+/** Picks the format from the content, falling back to the file extension. */
+export const detectModelFormat = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (/^[{[]/.test(trimmed)) return 'json';
+  if (/^\s*erDiagram\b/m.test(text)) return 'mermaid';
+  if (/^\s*(model|datasource|generator)\s+\w+\s*\{/m.test(text)) return 'prisma';
+  if (/^\s*(Table|Ref|TableGroup|Project)\b[^\n]*[{:]/im.test(text)) return 'dbml';
+  const extension = fileName.split('.').pop().toLowerCase();
+  return IMPORT_FORMATS.find(f => f.extensions.includes(extension))?.id || null;
+};
+
+const newTable = (name) => ({ name, columns: [], primaryKey: [], uniques: [], foreignKeys: [] });
+
+const findTable = (tables, name) => tables.find(t => t.name.toLowerCase() === String(name).toLowerCase());
+
+const ensureTable = (tables, name) => {
+  let table = findTable(tables, name);
+  if (!table) {
+    table = newTable(name);
+    tables.push(table);
+  }
+  return table;
+};
+
+const newColumn = (name, type) => ({ name, type, notNull: false, unique: false, defaultValue: '', description: '' });
+
+const unquote = (value) => value.replace(/^(["'`])([\s\S]*)\1$/, '$2');
+
+// Splits on `separator` outside quotes, brackets and parentheses
+const splitTopLevel = (text, separator = ',') => {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (`'"\``.includes(ch)) {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Drops `//` and `/* */` comments while leaving quoted text alone
+const stripComments = (text) => {
+  let out = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      out += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      if (`'"\``.includes(ch)) quote = ch;
+      out += ch;
+    }
+  }
+  return out;
+};
+
+/** Top-level `header { body }` blocks and single-line statements. */
+const readBlocks = (text) => {
+  const blocks = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const open = line.indexOf('{');
+    if (open === -1) {
+      blocks.push({ header: line, body: null });
+      continue;
+    }
+    const body = [line.slice(open + 1)];
+    let depth = (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+    while (depth > 0 && i + 1 < lines.length) {
+      i++;
+      depth += (lines[i].match(/\{/g) || []).length - (lines[i].match(/\}/g) || []).length;
+      body.push(lines[i]);
+    }
+    const joined = body.join('\n');
+    blocks.push({ header: line.slice(0, open).trim(), body: joined.slice(0, joined.lastIndexOf('}')) });
+  }
+  return blocks;
+};
+
+const REFERENTIAL_ACTIONS = {
+  cascade: 'CASCADE', restrict: 'RESTRICT', 'set null': 'SET NULL', setnull: 'SET NULL',
+  'set default': 'SET DEFAULT', setdefault: 'SET DEFAULT', 'no action': 'NO ACTION', noaction: 'NO ACTION',
+};
+
+const toAction = (value) => REFERENTIAL_ACTIONS[String(value).trim().toLowerCase()];
+
+const NAME = '(?:"[^"]+"|`[^`]+`|[\\w$-]+)';
+
+// `schema.table.column` or `table.(a, b)`; a schema prefix is dropped
+const parseDbmlEndpoint = (text) => {
+  const composite = /^(.*)\.\(([^)]*)\)$/.exec(text.trim());
+  if (composite) {
+    const parts = composite[1].match(new RegExp(NAME, 'g')) || [];
+    return { table: unquote(parts[parts.length - 1] || ''), columns: composite[2].split(',').map(c => unquote(c.trim())) };
+  }
+  const parts = text.trim().match(new RegExp(NAME, 'g')) || [];
+  return { table: unquote(parts[parts.length - 2] || ''), columns: [unquote(parts[parts.length - 1] || '')] };
+};
+
+// DBML `<` is one-to-many, `>` many-to-one, `-` one-to-one (left refers to right) and `<>` many-to-many
+const addDbmlRef = (tables, aliases, text, name) => {
+  const match = /^(.+?)\s*(<>|<|>|-)\s*([^[]+?)\s*(?:\[(.*)\])?\s*$/.exec(text.trim());
+  if (!match) return;
+  const resolve = (endpoint) => {
+    const parsed = parseDbmlEndpoint(endpoint);
+    return { ...parsed, table: aliases[parsed.table] || parsed.table };
+  };
+  const left = resolve(match[1]);
+  const right = resolve(match[3]);
+  const op = match[2];
+  const [parent, child] = op === '<' || op === '<>' ? [left, right] : [right, left];
+  const childTable = findTable(tables, child.table);
+  if (!childTable) return;
+
+  const fk = {
+    columns: child.columns,
+    refTable: parent.table,
+    refColumns: parent.columns,
+    relType: { '<': '1:N', '>': '1:N', '-': '1:1', '<>': 'N:M' }[op],
+    ...(name && { name }),
+  };
+  splitTopLevel(match[4] || '').forEach((setting) => {
+    const [key, value] = setting.split(':').map(s => s.trim());
+    if (/^delete$/i.test(key) && toAction(value)) fk.onDelete = toAction(value);
+    if (/^update$/i.test(key) && toAction(value)) fk.onUpdate = toAction(value);
+  });
+  childTable.foreignKeys.push(fk);
+};
+
+const parseDbmlIndexes = (table, body) => {
+  body.split('\n').map(l => l.trim()).filter(Boolean).forEach((line) => {
+    const match = /^(\([^)]*\)|\S+)\s*(?:\[(.*)\])?$/.exec(line);
+    if (!match) return;
+    const columns = match[1].replace(/^\(|\)$/g, '').split(',').map(c => unquote(c.trim())).filter(Boolean);
+    const settings = splitTopLevel(match[2] || '').map(s => s.toLowerCase());
+    if (settings.includes('pk')) table.primaryKey = columns;
+    else if (settings.includes('unique')) table.uniques.push(columns);
+  });
+};
+
+const parseDbmlColumn = (table, line, inlineRefs) => {
+  const match = new RegExp(`^(${NAME})\\s+("[^"]+"|[^\\s[(]+(?:\\([^)]*\\))?)\\s*(?:\\[(.*)\\])?$`).exec(line);
+  if (!match) return;
+  const column = newColumn(unquote(match[1]), unquote(match[2]));
+  splitTopLevel(match[3] || '').forEach((setting) => {
+    const lower = setting.toLowerCase();
+    const colon = setting.indexOf(':');
+    const key = colon === -1 ? lower : lower.slice(0, colon).trim();
+    const value = colon === -1 ? '' : setting.slice(colon + 1).trim();
+    if (lower === 'pk' || lower === 'primary key') {
+      table.primaryKey = [column.name];
+      column.notNull = true;
+    } else if (lower === 'not null') {
+      column.notNull = true;
+    } else if (lower === 'unique') {
+      column.unique = true;
+    } else if (key === 'default') {
+      column.defaultValue = value.replace(/^`(.*)`$/, '$1');
+    } else if (key === 'note') {
+      column.description = unquote(value);
+    } else if (key === 'ref') {
+      inlineRefs.push({ text: `${table.name}.${column.name} ${value}` });
+    }
+  });
+  table.columns.push(column);
+};
+
+/** Parses DBML Table blocks and Ref statements into table descriptions. */
+export const parseDbml = (text) => {
+  const tables = [];
+  const aliases = {};
+  const refs = [];
+  readBlocks(stripComments(text)).forEach(({ header, body }) => {
+    const table = new RegExp(`^Table\\s+((?:${NAME}\\.)?${NAME})(?:\\s+as\\s+(${NAME}))?`, 'i').exec(header);
+    if (table && body !== null) {
+      const parts = table[1].match(new RegExp(NAME, 'g'));
+      const current = ensureTable(tables, unquote(parts[parts.length - 1]));
+      if (table[2]) aliases[unquote(table[2])] = current.name;
+      readBlocks(body).forEach((entry) => {
+        if (/^indexes$/i.test(entry.header) && entry.body !== null) parseDbmlIndexes(current, entry.body);
+        else if (entry.body === null && !/^note\s*:/i.test(entry.header)) {
+          parseDbmlColumn(current, entry.header, refs);
+        }
+      });
+      return;
+    }
+    const ref = /^Ref(?:\s+(\w+))?\s*(:)?\s*(.*)$/i.exec(header);
+    if (!ref) return;
+    if (body !== null) {
+      body.split('\n').map(l => l.trim()).filter(Boolean).forEach(line => refs.push({ text: line, name: ref[1] }));
+    } else if (ref[2]) {
+      refs.push({ text: ref[3], name: ref[1] });
+    }
+  });
+  refs.forEach(ref => addDbmlRef(tables, aliases, ref.text, ref.name));
+  return tables;
+};
+
+const MERMAID_LEFT = { '||': ['one', false], '|o': ['one', true], '}|': ['many', false], '}o': ['many', true] };
+const MERMAID_RIGHT = { '||': ['one', false], 'o|': ['one', true], '|{': ['many', false], 'o{': ['many', true] };
+
+const singular = (name) => name.replace(/ies$/, 'y').replace(/([^s])s$/, '$1');
+const compact = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Mermaid relationships do not name columns, so pick the child's fk column named after the parent
+const guessForeignKey = (child, parent, fkColumns) => {
+  const prefix = compact(singular(parent.name));
+  const column = child.columns.find(c => fkColumns.has(c) && compact(c.name).startsWith(prefix));
+  return column ? { columns: [column.name], refColumns: parent.primaryKey.slice(0, 1) } : { columns: [], refColumns: [] };
+};
+
+/** Parses a Mermaid erDiagram into table descriptions. */
+export const parseMermaid = (text) => {
+  const tables = [];
+  const relationships = [];
+  const fkColumns = new Set();
+  const lines = text.replace(/%%.*$/gm, '').split('\n');
+  const entity = new RegExp(`^(${NAME})\\s*\\{\\s*$`);
+  const relationship = new RegExp(`^(${NAME})\\s*(\\|\\||\\|o|\\}\\||\\}o)(--|\\.\\.)(\\|\\||o\\||\\|\\{|o\\{)\\s*(${NAME})\\s*:\\s*(.*)$`);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const block = entity.exec(line);
+    if (block) {
+      const table = ensureTable(tables, unquote(block[1]));
+      while (i + 1 < lines.length && lines[i + 1].trim() !== '}') {
+        i++;
+        const attribute = /^(\S+)\s+(\S+)((?:[\s,]+(?:PK|FK|UK))*)\s*(?:"([^"]*)")?\s*$/.exec(lines[i].trim());
+        if (!attribute) continue;
+        const column = newColumn(attribute[2], attribute[1]);
+        const keys = attribute[3].toUpperCase();
+        if (keys.includes('PK')) {
+          table.primaryKey.push(column.name);
+          column.notNull = true;
+        }
+        if (keys.includes('UK')) column.unique = true;
+        if (keys.includes('FK')) {
+          column.isFK = true;
+          fkColumns.add(column);
+        }
+        if (attribute[4]) column.description = attribute[4];
+        table.columns.push(column);
+      }
+      i++;
+      continue;
+    }
+    const rel = relationship.exec(line);
+    if (rel) relationships.push(rel);
+  }
+
+  relationships.forEach(([, leftName, leftEnd, , rightEnd, rightName, label]) => {
+    const left = ensureTable(tables, unquote(leftName));
+    const right = ensureTable(tables, unquote(rightName));
+    const [leftCount, leftOptional] = MERMAID_LEFT[leftEnd];
+    const [rightCount, rightOptional] = MERMAID_RIGHT[rightEnd];
+    const swap = leftCount === 'many' && rightCount === 'one';
+    const [parent, child] = swap ? [right, left] : [left, right];
+    const relType = leftCount === rightCount ? (leftCount === 'one' ? '1:1' : 'N:M') : '1:N';
+    const name = unquote(label.trim());
+    child.foreignKeys.push({
+      ...(relType === 'N:M' ? { columns: [], refColumns: [] } : guessForeignKey(child, parent, fkColumns)),
+      refTable: parent.name,
+      relType,
+      sourceOptional: swap ? rightOptional : leftOptional,
+      targetOptional: swap ? leftOptional : rightOptional,
+      ...(name && { name }),
+    });
+  });
+  return tables;
+};
+
+// Reads `@name(args)` attributes, keeping nested parentheses in args
+const readAttributes = (text) => {
+  const attributes = [];
+  const pattern = /@{1,2}([\w.]+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    let args = '';
+    if (text[pattern.lastIndex] === '(') {
+      let depth = 0;
+      let end = pattern.lastIndex;
+      for (; end < text.length; end++) {
+        if (text[end] === '(') depth++;
+        if (text[end] === ')' && --depth === 0) break;
+      }
+      args = text.slice(pattern.lastIndex + 1, end);
+      pattern.lastIndex = end + 1;
+    }
+    attributes.push({ name: match[1], args });
+  }
+  return attributes;
+};
+
+const listArgument = (args, key) => {
+  const match = new RegExp(`${key ? `${key}\\s*:\\s*` : '^\\s*'}\\[([^\\]]*)\\]`).exec(args);
+  return match ? match[1].split(',').map(s => s.trim()).filter(Boolean) : [];
+};
+
+const namedArgument = (args, key) => new RegExp(`${key}\\s*:\\s*(\\w+)`).exec(args)?.[1];
+
+/** Parses Prisma models, their scalar fields and @relation attributes. */
+export const parsePrisma = (text) => {
+  const blocks = readBlocks(text.replace(/^\s*\/\/(?!\/).*$/gm, ''));
+  const models = blocks.filter(b => /^model\s+\w+$/.test(b.header) && b.body !== null);
+  const modelNames = new Set(models.map(m => m.header.split(/\s+/)[1]));
+  const tables = [];
+  const lists = [];
+
+  models.forEach(({ header, body }) => {
+    const table = ensureTable(tables, header.split(/\s+/)[1]);
+    let doc = [];
+    body.split('\n').map(l => l.trim()).forEach((line) => {
+      if (line.startsWith('///')) {
+        doc.push(line.slice(3).trim());
+        return;
+      }
+      if (line.startsWith('@@')) {
+        readAttributes(line).forEach(({ name, args }) => {
+          if (name === 'id') table.primaryKey = listArgument(args);
+          if (name === 'unique') table.uniques.push(listArgument(args, 'fields').length ? listArgument(args, 'fields') : listArgument(args));
+        });
+        return;
+      }
+      const field = /^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/.exec(line);
+      if (!field) {
+        doc = [];
+        return;
+      }
+      const [, name, type, list, optional, rest] = field;
+      const attributes = readAttributes(rest);
+      const attribute = (key) => attributes.find(a => a.name === key);
+
+      if (modelNames.has(type)) {
+        const relation = attribute('relation');
+        const fields = relation ? listArgument(relation.args, 'fields') : [];
+        if (fields.length) {
+          table.foreignKeys.push({
+            columns: fields,
+            refTable: type,
+            refColumns: listArgument(relation.args, 'references'),
+            sourceOptional: !!optional,
+            ...(toAction(namedArgument(relation.args, 'onDelete')) && { onDelete: toAction(namedArgument(relation.args, 'onDelete')) }),
+            ...(toAction(namedArgument(relation.args, 'onUpdate')) && { onUpdate: toAction(namedArgument(relation.args, 'onUpdate')) }),
+          });
+        } else if (list) {
+          lists.push({ model: table.name, type });
+        }
+        doc = [];
+        return;
+      }
+
+      const native = attributes.find(a => a.name.startsWith('db.'));
+      const column = newColumn(name, native ? `${native.name.slice(3)}${native.args ? `(${native.args})` : ''}` : `${type}${list || ''}`);
+      column.notNull = !optional;
+      if (attribute('unique')) column.unique = true;
+      if (attribute('default')) column.defaultValue = attribute('default').args;
+      if (attribute('id')) table.primaryKey = [name];
+      column.description = doc.join(' ');
+      doc = [];
+      table.columns.push(column);
+    });
+  });
+
+  // Implicit many-to-many: both models hold a list of the other and neither stores keys
+  const pairs = new Set();
+  lists.forEach(({ model, type }) => {
+    const key = [model, type].sort().join('|');
+    const back = lists.filter(l => l.model === type && l.type === model);
+    if (pairs.has(key) || back.length < (model === type ? 2 : 1)) return;
+    pairs.add(key);
+    findTable(tables, type).foreignKeys.push({ columns: [], refTable: model, refColumns: [], relType: 'N:M' });
+  });
+
+  tables.forEach((table) => {
+    table.uniques.push(...table.columns.filter(c => c.unique).map(c => [c.name]));
+  });
+  return tables;
+};
+
+const PARSERS = { dbml: parseDbml, mermaid: parseMermaid, prisma: parsePrisma };
+
+/**
+ * Converts a DBML, Mermaid erDiagram or Prisma schema into tableNode nodes and
+ * relationship edges, laid out by foreign key direction.
+ */
+export const modelToDiagram = (text, format, options) => {
+  const source = format === 'mermaid' ? text.replace(/```\w*/g, '') : text;
+  const { nodes, edges } = tablesToDiagram(PARSERS[format](source), options);
+  const positions = computeLayout(nodes, edges, { strategy: 'layered' });
+  return {
+    nodes: nodes.map(n => ({ ...n, position: positions[n.id] || n.position })),
+    edges,
+  };
+};
@@ -0,0 +1,127 @@
+import { detectModelFormat, modelToDiagram, parseDbml, parseMermaid, parsePrisma } from './modelImport';
+
+const DBML = `
+// users and their orders
+Table users as U {
+  id integer [pk, increment]
+  email "character varying" [not null, unique, note: 'Login // address']
+}
+
+Table orders {
+  id integer [pk]
+  user_id integer [ref: > U.id]
+  total decimal(10, 2) [default: 0]
+}
+
+Table order_items {
+  order_id integer
+  line_no integer
+  indexes {
+    (order_id, line_no) [pk]
+  }
+}
+
+Ref: orders.id < order_items.order_id [delete: cascade]
+`;
+
+const MERMAID = `erDiagram
+  CUSTOMER ||--o{ ORDER : places
+  ORDER }|..|{ PRODUCT : contains
+  CUSTOMER {
+    int id PK
+    string email UK "Login"
+  }
+  ORDER {
+    int id PK
+    int customer_id FK
+  }
+`;
+
+const PRISMA = `
+datasource db {
+  provider = "postgresql"
+}
+
+model User {
+  id      Int      @id @default(autoincrement())
+  /// Login address
+  email   String   @unique @db.VarChar(255)
+  posts   Post[]
+  profile Profile?
+}
+
+model Profile {
+  id     Int   @id
+  userId Int   @unique
+  user   User  @relation(fields: [userId], references: [id], onDelete: Cascade)
+}
+
+model Post {
+  id       Int     @id
+  authorId Int?
+  author   User?   @relation(fields: [authorId], references: [id])
+  tags     Tag[]
+}
+
+model Tag {
+  id    Int    @id
+  posts Post[]
+}
+`;
+
+test('detects formats from content and extension', () => {
+  expect(detectModelFormat(DBML)).toBe('dbml');
+  expect(detectModelFormat(MERMAID)).toBe('mermaid');
+  expect(detectModelFormat(PRISMA)).toBe('prisma');
+  expect(detectModelFormat('{"nodes": []}')).toBe('json');
+  expect(detectModelFormat('', 'schema.prisma')).toBe('prisma');
+  expect(detectModelFormat('hello')).toBeNull();
+});
+
+test('parses DBML tables, settings, composite keys and refs', () => {
+  const [users, orders, items] = parseDbml(DBML);
+
+  expect(users.columns[1]).toMatchObject({ name: 'email', type: 'character varying', notNull: true, unique: true, description: 'Login // address' });
+  expect(orders.columns[2]).toMatchObject({ type: 'decimal(10, 2)', defaultValue: '0' });
+  expect(orders.foreignKeys).toEqual([{ columns: ['user_id'], refTable: 'users', refColumns: ['id'], relType: '1:N' }]);
+  expect(items.primaryKey).toEqual(['order_id', 'line_no']);
+  expect(items.foreignKeys[0]).toMatchObject({ refTable: 'orders', onDelete: 'CASCADE' });
+});
+
+test('parses Mermaid entities and cardinalities', () => {
+  const tables = parseMermaid(MERMAID);
+  const order = tables.find(t => t.name === 'ORDER');
+  const product = tables.find(t => t.name === 'PRODUCT');
+
+  expect(order.foreignKeys[0]).toMatchObject({
+    columns: ['customer_id'], refTable: 'CUSTOMER', refColumns: ['id'], relType: '1:N', sourceOptional: false, targetOptional: true, name: 'places',
+  });
+  expect(product.foreignKeys[0]).toMatchObject({ refTable: 'ORDER', relType: 'N:M' });
+  expect(tables[0].columns[1]).toMatchObject({ name: 'email', type: 'string', unique: true, description: 'Login' });
+});
+
+test('parses Prisma models, relations and implicit many-to-many', () => {
+  const tables = parsePrisma(PRISMA);
+  const byName = Object.fromEntries(tables.map(t => [t.name, t]));
+
+  expect(tables.map(t => t.name)).toEqual(['User', 'Profile', 'Post', 'Tag']);
+  expect(byName.User.columns.map(c => c.name)).toEqual(['id', 'email']);
+  expect(byName.User.columns[1]).toMatchObject({ type: 'VarChar(255)', notNull: true, unique: true, description: 'Login address' });
+  expect(byName.Profile.foreignKeys[0]).toMatchObject({ columns: ['userId'], refTable: 'User', refColumns: ['id'], onDelete: 'CASCADE', sourceOptional: false });
+  expect(byName.Post.foreignKeys[0].sourceOptional).toBe(true);
+  expect(byName.Tag.foreignKeys[0]).toMatchObject({ refTable: 'Post', relType: 'N:M' });
+});
+
+test('builds laid out nodes and typed edges', () => {
+  const { nodes, edges } = modelToDiagram(PRISMA, 'prisma', { color: '#10b981' });
+  const label = (id) => nodes.find(n => n.id === id).data.label;
+
+  expect(nodes).toHaveLength(4);
+  expect(new Set(nodes.map(n => `${n.position.x},${n.position.y}`)).size).toBe(4);
+  expect(edges.map(e => [label(e.source), label(e.target), e.data.relType])).toEqual([
+    ['User', 'Profile', '1:1'],
+    ['User', 'Post', '1:N'],
+    ['Post', 'Tag', 'N:M'],
+  ]);
+  expect(nodes.find(n => n.data.label === 'Post').data.columns.find(c => c.name === 'authorId').isFK).toBe(true);
+});
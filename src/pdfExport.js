@@ -0,0 +1,139 @@
+import { jsPDF } from 'jspdf';
+
+// Paper sizes in millimetres, portrait
+export const PAPER_SIZES = [
+  { id: 'a4', name: 'A4', width: 210, height: 297 },
+  { id: 'a3', name: 'A3', width: 297, height: 420 },
+  { id: 'letter', name: 'Letter', width: 215.9, height: 279.4 },
+];
+
+const PAGE_MARGIN = 10;
+const TILE_OVERLAP = 10;
+const TITLE_BLOCK_HEIGHT = 16;
+
+export const getPageSize = (paper, orientation) => {
+  const size = PAPER_SIZES.find(p => p.id === paper) || PAPER_SIZES[0];
+  return orientation === 'landscape'
+    ? { width: size.height, height: size.width }
+    : { width: size.width, height: size.height };
+};
+
+/**
+ * Splits an image into page tiles. The image is scaled so it spans
+ * `columns` pages across; neighbouring tiles repeat `overlap` mm of the
+ * image so the printed sheets can be trimmed and taped together.
+ * Sizes are in mm except the image, which is in pixels.
+ */
+export const getPageTiles = ({ imageWidth, imageHeight, areaWidth, areaHeight, columns = 1, overlap = TILE_OVERLAP }) => {
+  const cols = Math.max(1, Math.floor(columns));
+  const step = { x: areaWidth - overlap, y: areaHeight - overlap };
+  const scale = (areaWidth + step.x * (cols - 1)) / imageWidth;
+  const height = imageHeight * scale;
+  const rows = Math.max(1, Math.ceil((height - overlap) / step.y));
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      tiles.push({ row, col, offsetX: col * step.x, offsetY: row * step.y });
+    }
+  }
+  return { scale, rows, columns: cols, width: imageWidth * scale, height, tiles };
+};
+
+/** Scale that fits the whole image inside the area without distortion. */
+export const getFitScale = ({ imageWidth, imageHeight, areaWidth, areaHeight }) =>
+  Math.min(areaWidth / imageWidth, areaHeight / imageHeight);
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const drawTitleBlock = (doc, page, { title, legend, pageLabel }) => {
+  const top = page.height - PAGE_MARGIN - TITLE_BLOCK_HEIGHT;
+  const right = page.width - PAGE_MARGIN;
+  doc.setDrawColor(203, 213, 225);
+  doc.setLineDashPattern([], 0);
+  doc.rect(PAGE_MARGIN, top, page.width - PAGE_MARGIN * 2, TITLE_BLOCK_HEIGHT);
+
+  doc.setTextColor(15, 23, 42);
+  doc.setFontSize(11);
+  doc.text(title, PAGE_MARGIN + 3, top + 6.5);
+  doc.setTextColor(100, 116, 139);
+  doc.setFontSize(7);
+  doc.text(new Date().toLocaleString(), PAGE_MARGIN + 3, top + 12);
+  if (pageLabel) doc.text(pageLabel, right - 3, top + 12, { align: 'right' });
+
+  let x = PAGE_MARGIN + 70;
+  legend.forEach((item) => {
+    const width = doc.getTextWidth(item.name) + 8;
+    if (x + width > right - 3) return;
+    doc.setFillColor(...hexToRgb(item.hex));
+    doc.rect(x, top + 3.5, 3, 3, 'F');
+    doc.text(item.name, x + 4.5, top + 6);
+    x += width;
+  });
+};
+
+// Short corner ticks where the overlap strip starts, used as trim guides
+const drawOverlapMarks = (doc, area, tile, tiling) => {
+  doc.setDrawColor(148, 163, 184);
+  doc.setLineDashPattern([1, 1], 0);
+  const lines = [];
+  if (tile.col > 0) lines.push([area.x + TILE_OVERLAP, area.y, area.x + TILE_OVERLAP, area.y + area.height]);
+  if (tile.row > 0) lines.push([area.x, area.y + TILE_OVERLAP, area.x + area.width, area.y + TILE_OVERLAP]);
+  if (tile.col < tiling.columns - 1) {
+    lines.push([area.x + area.width - TILE_OVERLAP, area.y, area.x + area.width - TILE_OVERLAP, area.y + area.height]);
+  }
+  if (tile.row < tiling.rows - 1) {
+    lines.push([area.x, area.y + area.height - TILE_OVERLAP, area.x + area.width, area.y + area.height - TILE_OVERLAP]);
+  }
+  lines.forEach(([x1, y1, x2, y2]) => doc.line(x1, y1, x2, y2));
+  doc.setLineDashPattern([], 0);
+};
+
+/**
+ * Lays a rendered diagram image out on PDF pages and returns the document.
+ * `layout` is 'fit' for a single page or 'tile' to spread the image over
+ * `columns` pages across and as many rows as it needs.
+ */
+export const buildDiagramPdf = (image, {
+  paper = 'a4', orientation = 'landscape', layout = 'fit', columns = 2, titleBlock = true, title = 'Diagram', legend = [],
+}) => {
+  const page = getPageSize(paper, orientation);
+  const doc = new jsPDF({ orientation, unit: 'mm', format: [page.width, page.height] });
+  const area = {
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN,
+    width: page.width - PAGE_MARGIN * 2,
+    height: page.height - PAGE_MARGIN * 2 - (titleBlock ? TITLE_BLOCK_HEIGHT + 4 : 0),
+  };
+  const size = { imageWidth: image.width, imageHeight: image.height, areaWidth: area.width, areaHeight: area.height };
+
+  if (layout !== 'tile') {
+    const scale = getFitScale(size);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    doc.addImage(image.dataUrl, 'PNG', area.x + (area.width - width) / 2, area.y + (area.height - height) / 2, width, height);
+    if (titleBlock) drawTitleBlock(doc, page, { title, legend });
+    return doc;
+  }
+
+  const tiling = getPageTiles({ ...size, columns });
+  tiling.tiles.forEach((tile, index) => {
+    if (index > 0) doc.addPage([page.width, page.height], orientation);
+    doc.saveGraphicsState();
+    doc.rect(area.x, area.y, area.width, area.height, null);
+    doc.clip();
+    doc.discardPath();
+    // The same alias lets jsPDF embed the image once and reference it from every page
+    doc.addImage(image.dataUrl, 'PNG', area.x - tile.offsetX, area.y - tile.offsetY, tiling.width, tiling.height, 'diagram');
+    doc.restoreGraphicsState();
+    drawOverlapMarks(doc, area, tile, tiling);
+    if (titleBlock) {
+      const pageLabel = `Row ${tile.row + 1}, column ${tile.col + 1} · page ${index + 1} of ${tiling.tiles.length}`;
+      drawTitleBlock(doc, page, { title, legend, pageLabel });
+    }
+  });
+  return doc;
+};
@@ -0,0 +1,22 @@
+/**
+ * @jest-environment node
+ */
+
+import { getPageTiles, getFitScale, getPageSize } from './pdfExport';
+
+test('spreads the image over the requested number of pages across', () => {
+  const tiling = getPageTiles({ imageWidth: 1000, imageHeight: 800, areaWidth: 110, areaHeight: 60, columns: 2, overlap: 10 });
+
+  // Two pages of 110mm overlapping by 10mm cover 210mm of image
+  expect(tiling.width).toBeCloseTo(210);
+  expect(tiling.height).toBeCloseTo(168);
+  expect(tiling.rows).toBe(4);
+  expect(tiling.tiles).toHaveLength(8);
+  expect(tiling.tiles[1]).toEqual({ row: 0, col: 1, offsetX: 100, offsetY: 0 });
+  expect(tiling.tiles[2]).toEqual({ row: 1, col: 0, offsetX: 0, offsetY: 50 });
+});
+
+test('fits the image on one page by its tighter side', () => {
+  expect(getFitScale({ imageWidth: 400, imageHeight: 100, areaWidth: 200, areaHeight: 200 })).toBe(0.5);
+  expect(getPageSize('a4', 'landscape')).toEqual({ width: 297, height: 210 });
+});
@@ -0,0 +1,152 @@
+export const EDGE_COLOR = '#3b82f6';
+
+export const REFERENTIAL_ACTIONS = ['NO ACTION', 'RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+
+// Edges created before relationship data existed only carry their markers.
+export const getRelType = (edge) => {
+  if (edge.data?.relType) return edge.data.relType;
+  if (edge.markerStart === 'many-side') return 'N:M';
+  if (edge.markerEnd === 'many-side') return '1:N';
+  return '1:1';
+};
+
+/**
+ * Markers follow crow's foot notation: a "many" end gets the crow's foot, a
+ * mandatory "one" end a bar, and an optional end (zero-or-one / zero-or-many)
+ * adds a circle in front of either.
+ */
+export const getRelationshipMarkers = (relType, { sourceOptional, targetOptional } = {}) => {
+  const oneSide = (optional) => (optional ? 'one-side-optional' : 'one-side');
+  const manySide = (optional) => (optional ? 'many-side-optional' : 'many-side');
+
+  if (relType === 'N:M') {
+    return { markerStart: manySide(sourceOptional), markerEnd: manySide(targetOptional) };
+  }
+  return {
+    markerStart: oneSide(sourceOptional),
+    markerEnd: relType === '1:N' ? manySide(targetOptional) : oneSide(targetOptional),
+  };
+};
+
+// Source is the referenced ("one") table, target the referencing table.
+export const createRelationshipEdge = (params, relType, data = {}) => ({
+  ...params,
+  id: params.id || `e-${Date.now()}`,
+  type: 'smoothstep',
+  style: { strokeWidth: 1.5, stroke: EDGE_COLOR },
+  ...getRelationshipMarkers(relType, data),
+  label: data.name || undefined,
+  data: { ...data, relType },
+});
+
+/** Applies changed relationship semantics and rebuilds markers and label from them. */
+export const updateRelationshipEdge = (edge, changes) => {
+  const data = { ...edge.data, relType: getRelType(edge), ...changes };
+  return {
+    ...edge,
+    ...getRelationshipMarkers(data.relType, data),
+    label: data.name || undefined,
+    data,
+  };
+};
+
+/** The handle on the same spot for the other end of an edge, used when swapping its direction. */
+export const flipHandle = (handleId, side) => {
+  const column = parseColumnHandle(handleId);
+  if (column !== null) return columnHandleId(column, side);
+  const position = /^(top|bottom|left|right)-/.exec(handleId || '');
+  return position ? `${position[1]}-${side}` : handleId;
+};
+
+/** Swaps which table is referenced and which one holds the foreign key. */
+export const reverseRelationshipEdge = (edge) => {
+  const { sourceColumns, targetColumns, sourceOptional, targetOptional, ...rest } = edge.data || {};
+  return updateRelationshipEdge({
+    ...edge,
+    source: edge.target,
+    target: edge.source,
+    sourceHandle: flipHandle(edge.targetHandle, 'source'),
+    targetHandle: flipHandle(edge.sourceHandle, 'target'),
+    data: {
+      ...rest,
+      ...(targetColumns && { sourceColumns: targetColumns }),
+      ...(sourceColumns && { targetColumns: sourceColumns }),
+      ...(targetOptional !== undefined && { sourceOptional: targetOptional }),
+      ...(sourceOptional !== undefined && { targetOptional: sourceOptional }),
+    },
+  }, {});
+};
+
+// Columns an edge makes foreign keys in its target table; many-to-many relationships make none
+const foreignKeyColumns = (edge) =>
+  (edge.data?.kind !== 'lineage' && getRelType(edge) !== 'N:M' && edge.data?.targetColumns) || [];
+
+/**
+ * Brings the FK flags of the tables on both ends in line with a relationship
+ * that was reversed or changed type. `edges` already holds `next`; a column
+ * keeps its flag while another relationship still makes it a foreign key.
+ */
+export const syncForeignKeyFlags = (nodes, edges, previous, next) => {
+  const stillForeignKey = (nodeId, name) =>
+    edges.some(e => e.target === nodeId && foreignKeyColumns(e).includes(name));
+
+  return nodes.map((node) => {
+    const cleared = previous.target === node.id ? foreignKeyColumns(previous) : [];
+    const flagged = next.target === node.id ? foreignKeyColumns(next) : [];
+    if (!cleared.length && !flagged.length) return node;
+    const columns = node.data.columns.map((column) => {
+      if (flagged.includes(column.name)) return column.isFK ? column : { ...column, isFK: true };
+      if (cleared.includes(column.name) && column.isFK && !stillForeignKey(node.id, column.name)) {
+        return { ...column, isFK: false };
+      }
+      return column;
+    });
+    return { ...node, data: { ...node.data, columns } };
+  });
+};
+
+export const columnHandleId = (columnName, type) => `col-${columnName}-${type}`;
+
+export const parseColumnHandle = (handleId) => {
+  const match = /^col-(.*)-(source|target)$/.exec(handleId || '');
+  return match ? match[1] : null;
+};
+
+const TABLE_HANDLES = { source: 'right-source', target: 'left-target' };
+
+/**
+ * Re-anchors edges of one node after its columns changed: renamed columns
+ * keep their edges, edges to removed columns fall back to the table handles.
+ */
+export const remapEdgeColumns = (edges, nodeId, renames, columnNames) => {
+  const remapSide = (edge, side) => {
+    const key = `${side}Columns`;
+    const handleKey = `${side}Handle`;
+    const current = edge.data?.[key];
+    if (!current?.length) return edge;
+
+    const next = current.map(name => renames[name] || name);
+    if (next.every(name => columnNames.includes(name))) {
+      const handle = parseColumnHandle(edge[handleKey]);
+      return {
+        ...edge,
+        [handleKey]: handle ? columnHandleId(renames[handle] || handle, side) : edge[handleKey],
+        data: { ...edge.data, [key]: next },
+      };
+    }
+
+    const { [key]: removed, ...data } = edge.data;
+    return {
+      ...edge,
+      [handleKey]: parseColumnHandle(edge[handleKey]) ? TABLE_HANDLES[side] : edge[handleKey],
+      data,
+    };
+  };
+
+  return edges.map((edge) => {
+    let next = edge;
+    if (edge.source === nodeId) next = remapSide(next, 'source');
+    if (edge.target === nodeId) next = remapSide(next, 'target');
+    return next;
+  });
+};
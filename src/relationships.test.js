@@ -0,0 +1,85 @@
+import { remapEdgeColumns, updateRelationshipEdge, reverseRelationshipEdge, getRelationshipMarkers, syncForeignKeyFlags } from './relationships';
+
+const edge = {
+  id: 'e1',
+  source: 'users',
+  target: 'orders',
+  sourceHandle: 'col-id-source',
+  targetHandle: 'col-user_id-target',
+  data: { relType: '1:N', sourceColumns: ['id'], targetColumns: ['user_id'] },
+};
+
+test('follows renamed columns', () => {
+  const [moved] = remapEdgeColumns([edge], 'orders', { user_id: 'customer_id' }, ['id', 'customer_id']);
+
+  expect(moved.targetHandle).toBe('col-customer_id-target');
+  expect(moved.data.targetColumns).toEqual(['customer_id']);
+  expect(moved.sourceHandle).toBe('col-id-source');
+});
+
+test('falls back to the table handle when the column is removed', () => {
+  const [moved] = remapEdgeColumns([edge], 'users', {}, ['uuid']);
+
+  expect(moved.sourceHandle).toBe('right-source');
+  expect(moved.data).toEqual({ relType: '1:N', targetColumns: ['user_id'] });
+});
+
+test('rebuilds markers and label when the relationship changes', () => {
+  const updated = updateRelationshipEdge(edge, { targetOptional: true, name: 'places' });
+
+  expect(updated.markerEnd).toBe('many-side-optional');
+  expect(updated.label).toBe('places');
+  expect(updated.data.relType).toBe('1:N');
+});
+
+test('swaps ends, handles and column lists when reversed', () => {
+  const reversed = reverseRelationshipEdge(updateRelationshipEdge(edge, { sourceOptional: true }));
+
+  expect(reversed.source).toBe('orders');
+  expect(reversed.sourceHandle).toBe('col-user_id-source');
+  expect(reversed.targetHandle).toBe('col-id-target');
+  expect(reversed.data.sourceColumns).toEqual(['user_id']);
+  expect(reversed.data.targetOptional).toBe(true);
+  expect(reversed.markerStart).toBe('one-side');
+});
+
+test('marks mandatory "one" ends with a bar and optional ends with a circle', () => {
+  expect(getRelationshipMarkers('1:1')).toEqual({ markerStart: 'one-side', markerEnd: 'one-side' });
+  expect(getRelationshipMarkers('1:1', { targetOptional: true })).toEqual({ markerStart: 'one-side', markerEnd: 'one-side-optional' });
+  expect(getRelationshipMarkers('1:N')).toEqual({ markerStart: 'one-side', markerEnd: 'many-side' });
+  expect(getRelationshipMarkers('1:N', { sourceOptional: true })).toEqual({ markerStart: 'one-side-optional', markerEnd: 'many-side' });
+  expect(getRelationshipMarkers('N:M', { sourceOptional: true })).toEqual({ markerStart: 'many-side-optional', markerEnd: 'many-side' });
+});
+
+const table = (id, columns) => ({ id, type: 'tableNode', data: { label: id, columns } });
+const nodes = [
+  table('users', [{ name: 'id', isPK: true, isFK: false }]),
+  table('orders', [{ name: 'id', isPK: true, isFK: false }, { name: 'user_id', isPK: false, isFK: true }]),
+];
+const flags = (result) => Object.fromEntries(result.map(n => [n.id, n.data.columns.filter(c => c.isFK).map(c => c.name)]));
+
+test('moves foreign key flags to the other table when reversed', () => {
+  const reversed = reverseRelationshipEdge(edge);
+  const result = syncForeignKeyFlags(nodes, [reversed], edge, reversed);
+
+  expect(flags(result)).toEqual({ users: ['id'], orders: [] });
+  expect(result[1].data.columns[1]).toEqual({ name: 'user_id', isPK: false, isFK: false });
+});
+
+test('drops foreign key flags for many-to-many and restores them otherwise', () => {
+  const manyToMany = updateRelationshipEdge(edge, { relType: 'N:M' });
+  const dropped = syncForeignKeyFlags(nodes, [manyToMany], edge, manyToMany);
+  expect(flags(dropped)).toEqual({ users: [], orders: [] });
+
+  const oneToOne = updateRelationshipEdge(manyToMany, { relType: '1:1' });
+  expect(flags(syncForeignKeyFlags(dropped, [oneToOne], manyToMany, oneToOne))).toEqual({ users: [], orders: ['user_id'] });
+});
+
+test('keeps a foreign key flag while another relationship still uses the column', () => {
+  const other = { ...edge, id: 'e2', source: 'accounts' };
+  const manyToMany = updateRelationshipEdge(edge, { relType: 'N:M' });
+  const result = syncForeignKeyFlags(nodes, [manyToMany, other], edge, manyToMany);
+
+  expect(flags(result)).toEqual({ users: [], orders: ['user_id'] });
+  expect(result[0]).toBe(nodes[0]);
+});
@@ -0,0 +1,144 @@
+import { getRelType } from './relationships';
+import { isLineageEdge } from './lineage';
+
+export const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const SNAKE_CASE = /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/;
+
+const lower = (name) => String(name || '').trim().toLowerCase();
+
+const isManyToMany = (edge) => getRelType(edge) === 'N:M';
+
+const tableName = (node) => node?.data?.label || 'Table';
+
+const checkTables = (nodes, problems) => {
+  const byLabel = {};
+  nodes.forEach((node) => {
+    const label = tableName(node);
+    const columns = node.data?.columns || [];
+    (byLabel[lower(label)] = byLabel[lower(label)] || []).push(node);
+
+    if (columns.length === 0) {
+      problems.push({ rule: 'empty-table', severity: 'warning', nodeId: node.id, message: `${label} has no columns` });
+    } else if (!columns.some(c => c.isPK || c.isCK)) {
+      problems.push({ rule: 'missing-pk', severity: 'error', nodeId: node.id, message: `${label} has no primary key` });
+    }
+
+    const seen = new Set();
+    columns.forEach((column) => {
+      if (seen.has(lower(column.name))) {
+        problems.push({ rule: 'duplicate-column', severity: 'error', nodeId: node.id, message: `${label} has more than one column named ${column.name}` });
+      }
+      seen.add(lower(column.name));
+      if (!SNAKE_CASE.test(column.name)) {
+        problems.push({ rule: 'naming', severity: 'info', nodeId: node.id, message: `${label}.${column.name} is not snake_case` });
+      }
+    });
+
+    if (!SNAKE_CASE.test(label)) {
+      problems.push({ rule: 'naming', severity: 'info', nodeId: node.id, message: `Table ${label} is not snake_case` });
+    }
+  });
+
+  Object.values(byLabel).filter(group => group.length > 1).forEach((group) => {
+    group.forEach((node) => {
+      problems.push({ rule: 'duplicate-table', severity: 'error', nodeId: node.id, message: `${group.length} tables are named ${tableName(node)}` });
+    });
+  });
+};
+
+const checkRelationships = (nodes, edges, problems) => {
+  const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+
+  nodes.forEach((node) => {
+    const incoming = edges.filter(e => e.target === node.id && !isManyToMany(e));
+    // An edge without column info may stand for any fk column of the table
+    if (incoming.some(e => !e.data?.targetColumns?.length)) return;
+    const linked = new Set(incoming.flatMap(e => e.data.targetColumns.map(lower)));
+    (node.data?.columns || []).filter(c => c.isFK && !linked.has(lower(c.name))).forEach((column) => {
+      problems.push({ rule: 'orphan-fk', severity: 'warning', nodeId: node.id, message: `${tableName(node)}.${column.name} is a foreign key without a relationship` });
+    });
+  });
+
+  edges.forEach((edge) => {
+    const source = byId[edge.source];
+    const target = byId[edge.target];
+    if (!source || !target) {
+      problems.push({ rule: 'dangling-edge', severity: 'error', edgeId: edge.id, message: `Relationship ${edge.id} points to a missing table` });
+      return;
+    }
+    const label = `${tableName(source)} → ${tableName(target)}`;
+
+    if (edge.source === edge.target) {
+      problems.push({ rule: 'self-reference', severity: 'info', edgeId: edge.id, nodeId: target.id, message: `${tableName(target)} references itself` });
+    }
+
+    if (isManyToMany(edge)) return;
+    const columns = target.data?.columns || [];
+    const named = edge.data?.targetColumns;
+    const hasFk = named?.length
+      ? named.every(name => columns.some(c => lower(c.name) === lower(name) && c.isFK))
+      : columns.some(c => c.isFK);
+    if (!hasFk) {
+      problems.push({ rule: 'edge-without-fk', severity: 'warning', edgeId: edge.id, message: `${label} has no foreign key column in ${tableName(target)}` });
+    }
+  });
+};
+
+// A relationship is mandatory when every fk column behind it is NOT NULL.
+const isMandatory = (edge, byId) => {
+  if (isManyToMany(edge)) return false;
+  if (edge.data?.sourceOptional !== undefined) return !edge.data.sourceOptional;
+  const columns = byId[edge.target]?.data?.columns || [];
+  const named = edge.data?.targetColumns;
+  if (!named?.length) return false;
+  return named.every(name => columns.some(c => lower(c.name) === lower(name) && (c.notNull || c.isPK || c.isCK)));
+};
+
+// Rows in a cycle of mandatory foreign keys can never be inserted one at a time.
+const checkMandatoryCycles = (nodes, edges, problems) => {
+  const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+  const mandatory = edges.filter(e => byId[e.source] && byId[e.target] && isMandatory(e, byId));
+  const state = {};
+  const stack = [];
+  const reported = new Set();
+
+  const visit = (id) => {
+    state[id] = 'visiting';
+    mandatory.filter(e => e.target === id).forEach((edge) => {
+      if (state[edge.source] === 'visiting') {
+        const start = stack.findIndex(e => e.target === edge.source);
+        const cycle = stack.slice(start === -1 ? stack.length : start).concat(edge);
+        const key = cycle.map(e => e.id).sort().join('|');
+        if (reported.has(key)) return;
+        reported.add(key);
+        const path = cycle.map(e => tableName(byId[e.target])).concat(tableName(byId[edge.source]));
+        cycle.forEach((e) => {
+          problems.push({ rule: 'mandatory-cycle', severity: 'error', edgeId: e.id, message: `Mandatory foreign keys form a cycle: ${path.join(' → ')}` });
+        });
+      } else if (!state[edge.source]) {
+        stack.push(edge);
+        visit(edge.source);
+        stack.pop();
+      }
+    });
+    state[id] = 'done';
+  };
+  nodes.forEach(n => { if (!state[n.id]) visit(n.id); });
+};
+
+/**
+ * Runs every rule over the model. Each problem names the rule, its severity
+ * and the node and/or edge it belongs to.
+ */
+export const lintSchema = (nodes, allEdges) => {
+  const tables = nodes.filter(n => !n.type || n.type === 'tableNode');
+  const edges = allEdges.filter(e => !isLineageEdge(e));
+  const problems = [];
+  checkTables(tables, problems);
+  checkRelationships(tables, edges, problems);
+  checkMandatoryCycles(tables, edges, problems);
+  return problems
+    .map((problem, index) => ({ ...problem, id: `${problem.rule}-${index}` }))
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+};
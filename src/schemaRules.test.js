@@ -0,0 +1,49 @@
+import { lintSchema } from './schemaRules';
+
+const table = (id, label, columns) => ({ id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, columns } });
+const col = (name, flags = {}) => ({ name, isPK: false, isFK: false, isCK: false, ...flags });
+const rules = (problems) => problems.map(p => p.rule);
+
+test('reports table level problems', () => {
+  const problems = lintSchema([
+    table('a', 'users', [col('id'), col('Email'), col('email')]),
+    table('b', 'users', [col('id', { isPK: true })]),
+  ], []);
+
+  expect(rules(problems)).toEqual(expect.arrayContaining(['missing-pk', 'duplicate-column', 'duplicate-table', 'naming']));
+  expect(problems.find(p => p.rule === 'missing-pk').nodeId).toBe('a');
+  expect(problems[0].severity).toBe('error');
+});
+
+test('matches fk columns against relationships', () => {
+  const nodes = [
+    table('u', 'users', [col('id', { isPK: true })]),
+    table('o', 'orders', [col('id', { isPK: true }), col('user_id', { isFK: true }), col('coupon_id', { isFK: true })]),
+    table('t', 'tags', [col('id', { isPK: true })]),
+  ];
+  const edges = [
+    { id: 'e1', source: 'u', target: 'o', data: { relType: '1:N', targetColumns: ['user_id'] } },
+    { id: 'e2', source: 'u', target: 't', data: { relType: '1:N' } },
+    { id: 'e3', source: 't', target: 't', data: { relType: 'N:M' } },
+  ];
+  const problems = lintSchema(nodes, edges);
+
+  expect(problems.filter(p => p.rule === 'orphan-fk').map(p => p.message)).toEqual(['orders.coupon_id is a foreign key without a relationship']);
+  expect(problems.find(p => p.rule === 'edge-without-fk').edgeId).toBe('e2');
+  expect(problems.find(p => p.rule === 'self-reference').edgeId).toBe('e3');
+});
+
+test('finds cycles of mandatory foreign keys', () => {
+  const nodes = [
+    table('a', 'a', [col('id', { isPK: true }), col('b_id', { isFK: true, notNull: true })]),
+    table('b', 'b', [col('id', { isPK: true }), col('a_id', { isFK: true, notNull: true })]),
+  ];
+  const edges = [
+    { id: 'e1', source: 'b', target: 'a', data: { targetColumns: ['b_id'] } },
+    { id: 'e2', source: 'a', target: 'b', data: { targetColumns: ['a_id'] } },
+  ];
+
+  expect(lintSchema(nodes, edges).filter(p => p.rule === 'mandatory-cycle').map(p => p.edgeId).sort()).toEqual(['e1', 'e2']);
+  nodes[1].data.columns[1].notNull = false;
+  expect(rules(lintSchema(nodes, edges))).not.toContain('mandatory-cycle');
+});
@@ -0,0 +1,68 @@
+import { getNodeSize } from './layout';
+import { getAbsolutePosition } from './groups';
+
+export const ALIGNMENTS = [
+  { id: 'left', name: 'Align left edges', axis: 'x', at: 0 },
+  { id: 'center', name: 'Align horizontal centers', axis: 'x', at: 0.5 },
+  { id: 'right', name: 'Align right edges', axis: 'x', at: 1 },
+  { id: 'top', name: 'Align top edges', axis: 'y', at: 0 },
+  { id: 'middle', name: 'Align vertical centers', axis: 'y', at: 0.5 },
+  { id: 'bottom', name: 'Align bottom edges', axis: 'y', at: 1 },
+];
+
+const EXTENT = { x: 'width', y: 'height' };
+
+// Boxes on the canvas, so tables in different groups line up where they are drawn
+const boxesOf = (nodes, ids) => nodes
+  .filter(n => ids.includes(n.id))
+  .map(n => ({ node: n, ...getAbsolutePosition(n, nodes), ...getNodeSize(n) }));
+
+// Back from canvas coordinates to the node's own, which are relative to its group
+const toPosition = (box, nodes, axis, value) => {
+  const offset = box.node.parentNode ? box[axis] - box.node.position[axis] : 0;
+  return { ...box.node.position, [axis]: value - offset };
+};
+
+/**
+ * Lines the nodes up on the edge or center named by `alignment`, taken
+ * from the outermost node on that side. Returns new positions by node id.
+ */
+export const alignNodes = (nodes, ids, alignment) => {
+  const { axis, at } = ALIGNMENTS.find(a => a.id === alignment);
+  const extent = EXTENT[axis];
+  const boxes = boxesOf(nodes, ids);
+  if (boxes.length < 2) return {};
+  const start = Math.min(...boxes.map(b => b[axis]));
+  const end = Math.max(...boxes.map(b => b[axis] + b[extent]));
+  const line = start + (end - start) * at;
+  return Object.fromEntries(boxes.map(b => [b.node.id, toPosition(b, nodes, axis, line - b[extent] * at)]));
+};
+
+/**
+ * Spaces the nodes evenly along `axis` ('x' or 'y'): the first and last stay
+ * put and the gaps between neighbours become equal.
+ */
+export const distributeNodes = (nodes, ids, axis) => {
+  const extent = EXTENT[axis];
+  const boxes = boxesOf(nodes, ids).sort((a, b) => a[axis] - b[axis]);
+  if (boxes.length < 3) return {};
+  const first = boxes[0];
+  const last = boxes[boxes.length - 1];
+  const used = boxes.reduce((sum, b) => sum + b[extent], 0);
+  const gap = (last[axis] + last[extent] - first[axis] - used) / (boxes.length - 1);
+  let next = first[axis];
+  return Object.fromEntries(boxes.map((b) => {
+    const position = toPosition(b, nodes, axis, next);
+    next += b[extent] + gap;
+    return [b.node.id, position];
+  }));
+};
+
+/** Moves the nodes by `dx`, `dy`; tables inside a selected group move with it. */
+export const nudgeNodes = (nodes, ids, dx, dy) => {
+  const moved = new Set(ids.filter(id => {
+    const node = nodes.find(n => n.id === id);
+    return node && !ids.includes(node.parentNode);
+  }));
+  return nodes.map(n => (moved.has(n.id) ? { ...n, position: { x: n.position.x + dx, y: n.position.y + dy } } : n));
+};
@@ -0,0 +1,35 @@
+import { alignNodes, distributeNodes, nudgeNodes } from './selection';
+
+const node = (id, x, y, width = 200, height = 100, extra = {}) => ({ id, position: { x, y }, width, height, data: { label: id, columns: [] }, ...extra });
+
+test('aligns edges and centers across groups', () => {
+  const nodes = [
+    node('a', 10, 0),
+    node('b', 50, 200, 100),
+    { id: 'g', type: 'groupNode', position: { x: 300, y: 0 }, style: { width: 400, height: 400 }, data: {} },
+    node('c', 20, 40, 200, 100, { parentNode: 'g' }),
+  ];
+
+  expect(alignNodes(nodes, ['a', 'b', 'c'], 'left')).toEqual({
+    a: { x: 10, y: 0 }, b: { x: 10, y: 200 }, c: { x: -290, y: 40 },
+  });
+  expect(alignNodes(nodes, ['a', 'b'], 'center')).toEqual({ a: { x: 10, y: 0 }, b: { x: 60, y: 200 } });
+  expect(alignNodes(nodes, ['a', 'b'], 'bottom')).toEqual({ a: { x: 10, y: 200 }, b: { x: 50, y: 200 } });
+  expect(alignNodes(nodes, ['a'], 'top')).toEqual({});
+});
+
+test('distributes nodes with equal gaps between them', () => {
+  const nodes = [node('a', 0, 0, 100), node('b', 110, 0, 200), node('c', 600, 0, 100)];
+
+  expect(distributeNodes(nodes, ['c', 'a', 'b'], 'x')).toEqual({
+    a: { x: 0, y: 0 }, b: { x: 250, y: 0 }, c: { x: 600, y: 0 },
+  });
+  expect(distributeNodes(nodes, ['a', 'b'], 'x')).toEqual({});
+});
+
+test('nudges selected nodes and leaves tables of a selected group to it', () => {
+  const nodes = [node('g', 0, 0), node('t', 10, 10, 200, 100, { parentNode: 'g' }), node('x', 500, 0)];
+  const moved = nudgeNodes(nodes, ['g', 't'], 10, -1);
+
+  expect(moved.map(n => n.position)).toEqual([{ x: 10, y: -1 }, { x: 10, y: 10 }, { x: 500, y: 0 }]);
+});
@@ -0,0 +1,258 @@
+import { getRelType } from './relationships';
+import { isLineageEdge } from './lineage';
+
+export const SQL_DIALECTS = [
+  { id: 'postgres', name: 'PostgreSQL' },
+  { id: 'mysql', name: 'MySQL' },
+  { id: 'sqlite', name: 'SQLite' },
+  { id: 'sqlserver', name: 'SQL Server' },
+];
+
+const DIALECTS = {
+  postgres: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    plain: /^[a-z_][a-z0-9_]*$/,
+    keyType: 'INTEGER',
+    textType: 'TEXT',
+    commentStatements: true,
+  },
+  mysql: {
+    quote: name => `\`${name.replace(/`/g, '``')}\``,
+    plain: /^[A-Za-z_][A-Za-z0-9_]*$/,
+    keyType: 'INT',
+    textType: 'VARCHAR(255)',
+    tableSuffix: ' ENGINE=InnoDB',
+    inlineComments: true,
+  },
+  sqlite: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    plain: /^[A-Za-z_][A-Za-z0-9_]*$/,
+    keyType: 'INTEGER',
+    textType: 'TEXT',
+    inlineForeignKeys: true,
+  },
+  sqlserver: {
+    quote: name => `[${name.replace(/]/g, ']]')}]`,
+    plain: /^[A-Za-z_][A-Za-z0-9_]*$/,
+    keyType: 'INT',
+    textType: 'NVARCHAR(255)',
+    actions: { RESTRICT: 'NO ACTION' },
+  },
+};
+
+/** A referential action as the dialect spells it; SQL Server has no RESTRICT. */
+export const formatReferentialAction = (value, dialect = 'postgres') =>
+  (DIALECTS[dialect] || DIALECTS.postgres).actions?.[value] || value;
+
+const quoteString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const RESERVED = new Set([
+  'user', 'order', 'group', 'table', 'select', 'from', 'where', 'index', 'key',
+  'primary', 'foreign', 'references', 'check', 'default', 'column', 'to', 'by',
+]);
+
+/** Quotes an identifier for the dialect when it is not a plain, unreserved name. */
+export const formatIdentifier = (name, dialect = 'postgres') => {
+  const d = DIALECTS[dialect] || DIALECTS.postgres;
+  return d.plain.test(name) && !RESERVED.has(name.toLowerCase()) ? name : d.quote(name);
+};
+
+/** `name TYPE [NOT NULL] [UNIQUE] [DEFAULT x]`, with a type picked when the column has none. */
+export const formatColumnDefinition = (col, dialect = 'postgres', { isKey = false } = {}) => {
+  const d = DIALECTS[dialect] || DIALECTS.postgres;
+  let line = `${formatIdentifier(col.name, dialect)} ${col.type || (isKey ? d.keyType : d.textType)}`;
+  if (col.notNull || col.isPK || col.isCK) line += ' NOT NULL';
+  if (col.unique && !col.isPK) line += ' UNIQUE';
+  if (col.defaultValue) line += ` DEFAULT ${col.defaultValue}`;
+  return line;
+};
+
+const snake = (name) =>
+  String(name).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'table';
+
+const singular = (name) => name.replace(/ies$/, 'y').replace(/([^s])s$/, '$1');
+
+const sameName = (a, b) => snake(a) === snake(b);
+
+const getKeyColumns = (columns) => {
+  const pk = columns.filter(c => c.isPK);
+  return pk.length ? pk : columns.filter(c => c.isCK);
+};
+
+// Finds the child columns an edge refers through, adding them when the model lacks them.
+const resolveForeignKey = (edge, parent, child) => {
+  const refColumns = edge.data?.sourceColumns?.length
+    ? edge.data.sourceColumns
+    : getKeyColumns(parent.columns).map(c => c.name);
+  if (refColumns.length === 0) return null;
+
+  if (edge.data?.targetColumns?.length === refColumns.length) {
+    return { columns: edge.data.targetColumns, refColumns };
+  }
+
+  const prefixes = [snake(parent.label), singular(snake(parent.label))];
+  const candidates = child.columns.filter(c => c.isFK || !c.isPK);
+  const columns = refColumns.map((ref) => {
+    const names = [ref, ...prefixes.map(p => `${p}_${ref}`)];
+    const match = candidates.find(c => names.some(n => sameName(c.name, n)));
+    if (match) return match.name;
+    const added = `${singular(snake(parent.label))}_${snake(ref)}`;
+    if (!child.columns.some(c => sameName(c.name, added))) {
+      child.columns.push({ name: added, isFK: true, isPK: false, isCK: false, added: true });
+    }
+    return added;
+  });
+  return { columns, refColumns };
+};
+
+/**
+ * Resolves the model into tables with explicit foreign keys, adding fk
+ * columns the edges imply but the tables lack. Lineage edges are left out. Many-to-many edges become
+ * junction tables or, without them, a note.
+ */
+export const buildTables = (nodes, edges, { junctionTables = false } = {}) => {
+  const tables = nodes
+    .filter(n => n.type === 'tableNode' || !n.type)
+    .map(n => ({
+      id: n.id,
+      label: n.data?.label || 'table',
+      columns: (n.data?.columns || []).map(c => ({ ...c })),
+      foreignKeys: [],
+    }));
+  const byId = Object.fromEntries(tables.map(t => [t.id, t]));
+  const notes = [];
+
+  edges.filter(e => !isLineageEdge(e)).forEach((edge) => {
+    const parent = byId[edge.source];
+    const child = byId[edge.target];
+    if (!parent || !child) return;
+
+    if (getRelType(edge) === 'N:M') {
+      if (!junctionTables) {
+        notes.push(`${parent.label} <-> ${child.label} is many-to-many; enable junction tables to materialize it.`);
+        return;
+      }
+      const sides = [parent, child].map((table) => {
+        const keys = getKeyColumns(table.columns);
+        return { table, keys: keys.length ? keys.map(k => k.name) : null };
+      });
+      const missing = sides.find(s => !s.keys);
+      if (missing) {
+        notes.push(`${parent.label} <-> ${child.label}: ${missing.table.label} has no primary key, junction table skipped.`);
+        return;
+      }
+      const junction = {
+        id: `${edge.id}-junction`,
+        label: `${snake(parent.label)}_${snake(child.label)}`,
+        columns: [],
+        foreignKeys: [],
+      };
+      sides.forEach(({ table, keys }, index) => {
+        const prefix = parent === child ? `${singular(snake(table.label))}${index + 1}` : singular(snake(table.label));
+        const columns = keys.map(k => `${prefix}_${snake(k)}`);
+        columns.forEach(name => junction.columns.push({ name, isCK: true, isFK: true, isPK: false }));
+        junction.foreignKeys.push({ columns, refTable: table, refColumns: keys, onDelete: 'CASCADE' });
+      });
+      tables.push(junction);
+      return;
+    }
+
+    const fk = resolveForeignKey(edge, parent, child);
+    if (!fk) {
+      notes.push(`${parent.label} -> ${child.label}: ${parent.label} has no primary key to reference.`);
+      return;
+    }
+    // A mandatory parent end means the key columns may not be NULL
+    if (edge.data?.sourceOptional === false) {
+      child.columns.forEach((col) => {
+        if (fk.columns.some(name => sameName(name, col.name))) col.notNull = true;
+      });
+    }
+    child.foreignKeys.push({
+      ...fk,
+      refTable: parent,
+      unique: getRelType(edge) === '1:1',
+      onDelete: edge.data?.onDelete,
+      onUpdate: edge.data?.onUpdate,
+      edge,
+    });
+  });
+
+  return { tables, notes };
+};
+
+/**
+ * Emits CREATE TABLE statements for every table node. Foreign keys come from
+ * the edges: the source table is referenced, the target table holds the key.
+ */
+export const generateSql = (nodes, edges, { dialect = 'postgres', junctionTables = false } = {}) => {
+  const d = DIALECTS[dialect] || DIALECTS.postgres;
+  const id = (name) => formatIdentifier(name, dialect);
+  const list = (names) => names.map(id).join(', ');
+  const action = (value) => formatReferentialAction(value, dialect);
+
+  const { tables, notes } = buildTables(nodes, edges, { junctionTables });
+  const created = new Set();
+  const deferred = [];
+  const comments = [];
+
+  const fkClause = (fk) => {
+    let clause = `FOREIGN KEY (${list(fk.columns)}) REFERENCES ${id(fk.refTable.label)} (${list(fk.refColumns)})`;
+    if (fk.onDelete) clause += ` ON DELETE ${action(fk.onDelete)}`;
+    if (fk.onUpdate) clause += ` ON UPDATE ${action(fk.onUpdate)}`;
+    return clause;
+  };
+
+  // Parents first, so most foreign keys can be declared inline.
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (table) => {
+    if (ordered.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    table.foreignKeys.forEach(fk => visit(fk.refTable));
+    visiting.delete(table);
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+
+  const statements = ordered.map((table) => {
+    const fkColumns = new Set(table.foreignKeys.flatMap(fk => fk.columns.map(snake)));
+    const lines = table.columns.map((col) => {
+      const isKey = col.isPK || col.isCK || fkColumns.has(snake(col.name));
+      let line = `  ${formatColumnDefinition(col, dialect, { isKey })}`;
+      if (col.description && d.inlineComments) line += ` COMMENT ${quoteString(col.description)}`;
+      if (col.description && d.commentStatements) {
+        comments.push(`COMMENT ON COLUMN ${id(table.label)}.${id(col.name)} IS ${quoteString(col.description)};`);
+      }
+      return line;
+    });
+
+    const pk = table.columns.filter(c => c.isPK);
+    const ck = table.columns.filter(c => c.isCK);
+    if (pk.length) lines.push(`  PRIMARY KEY (${list(pk.map(c => c.name))})`);
+    if (!pk.length && ck.length) lines.push(`  PRIMARY KEY (${list(ck.map(c => c.name))})`);
+    if (pk.length && ck.length) lines.push(`  UNIQUE (${list(ck.map(c => c.name))})`);
+
+    table.foreignKeys.forEach((fk) => {
+      if (fk.unique && !(fk.columns.length === pk.length && fk.columns.every(c => pk.some(p => sameName(p.name, c))))) {
+        lines.push(`  UNIQUE (${list(fk.columns)})`);
+      }
+      if (d.inlineForeignKeys || created.has(fk.refTable) || fk.refTable === table) {
+        lines.push(`  ${fkClause(fk)}`);
+      } else {
+        deferred.push(`ALTER TABLE ${id(table.label)} ADD ${fkClause(fk)};`);
+      }
+    });
+
+    created.add(table);
+    return `CREATE TABLE ${id(table.label)} (\n${lines.join(',\n')}\n)${d.tableSuffix || ''};`;
+  });
+
+  const header = notes.map(note => `-- ${note}`);
+  return [
+    ...(header.length ? [header.join('\n')] : []),
+    ...statements,
+    ...deferred,
+    ...(comments.length ? [comments.join('\n')] : []),
+  ].join('\n\n') + '\n';
+};
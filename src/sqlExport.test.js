@@ -0,0 +1,79 @@
+import { generateSql } from './sqlExport';
+
+const table = (id, label, columns) => ({ id, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, columns } });
+const col = (name, flags = {}) => ({ name, isPK: false, isFK: false, isCK: false, ...flags });
+
+const nodes = [
+  table('n1', 'users', [col('id', { isPK: true }), col('email')]),
+  table('n2', 'orders', [col('id', { isPK: true }), col('user_id', { isFK: true })]),
+  table('n3', 'tags', [col('id', { isPK: true })]),
+];
+
+test('creates parents first and derives foreign keys from edges', () => {
+  const edges = [{ id: 'e1', source: 'n1', target: 'n2', data: { relType: '1:N' } }];
+  const sql = generateSql([nodes[1], nodes[0]], edges);
+
+  expect(sql.indexOf('CREATE TABLE users')).toBeLessThan(sql.indexOf('CREATE TABLE orders'));
+  expect(sql).toContain('  id INTEGER NOT NULL,\n  email TEXT,\n  PRIMARY KEY (id)');
+  expect(sql).toContain('FOREIGN KEY (user_id) REFERENCES users (id)');
+});
+
+test('quotes identifiers and maps actions per dialect', () => {
+  const edges = [{ id: 'e1', source: 'n1', target: 'n2', markerEnd: 'many-side', data: { onDelete: 'RESTRICT' } }];
+  const sql = generateSql(nodes.slice(0, 2), edges, { dialect: 'sqlserver' });
+
+  expect(sql).toContain('CREATE TABLE users (\n  id INT NOT NULL');
+  expect(sql).toContain('email NVARCHAR(255)');
+  expect(sql).toContain('REFERENCES users (id) ON DELETE NO ACTION');
+  expect(generateSql([table('n9', 'Order Lines', [col('Line No', { isCK: true })])], [], { dialect: 'mysql' }))
+    .toContain('CREATE TABLE `Order Lines` (\n  `Line No` INT NOT NULL,\n  PRIMARY KEY (`Line No`)\n) ENGINE=InnoDB;');
+});
+
+test('adds a missing fk column and marks 1:1 keys unique', () => {
+  const edges = [{ id: 'e1', source: 'n1', target: 'n3', data: { relType: '1:1' } }];
+  const sql = generateSql(nodes, edges);
+
+  expect(sql).toContain('user_id INTEGER');
+  expect(sql).toContain('UNIQUE (user_id)');
+  expect(sql).toContain('FOREIGN KEY (user_id) REFERENCES users (id)');
+});
+
+test('materializes N:M edges as junction tables only when asked', () => {
+  const edges = [{ id: 'e1', source: 'n2', target: 'n3', data: { relType: 'N:M' } }];
+
+  expect(generateSql(nodes, edges)).toMatch(/^-- orders <-> tags is many-to-many/);
+  const sql = generateSql(nodes, edges, { junctionTables: true });
+  expect(sql).toContain('CREATE TABLE orders_tags (\n  order_id INTEGER NOT NULL,\n  tag_id INTEGER NOT NULL,\n  PRIMARY KEY (order_id, tag_id)');
+  expect(sql).toContain('FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE');
+});
+
+test('defers foreign keys in cycles to ALTER TABLE except on SQLite', () => {
+  const edges = [
+    { id: 'e1', source: 'n1', target: 'n2', data: { relType: '1:N' } },
+    { id: 'e2', source: 'n2', target: 'n1', data: { relType: '1:N' } },
+  ];
+
+  expect(generateSql(nodes.slice(0, 2), edges)).toMatch(/ALTER TABLE \w+ ADD FOREIGN KEY/);
+  expect(generateSql(nodes.slice(0, 2), edges, { dialect: 'sqlite' })).not.toContain('ALTER TABLE');
+});
+
+test('writes column types, constraints and comments', () => {
+  const columns = [
+    col('id', { isPK: true, type: 'bigint' }),
+    col('email', { type: 'varchar(255)', notNull: true, unique: true, description: "User's login" }),
+    col('status', { defaultValue: "'active'" }),
+  ];
+  const sql = generateSql([table('n1', 'accounts', columns)], []);
+
+  expect(sql).toContain("  id bigint NOT NULL,\n  email varchar(255) NOT NULL UNIQUE,\n  status TEXT DEFAULT 'active',");
+  expect(sql).toContain("COMMENT ON COLUMN accounts.email IS 'User''s login';");
+  expect(generateSql([table('n1', 'accounts', columns)], [], { dialect: 'mysql' })).toContain("COMMENT 'User''s login'");
+});
+
+test('leaves lineage edges out of the schema', () => {
+  const edges = [{ id: 'l1', source: 'n1', target: 'n3', data: { kind: 'lineage', sourceColumns: ['id'] } }];
+  const sql = generateSql(nodes, edges);
+
+  expect(sql).not.toContain('FOREIGN KEY');
+  expect(sql).toContain('CREATE TABLE tags (\n  id INTEGER NOT NULL,\n  PRIMARY KEY (id)\n);');
+});
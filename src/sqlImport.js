@@ -0,0 +1,464 @@
+import { createRelationshipEdge, columnHandleId } from './relationships';
+
+// Words that end a column's data type and start its inline constraints.
+const COLUMN_CONSTRAINT_WORDS = [
+  'constraint', 'primary', 'not', 'null', 'unique', 'references', 'default',
+  'check', 'collate', 'auto_increment', 'autoincrement', 'identity',
+  'generated', 'comment', 'on', 'charset',
+];
+
+const tokenize = (sql) => {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (ch === '"' || ch === '`' || ch === '[') {
+      const close = ch === '[' ? ']' : ch;
+      const end = sql.indexOf(close, i + 1);
+      const stop = end === -1 ? sql.length : end;
+      tokens.push({ type: 'ident', value: sql.slice(i + 1, stop), quoted: true });
+      i = stop + 1;
+      continue;
+    }
+
+    if (ch === "'") {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === "'" && sql[j + 1] === "'") { j += 2; continue; }
+        if (sql[j] === "'") break;
+        j++;
+      }
+      tokens.push({ type: 'string', value: sql.slice(i, j + 1) });
+      i = j + 1;
+      continue;
+    }
+
+    if ('(),.;'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+
+    const word = /^[\w$]+/.exec(sql.slice(i));
+    if (word) {
+      tokens.push({ type: 'ident', value: word[0], quoted: false });
+      i += word[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'other', value: ch });
+    i++;
+  }
+  return tokens;
+};
+
+const isWord = (token, word) =>
+  token?.type === 'ident' && !token.quoted && token.value.toLowerCase() === word;
+
+const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+
+const splitStatements = (tokens) => {
+  const statements = [];
+  let current = [];
+  tokens.forEach((token) => {
+    if (isPunct(token, ';')) {
+      if (current.length) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length) statements.push(current);
+  return statements;
+};
+
+// Splits tokens on commas that are not nested inside parentheses.
+const splitTopLevel = (tokens) => {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  tokens.forEach((token) => {
+    if (isPunct(token, '(')) depth++;
+    if (isPunct(token, ')')) depth--;
+    if (depth === 0 && isPunct(token, ',')) {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length) parts.push(current);
+  return parts;
+};
+
+// Returns the index of the parenthesis closing the one at `start`.
+const findClosingParen = (tokens, start) => {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return tokens.length;
+};
+
+// Reads a possibly schema-qualified name and keeps only its last part.
+const readName = (tokens, start) => {
+  let i = start;
+  let name = tokens[i]?.value;
+  i++;
+  while (isPunct(tokens[i], '.') && tokens[i + 1]?.type === 'ident') {
+    name = tokens[i + 1].value;
+    i += 2;
+  }
+  return { name, next: i };
+};
+
+const readColumnList = (tokens, start) => {
+  if (!isPunct(tokens[start], '(')) return { columns: [], next: start };
+  const end = findClosingParen(tokens, start);
+  const columns = splitTopLevel(tokens.slice(start + 1, end))
+    .map(part => part.find(t => t.type === 'ident')?.value)
+    .filter(Boolean);
+  return { columns, next: end + 1 };
+};
+
+const joinTokens = (tokens) =>
+  tokens.reduce((text, token, index) => {
+    const prev = tokens[index - 1];
+    const noSpace = index === 0
+      || isPunct(token, '(') || isPunct(token, ')') || isPunct(token, ',')
+      || isPunct(token, '.') || isPunct(prev, '(') || isPunct(prev, '.');
+    return text + (noSpace ? '' : ' ') + token.value;
+  }, '');
+
+const REFERENTIAL_ACTION_WORDS = ['cascade', 'restrict', 'set', 'null', 'default', 'no', 'action'];
+
+const isActionWord = (token) => REFERENTIAL_ACTION_WORDS.some(w => isWord(token, w));
+
+const readReferentialActions = (tokens, start, fk) => {
+  let i = start;
+  while (isWord(tokens[i], 'on') && (isWord(tokens[i + 1], 'delete') || isWord(tokens[i + 1], 'update'))) {
+    const key = isWord(tokens[i + 1], 'delete') ? 'onDelete' : 'onUpdate';
+    i += 2;
+    const words = [];
+    while (isActionWord(tokens[i])) {
+      words.push(tokens[i].value.toUpperCase());
+      i++;
+    }
+    fk[key] = words.join(' ');
+  }
+  return i;
+};
+
+// Parses `REFERENCES table [(cols)] [ON DELETE ...] [ON UPDATE ...]`.
+const readReferences = (tokens, start, columns) => {
+  const { name, next } = readName(tokens, start + 1);
+  const refs = readColumnList(tokens, next);
+  const fk = { columns, refTable: name, refColumns: refs.columns };
+  const end = readReferentialActions(tokens, refs.next, fk);
+  return { fk, next: end };
+};
+
+// Handles PRIMARY KEY / UNIQUE / FOREIGN KEY clauses shared by CREATE and ALTER.
+const applyTableConstraint = (table, tokens) => {
+  let i = 0;
+  if (isWord(tokens[i], 'constraint')) i += 2;
+
+  if (isWord(tokens[i], 'primary') && isWord(tokens[i + 1], 'key')) {
+    i += 2;
+    if (isWord(tokens[i], 'clustered') || isWord(tokens[i], 'nonclustered')) i++;
+    table.primaryKey = readColumnList(tokens, i).columns;
+    return true;
+  }
+
+  if (isWord(tokens[i], 'unique')) {
+    i++;
+    if (isWord(tokens[i], 'key') || isWord(tokens[i], 'index')) i++;
+    if (isWord(tokens[i], 'clustered') || isWord(tokens[i], 'nonclustered')) i++;
+    if (tokens[i]?.type === 'ident') i++;
+    const { columns } = readColumnList(tokens, i);
+    if (columns.length) table.uniques.push(columns);
+    return true;
+  }
+
+  if (isWord(tokens[i], 'foreign') && isWord(tokens[i + 1], 'key')) {
+    i += 2;
+    if (tokens[i]?.type === 'ident') i++;
+    const local = readColumnList(tokens, i);
+    if (isWord(tokens[local.next], 'references')) {
+      table.foreignKeys.push(readReferences(tokens, local.next, local.columns).fk);
+    }
+    return true;
+  }
+
+  if (isWord(tokens[0], 'constraint')
+    || ['key', 'index', 'check', 'fulltext', 'spatial', 'exclude'].some(word => isWord(tokens[0], word))) {
+    return true;
+  }
+  // PERIOD and LIKE also make fine column names; only these shapes are clauses
+  if (isWord(tokens[0], 'period')) return isWord(tokens[1], 'for');
+  if (isWord(tokens[0], 'like')) {
+    const { next } = readName(tokens, 1);
+    return !tokens[next] || isWord(tokens[next], 'including') || isWord(tokens[next], 'excluding');
+  }
+  return false;
+};
+
+const parseColumn = (table, tokens) => {
+  const name = tokens[0].value;
+  let i = 1;
+  const typeTokens = [];
+  let depth = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+    if (depth === 0 && COLUMN_CONSTRAINT_WORDS.some(w => isWord(token, w))) break;
+    if (depth === 0 && isWord(token, 'character') && isWord(tokens[i + 1], 'set')) break;
+    if (isPunct(token, '(')) depth++;
+    if (isPunct(token, ')')) depth--;
+    typeTokens.push(token);
+    i++;
+  }
+
+  const column = { name, type: joinTokens(typeTokens), notNull: false, unique: false, defaultValue: '', description: '' };
+
+  while (i < tokens.length) {
+    if (isWord(tokens[i], 'constraint')) { i += 2; continue; }
+    if (isWord(tokens[i], 'primary') && isWord(tokens[i + 1], 'key')) {
+      table.primaryKey = [name];
+      column.notNull = true;
+      i += 2;
+      continue;
+    }
+    if (isWord(tokens[i], 'not') && isWord(tokens[i + 1], 'null')) {
+      column.notNull = true;
+      i += 2;
+      continue;
+    }
+    if (isWord(tokens[i], 'unique')) {
+      column.unique = true;
+      table.uniques.push([name]);
+      i++;
+      continue;
+    }
+    if (isWord(tokens[i], 'references')) {
+      const { fk, next } = readReferences(tokens, i, [name]);
+      table.foreignKeys.push(fk);
+      i = next;
+      continue;
+    }
+    if (isWord(tokens[i], 'comment') && tokens[i + 1]?.type === 'string') {
+      column.description = tokens[i + 1].value.slice(1, -1).replace(/''/g, "'");
+      i += 2;
+      continue;
+    }
+    if (isWord(tokens[i], 'default')) {
+      i++;
+      const sign = tokens[i]?.type === 'other' && (tokens[i].value === '-' || tokens[i].value === '+') ? tokens[i].value : '';
+      if (sign) i++;
+      const start = i;
+      if (isPunct(tokens[i], '(')) {
+        i = findClosingParen(tokens, i) + 1;
+      } else {
+        i++;
+        if (isPunct(tokens[i], '(')) i = findClosingParen(tokens, i) + 1;
+        // Decimals are split at the point
+        else if (isPunct(tokens[i], '.') && /^\d+$/.test(tokens[i + 1]?.value)) i += 2;
+      }
+      column.defaultValue = sign + joinTokens(tokens.slice(start, i));
+      continue;
+    }
+    i++;
+  }
+
+  table.columns.push(column);
+};
+
+const getTable = (tables, name) =>
+  tables.find(t => t.name.toLowerCase() === name.toLowerCase());
+
+const parseCreateTable = (tables, tokens) => {
+  let i = 1;
+  while (tokens[i] && !isWord(tokens[i], 'table')) i++;
+  i++;
+  if (isWord(tokens[i], 'if')) i += 3;
+  const { name, next } = readName(tokens, i);
+  if (!name || !isPunct(tokens[next], '(')) return;
+
+  const end = findClosingParen(tokens, next);
+  const table = getTable(tables, name) || { name, columns: [], primaryKey: [], uniques: [], foreignKeys: [] };
+  if (!tables.includes(table)) tables.push(table);
+
+  splitTopLevel(tokens.slice(next + 1, end)).forEach((part) => {
+    if (part.length === 0) return;
+    if (applyTableConstraint(table, part)) return;
+    if (part[0].type === 'ident') parseColumn(table, part);
+  });
+};
+
+const parseAlterTable = (tables, tokens) => {
+  let i = 2;
+  if (isWord(tokens[i], 'if')) i += 2;
+  if (isWord(tokens[i], 'only')) i++;
+  const { name, next } = readName(tokens, i);
+  const table = name && getTable(tables, name);
+  if (!table) return;
+
+  splitTopLevel(tokens.slice(next)).forEach((clause) => {
+    if (!isWord(clause[0], 'add')) return;
+    let body = clause.slice(1);
+    if (isWord(body[0], 'column')) {
+      body = body.slice(1);
+      if (isWord(body[0], 'if')) body = body.slice(3);
+      if (body[0]?.type === 'ident') parseColumn(table, body);
+      return;
+    }
+    if (!applyTableConstraint(table, body) && body[0]?.type === 'ident') {
+      parseColumn(table, body);
+    }
+  });
+};
+
+// CREATE [UNIQUE] INDEX name ON table (cols) only matters when it is unique.
+const parseCreateIndex = (tables, tokens) => {
+  if (!isWord(tokens[1], 'unique')) return;
+  const onIndex = tokens.findIndex(t => isWord(t, 'on'));
+  if (onIndex === -1) return;
+  let i = onIndex + 1;
+  if (isWord(tokens[i], 'only')) i++;
+  const { name, next } = readName(tokens, i);
+  const table = name && getTable(tables, name);
+  if (!table) return;
+  let listStart = next;
+  if (isWord(tokens[listStart], 'using')) listStart += 2;
+  const { columns } = readColumnList(tokens, listStart);
+  if (columns.length) table.uniques.push(columns);
+};
+
+/**
+ * Parses CREATE TABLE, ALTER TABLE ... ADD and CREATE UNIQUE INDEX statements
+ * into plain table descriptions. Everything else in the script is ignored.
+ */
+export const parseSqlDdl = (sql) => {
+  const tables = [];
+  splitStatements(tokenize(sql)).forEach((tokens) => {
+    if (isWord(tokens[0], 'create') && tokens.slice(1, 6).some(t => isWord(t, 'table'))) {
+      parseCreateTable(tables, tokens);
+    } else if (isWord(tokens[0], 'alter') && isWord(tokens[1], 'table')) {
+      parseAlterTable(tables, tokens);
+    } else if (isWord(tokens[0], 'create') && tokens.slice(1, 4).some(t => isWord(t, 'index'))) {
+      parseCreateIndex(tables, tokens);
+    }
+  });
+  return tables;
+};
+
+const sameColumns = (a, b) =>
+  a.length === b.length && a.every(name => b.some(other => other.toLowerCase() === name.toLowerCase()));
+
+const hasColumn = (list, name) => list.some(c => c.toLowerCase() === name.toLowerCase());
+
+// An FK whose columns are themselves unique in the child allows one child per parent.
+const isOneToOne = (table, fk) =>
+  sameColumns(fk.columns, table.primaryKey) || table.uniques.some(u => sameColumns(fk.columns, u));
+
+const estimateHeight = (table) => 40 + table.columns.length * 33;
+
+/**
+ * Turns parsed table descriptions into tableNode nodes and relationship edges.
+ * References to tables that are not in the list are resolved against
+ * `existingNodes` by label. A foreign key may carry its own relType, name and
+ * optionality when the source format states them.
+ */
+export const tablesToDiagram = (tables, { color = '#fbbf24', existingNodes = [], origin = { x: 0, y: 0 } } = {}) => {
+  const stamp = Date.now();
+  const perRow = Math.max(1, Math.ceil(Math.sqrt(tables.length)));
+  let rowTop = origin.y;
+  let rowHeight = 0;
+
+  const nodes = tables.map((table, index) => {
+    const col = index % perRow;
+    if (col === 0 && index > 0) {
+      rowTop += rowHeight + 80;
+      rowHeight = 0;
+    }
+    rowHeight = Math.max(rowHeight, estimateHeight(table));
+
+    const composite = table.primaryKey.length > 1;
+    const fkColumns = table.foreignKeys.filter(fk => fk.relType !== 'N:M').flatMap(fk => fk.columns);
+
+    return {
+      id: `node_${stamp}_${index}`,
+      type: 'tableNode',
+      position: { x: origin.x + col * 320, y: rowTop },
+      data: {
+        label: table.name,
+        color,
+        columns: table.columns.map(column => ({
+          ...column,
+          notNull: column.notNull || hasColumn(table.primaryKey, column.name),
+          unique: column.unique || table.uniques.some(u => u.length === 1 && hasColumn(u, column.name)),
+          isPK: !composite && hasColumn(table.primaryKey, column.name),
+          isFK: !!column.isFK || hasColumn(fkColumns, column.name),
+          isCK: composite && hasColumn(table.primaryKey, column.name),
+        })),
+      },
+    };
+  });
+
+  const findNode = (name) =>
+    nodes.find(n => n.data.label.toLowerCase() === name.toLowerCase())
+    || existingNodes.find(n => n.data?.label?.toLowerCase() === name.toLowerCase());
+
+  const edges = [];
+  tables.forEach((table, index) => {
+    table.foreignKeys.forEach((fk) => {
+      const parent = findNode(fk.refTable);
+      if (!parent) return;
+      const parentTable = getTable(tables, fk.refTable);
+      const refColumns = fk.refColumns.length ? fk.refColumns : (parentTable?.primaryKey || []);
+      const refColumn = parent.data.columns?.find(c => c.name.toLowerCase() === refColumns[0]?.toLowerCase());
+      const fkColumn = table.columns.find(c => c.name.toLowerCase() === fk.columns[0]?.toLowerCase());
+      edges.push(createRelationshipEdge({
+        id: `e-${stamp}-${edges.length}`,
+        source: parent.id,
+        target: nodes[index].id,
+        sourceHandle: refColumn ? columnHandleId(refColumn.name, 'source') : 'right-source',
+        targetHandle: fkColumn ? columnHandleId(fkColumn.name, 'target') : 'left-target',
+      }, fk.relType || (isOneToOne(table, fk) ? '1:1' : '1:N'), {
+        ...(refColumns.length && { sourceColumns: refColumns }),
+        ...(fk.columns.length && { targetColumns: fk.columns }),
+        ...(fk.onDelete && { onDelete: fk.onDelete }),
+        ...(fk.onUpdate && { onUpdate: fk.onUpdate }),
+        ...(fk.name && { name: fk.name }),
+        ...(fk.sourceOptional !== undefined && { sourceOptional: fk.sourceOptional }),
+        ...(fk.targetOptional !== undefined && { targetOptional: fk.targetOptional }),
+      }));
+    });
+  });
+
+  return { nodes, edges };
+};
+
+/** Turns SQL DDL into tableNode nodes and relationship edges. */
+export const sqlToDiagram = (sql, options) => tablesToDiagram(parseSqlDdl(sql), options);
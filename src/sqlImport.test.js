@@ -0,0 +1,104 @@
+import { parseSqlDdl, sqlToDiagram } from './sqlImport';
+
+const DDL = `
+-- users and their orders
+CREATE TABLE IF NOT EXISTS public."users" (
+  id SERIAL PRIMARY KEY,
+  email character varying(255) NOT NULL UNIQUE,
+  created_at timestamp DEFAULT now()
+);
+
+CREATE TABLE profiles (
+  user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  bio text,
+  CONSTRAINT profiles_user_unique UNIQUE (user_id)
+);
+
+CREATE TABLE \`order_items\` (
+  order_id int NOT NULL,
+  line_no int NOT NULL,
+  price numeric(10, 2),
+  PRIMARY KEY (order_id, line_no)
+) ENGINE=InnoDB;
+
+CREATE TABLE orders (
+  id bigint NOT NULL,
+  user_id integer
+);
+
+ALTER TABLE ONLY public.orders ADD CONSTRAINT orders_pkey PRIMARY KEY (id);
+ALTER TABLE order_items ADD CONSTRAINT fk_order FOREIGN KEY (order_id) REFERENCES orders (id);
+ALTER TABLE orders ADD FOREIGN KEY (user_id) REFERENCES users;
+`;
+
+test('parses columns, keys and constraints from CREATE and ALTER TABLE', () => {
+  const tables = parseSqlDdl(DDL);
+  expect(tables.map(t => t.name)).toEqual(['users', 'profiles', 'order_items', 'orders']);
+
+  const users = tables[0];
+  expect(users.primaryKey).toEqual(['id']);
+  expect(users.columns[1]).toMatchObject({ name: 'email', type: 'character varying(255)', notNull: true, unique: true });
+  expect(users.columns[2].defaultValue).toBe('now()');
+
+  expect(tables[2].primaryKey).toEqual(['order_id', 'line_no']);
+  expect(tables[2].columns[2].type).toBe('numeric(10, 2)');
+  expect(tables[3].primaryKey).toEqual(['id']);
+  expect(tables[1].foreignKeys[0]).toMatchObject({ columns: ['user_id'], refTable: 'users', refColumns: ['id'], onDelete: 'CASCADE' });
+});
+
+test('reads period and like as column names unless they start a clause', () => {
+  const [table] = parseSqlDdl(`
+    CREATE TABLE rates (
+      period int NOT NULL,
+      like varchar(20),
+      valid_from date,
+      valid_to date,
+      PERIOD FOR validity (valid_from, valid_to),
+      LIKE rate_template INCLUDING ALL
+    );
+  `);
+
+  expect(table.columns.map(c => [c.name, c.type])).toEqual([
+    ['period', 'int'], ['like', 'varchar(20)'], ['valid_from', 'date'], ['valid_to', 'date'],
+  ]);
+  expect(table.columns[0].notNull).toBe(true);
+});
+
+test('keeps the sign of numeric defaults', () => {
+  const [table] = parseSqlDdl(`
+    CREATE TABLE stock (
+      quantity int DEFAULT -1,
+      delta numeric(4, 2) DEFAULT -0.25,
+      bonus int DEFAULT +2 NOT NULL,
+      status varchar(10) DEFAULT 'new'
+    );
+  `);
+
+  expect(table.columns.map(c => c.defaultValue)).toEqual(['-1', '-0.25', '+2', "'new'"]);
+  expect(table.columns[2].notNull).toBe(true);
+});
+
+test('builds table nodes and edges with cardinality from uniqueness', () => {
+  const { nodes, edges } = sqlToDiagram(DDL, { color: '#10b981' });
+  const byLabel = (label) => nodes.find(n => n.data.label === label);
+
+  expect(nodes).toHaveLength(4);
+  expect(byLabel('users').data.color).toBe('#10b981');
+  expect(byLabel('users').data.columns[0]).toMatchObject({ name: 'id', type: 'SERIAL', notNull: true, isPK: true, isFK: false, isCK: false });
+  expect(byLabel('profiles').data.columns[0]).toMatchObject({ name: 'user_id', unique: true });
+  expect(byLabel('order_items').data.columns[0]).toMatchObject({ isPK: false, isFK: true, isCK: true });
+
+  const edgeTo = (label) => edges.find(e => e.target === byLabel(label).id);
+  expect(edges).toHaveLength(3);
+  expect(edgeTo('profiles')).toMatchObject({ source: byLabel('users').id, data: { relType: '1:1' } });
+  expect(edgeTo('orders').data).toMatchObject({ relType: '1:N', sourceColumns: ['id'], targetColumns: ['user_id'] });
+  expect(edgeTo('order_items').markerEnd).toBe('many-side');
+  expect(edgeTo('orders')).toMatchObject({ sourceHandle: 'col-id-source', targetHandle: 'col-user_id-target' });
+});
+
+test('resolves references to tables already on the canvas', () => {
+  const existingNodes = [{ id: 'node_1', data: { label: 'Users', columns: [] } }];
+  const { nodes, edges } = sqlToDiagram('CREATE TABLE posts (author_id int REFERENCES users(id));', { existingNodes });
+  expect(nodes).toHaveLength(1);
+  expect(edges[0]).toMatchObject({ source: 'node_1', target: nodes[0].id });
+});
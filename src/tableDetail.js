@@ -0,0 +1,37 @@
+export const DETAIL_LEVELS = [
+  { id: 'header', name: 'Header only' },
+  { id: 'keys', name: 'Keys only' },
+  { id: 'all', name: 'All columns' },
+];
+
+// Below this zoom tables can show only their header
+export const LOD_ZOOM = 0.5;
+
+// Longer column lists end in a "show N more" row
+export const MAX_VISIBLE_COLUMNS = 15;
+
+export const isKeyColumn = (column) => column.isPK || column.isFK || column.isCK;
+
+/** The level after `detail` when cycling through them from a table's header. */
+export const nextDetail = (detail = 'all') => {
+  const index = DETAIL_LEVELS.findIndex(l => l.id === detail);
+  return DETAIL_LEVELS[(index + 1) % DETAIL_LEVELS.length].id;
+};
+
+/**
+ * Splits a table's columns into the rows drawn at `detail` and the rest.
+ * With every column shown, long lists are cut at MAX_VISIBLE_COLUMNS unless `expanded`.
+ */
+export const getVisibleColumns = (columns = [], detail = 'all', expanded = false) => {
+  let shown = columns;
+  if (detail === 'header') shown = [];
+  if (detail === 'keys') shown = columns.filter(isKeyColumn);
+  if (detail === 'all' && !expanded && columns.length > MAX_VISIBLE_COLUMNS) shown = columns.slice(0, MAX_VISIBLE_COLUMNS);
+  return { shown, hidden: columns.filter(c => !shown.includes(c)) };
+};
+
+/** The level every table shares, or null when they differ. */
+export const getCommonDetail = (nodes) => {
+  const levels = new Set(nodes.map(n => n.data.detail || 'all'));
+  return levels.size === 1 ? Array.from(levels)[0] : null;
+};
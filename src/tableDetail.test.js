@@ -0,0 +1,20 @@
+import { getVisibleColumns, getCommonDetail, nextDetail, MAX_VISIBLE_COLUMNS } from './tableDetail';
+
+const columns = Array.from({ length: 20 }, (_, i) => ({ name: `c${i}`, isPK: i === 0, isFK: i === 18 }));
+
+test('shows the columns each level asks for and hides the rest', () => {
+  expect(getVisibleColumns(columns, 'header')).toEqual({ shown: [], hidden: columns });
+  expect(getVisibleColumns(columns, 'keys').shown.map(c => c.name)).toEqual(['c0', 'c18']);
+
+  const cut = getVisibleColumns(columns, 'all');
+  expect(cut.shown).toHaveLength(MAX_VISIBLE_COLUMNS);
+  expect(cut.hidden.map(c => c.name)).toEqual(['c15', 'c16', 'c17', 'c18', 'c19']);
+  expect(getVisibleColumns(columns, 'all', true)).toEqual({ shown: columns, hidden: [] });
+  expect(getVisibleColumns(columns.slice(0, 3))).toEqual({ shown: columns.slice(0, 3), hidden: [] });
+});
+
+test('cycles levels and finds the one all tables share', () => {
+  expect([undefined, 'header', 'keys'].map(nextDetail)).toEqual(['header', 'keys', 'all']);
+  expect(getCommonDetail([{ data: {} }, { data: { detail: 'all' } }])).toBe('all');
+  expect(getCommonDetail([{ data: {} }, { data: { detail: 'keys' } }])).toBeNull();
+});
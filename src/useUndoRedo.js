@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+export const isTextField = (element) =>
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName);
+
+/**
+ * Snapshot history for the diagram. Call takeSnapshot() right before a
+ * mutation; the state at that moment becomes the undo step. State arrays are
+ * never mutated in place, so snapshots are just references.
+ *
+ * A `delegate` with undo/redo/canUndo/canRedo (such as the shared document's
+ * undo manager during collaboration) takes over undo and redo while it is set.
+ * Its stacks change without React knowing, so its 'stack-item-added',
+ * 'stack-item-popped' and 'stack-cleared' events trigger a re-render.
+ */
+export default function useUndoRedo({ nodes, edges, legend, setNodes, setEdges, setLegend, delegate, maxHistorySize = 100 }) {
+  const past = useRef([]);
+  const future = useRef([]);
+  const current = useRef({ nodes, edges, legend });
+  const [, setVersion] = useState(0);
+
+  current.current = { nodes, edges, legend };
+
+  const takeSnapshot = useCallback(() => {
+    const last = past.current[past.current.length - 1];
+    const state = current.current;
+    // Several change handlers can fire for one user action before React re-renders
+    if (last && last.nodes === state.nodes && last.edges === state.edges && last.legend === state.legend) return;
+    past.current = past.current.slice(-(maxHistorySize - 1)).concat(state);
+    future.current = [];
+    setVersion(v => v + 1);
+  }, [maxHistorySize]);
+
+  const restore = useCallback((snapshot) => {
+    setNodes(snapshot.nodes);
+    setEdges(snapshot.edges);
+    setLegend(snapshot.legend);
+    setVersion(v => v + 1);
+  }, [setNodes, setEdges, setLegend]);
+
+  const undo = useCallback(() => {
+    if (delegate) {
+      delegate.undo();
+      return;
+    }
+    const snapshot = past.current[past.current.length - 1];
+    if (!snapshot) return;
+    past.current = past.current.slice(0, -1);
+    future.current = future.current.concat(current.current);
+    restore(snapshot);
+  }, [restore, delegate]);
+
+  const redo = useCallback(() => {
+    if (delegate) {
+      delegate.redo();
+      return;
+    }
+    const snapshot = future.current[future.current.length - 1];
+    if (!snapshot) return;
+    future.current = future.current.slice(0, -1);
+    past.current = past.current.concat(current.current);
+    restore(snapshot);
+  }, [restore, delegate]);
+
+  // Used when another diagram is opened: its history starts empty
+  const clearHistory = useCallback(() => {
+    past.current = [];
+    future.current = [];
+    setVersion(v => v + 1);
+  }, []);
+
+  useEffect(() => {
+    if (!delegate) return undefined;
+    const events = ['stack-item-added', 'stack-item-popped', 'stack-cleared'];
+    const refresh = () => setVersion(v => v + 1);
+    events.forEach(event => delegate.on(event, refresh));
+    return () => events.forEach(event => delegate.off(event, refresh));
+  }, [delegate]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTextField(document.activeElement)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  return {
+    takeSnapshot,
+    undo,
+    redo,
+    clearHistory,
+    canUndo: delegate ? delegate.canUndo() : past.current.length > 0,
+    canRedo: delegate ? delegate.canRedo() : future.current.length > 0,
+  };
+}
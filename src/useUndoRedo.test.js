@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import { act } from 'react-dom/test-utils';
+import * as Y from 'yjs';
+import useUndoRedo from './useUndoRedo';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Renders the hook over its own diagram state; `result` always holds the latest render
+const renderUndoRedo = (options = {}) => {
+  const result = {};
+  const Harness = () => {
+    const [nodes, setNodes] = useState([]);
+    const [edges, setEdges] = useState([]);
+    const [legend, setLegend] = useState([]);
+    Object.assign(result, { nodes, setNodes }, useUndoRedo({ nodes, edges, legend, setNodes, setEdges, setLegend, ...options }));
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(<Harness />));
+  return { result, unmount: () => act(() => root.unmount()) };
+};
+
+const addNode = (result, id) => act(() => {
+  result.takeSnapshot();
+  result.setNodes(nds => nds.concat({ id }));
+});
+const ids = (result) => result.nodes.map(n => n.id);
+
+let view;
+afterEach(() => view.unmount());
+
+test('records one undo step for several snapshots of the same state', () => {
+  view = renderUndoRedo();
+  const { result } = view;
+  act(() => {
+    result.takeSnapshot();
+    result.takeSnapshot();
+    result.setNodes([{ id: 'users' }]);
+  });
+
+  act(() => result.undo());
+  expect(ids(result)).toEqual([]);
+  expect(result.canUndo).toBe(false);
+  expect(result.canRedo).toBe(true);
+});
+
+test('keeps at most maxHistorySize steps, dropping the oldest', () => {
+  view = renderUndoRedo({ maxHistorySize: 3 });
+  const { result } = view;
+  ['a', 'b', 'c', 'd', 'e'].forEach(id => addNode(result, id));
+
+  let steps = 0;
+  while (result.canUndo) {
+    act(() => result.undo());
+    steps++;
+  }
+  expect(steps).toBe(3);
+  expect(ids(result)).toEqual(['a', 'b']);
+});
+
+test('a new snapshot after undoing clears what could be redone', () => {
+  view = renderUndoRedo();
+  const { result } = view;
+  addNode(result, 'a');
+  addNode(result, 'b');
+  act(() => result.undo());
+  expect(result.canRedo).toBe(true);
+
+  addNode(result, 'c');
+  expect(result.canRedo).toBe(false);
+  act(() => result.redo());
+  expect(ids(result)).toEqual(['a', 'c']);
+});
+
+test('clearHistory forgets every step but keeps the current state', () => {
+  view = renderUndoRedo();
+  const { result } = view;
+  addNode(result, 'a');
+  addNode(result, 'b');
+  act(() => result.undo());
+
+  act(() => result.clearHistory());
+  expect(result.canUndo).toBe(false);
+  expect(result.canRedo).toBe(false);
+  expect(ids(result)).toEqual(['a']);
+});
+
+test('follows the stacks of a delegate that change outside React', () => {
+  const doc = new Y.Doc();
+  const delegate = new Y.UndoManager(doc.getMap('nodes'));
+  view = renderUndoRedo({ delegate });
+  const { result } = view;
+  expect(result.canUndo).toBe(false);
+
+  act(() => doc.getMap('nodes').set('users', 1));
+  expect(result.canUndo).toBe(true);
+
+  act(() => result.undo());
+  expect(doc.getMap('nodes').has('users')).toBe(false);
+  expect([result.canUndo, result.canRedo]).toEqual([false, true]);
+
+  act(() => delegate.clear());
+  expect(result.canRedo).toBe(false);
+});
@@ -0,0 +1,183 @@
+import { isTable } from './groups';
+
+const DB_NAME = 'data-model-diagram';
+const STORE = 'diagrams';
+const LAST_OPENED_KEY = 'lastDiagramId';
+const FALLBACK_KEY = 'diagrams';
+
+// Drops the callbacks React Flow nodes carry in `data`; they cannot be stored.
+export const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+export const createDiagramId = () => `diagram_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+const createSnapshotId = () => `snapshot_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+    // Aborts without an error (quota exceeded, closed connection) fire only this
+    tx.onabort = () => reject(tx.error || new Error('The transaction was aborted'));
+  });
+};
+
+// localStorage stand-in for browsers without IndexedDB (and for tests)
+const readFallback = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FALLBACK_KEY)) || {};
+  } catch { return {}; }
+};
+
+const writeFallback = (records) => localStorage.setItem(FALLBACK_KEY, JSON.stringify(records));
+
+const hasIndexedDb = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const getAll = () => (hasIndexedDb()
+  ? run('readonly', store => store.getAll())
+  : Promise.resolve(Object.values(readFallback())));
+
+export const getDiagram = (id) => (hasIndexedDb()
+  ? run('readonly', store => store.get(id))
+  : Promise.resolve(readFallback()[id]));
+
+const putDiagram = (record) => {
+  if (hasIndexedDb()) return run('readwrite', store => store.put(record));
+  writeFallback({ ...readFallback(), [record.id]: record });
+  return Promise.resolve();
+};
+
+export const deleteDiagram = (id) => {
+  if (hasIndexedDb()) return run('readwrite', store => store.delete(id));
+  const { [id]: removed, ...rest } = readFallback();
+  writeFallback(rest);
+  return Promise.resolve();
+};
+
+// Read-modify-write updates run one after another so a snapshot is never lost to a concurrent save
+let writes = Promise.resolve();
+const queued = (work) => {
+  const result = writes.then(work);
+  writes = result.catch(() => {});
+  return result;
+};
+
+export const summarize = (record) => ({
+  id: record.id,
+  name: record.name,
+  updatedAt: record.updatedAt,
+  tableCount: (record.nodes || []).filter(isTable).length,
+});
+
+export const listDiagrams = async () =>
+  (await getAll()).map(summarize).sort((a, b) => a.name.localeCompare(b.name));
+
+// Content without a version is in the original, unversioned layout (see diagramFormat.js)
+export const createDiagram = async ({ name, nodes = [], edges = [], legend, version }) => {
+  const now = Date.now();
+  const record = toPlain({ id: createDiagramId(), name, version, nodes, edges, legend, createdAt: now, updatedAt: now });
+  await putDiagram(record);
+  return record;
+};
+
+/** Saves diagram content, keeping the stored name, creation time and snapshots. */
+export const saveDiagram = (id, changes) => queued(async () => {
+  const existing = await getDiagram(id);
+  const record = toPlain({ ...existing, ...changes, id, updatedAt: Date.now() });
+  await putDiagram(record);
+  return record;
+});
+
+/** Snapshot list entries of a diagram record, newest first, without their content. */
+export const summarizeSnapshots = (record) => (record?.snapshots || [])
+  .map(s => ({ id: s.id, name: s.name, createdAt: s.createdAt, tableCount: (s.content?.nodes || []).filter(isTable).length }))
+  .sort((a, b) => b.createdAt - a.createdAt);
+
+export const getSnapshot = async (diagramId, snapshotId) =>
+  (await getDiagram(diagramId))?.snapshots?.find(s => s.id === snapshotId);
+
+// Snapshots live in the diagram's record, so there is nothing to change without one
+const requireDiagram = async (id) => {
+  const existing = await getDiagram(id);
+  if (!existing) throw new Error(`Diagram ${id} does not exist`);
+  return existing;
+};
+
+/**
+ * Stores a named copy of serialized diagram content inside the diagram's
+ * record, so it is kept and deleted together with the diagram.
+ */
+export const addSnapshot = (diagramId, { name, content }) => queued(async () => {
+  const existing = await requireDiagram(diagramId);
+  const snapshot = { id: createSnapshotId(), name, createdAt: Date.now(), content };
+  const record = toPlain({ ...existing, snapshots: (existing.snapshots || []).concat(snapshot) });
+  await putDiagram(record);
+  return record;
+});
+
+export const deleteSnapshot = (diagramId, snapshotId) => queued(async () => {
+  const existing = await requireDiagram(diagramId);
+  const record = { ...existing, snapshots: (existing.snapshots || []).filter(s => s.id !== snapshotId) };
+  await putDiagram(record);
+  return record;
+});
+
+export const getLastOpenedId = () => localStorage.getItem(LAST_OPENED_KEY);
+
+export const setLastOpenedId = (id) => localStorage.setItem(LAST_OPENED_KEY, id);
+
+// Moves the single-slot 'nodes' / 'edges' / 'legend' keys of older versions into a diagram.
+const migrateSingleSlot = async (defaultLegend) => {
+  const parse = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch { return null; }
+  };
+  const nodes = parse('nodes');
+  const edges = parse('edges');
+  const legend = parse('legend');
+  if (!Array.isArray(nodes) && !Array.isArray(edges) && !Array.isArray(legend)) return null;
+
+  const record = await createDiagram({
+    name: 'My diagram',
+    nodes: Array.isArray(nodes) ? nodes : [],
+    edges: Array.isArray(edges) ? edges : [],
+    legend: Array.isArray(legend) && legend.length ? legend : defaultLegend,
+  });
+  ['nodes', 'edges', 'legend'].forEach(key => localStorage.removeItem(key));
+  return record;
+};
+
+/**
+ * Loads the diagram list, migrating legacy data and creating a first diagram
+ * when the workspace is empty. Resolves with the list and the id to open.
+ */
+export const initWorkspace = async (defaultLegend) => {
+  let diagrams = await listDiagrams();
+  if (diagrams.length === 0) {
+    const first = (await migrateSingleSlot(defaultLegend))
+      || (await createDiagram({ name: 'Untitled diagram', legend: defaultLegend }));
+    diagrams = [summarize(first)];
+  }
+  const lastId = getLastOpenedId();
+  const activeId = diagrams.some(d => d.id === lastId) ? lastId : diagrams[0].id;
+  return { diagrams, activeId };
+};
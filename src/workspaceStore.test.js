@@ -0,0 +1,46 @@
+import { createDiagram, saveDiagram, getDiagram, addSnapshot, deleteSnapshot, getSnapshot, summarizeSnapshots } from './workspaceStore';
+
+const content = (labels) => ({
+  format: 'data-model-diagram',
+  version: 2,
+  nodes: labels.map((label, i) => ({ id: `n${i}`, type: 'tableNode', position: { x: 0, y: 0 }, data: { label, color: '#fbbf24', columns: [] } })),
+  edges: [],
+  legend: [],
+});
+
+beforeEach(() => localStorage.clear());
+
+test('keeps snapshots with the diagram across saves', async () => {
+  const { id } = await createDiagram({ name: 'Shop' });
+  await addSnapshot(id, { name: 'before billing refactor', content: content(['users', 'orders']) });
+  await saveDiagram(id, { nodes: content(['users']).nodes });
+
+  const record = await getDiagram(id);
+  expect(record.nodes).toHaveLength(1);
+  expect(summarizeSnapshots(record)).toEqual([
+    { id: expect.any(String), name: 'before billing refactor', createdAt: expect.any(Number), tableCount: 2 },
+  ]);
+});
+
+test('lists snapshots newest first and deletes them', async () => {
+  const { id } = await createDiagram({ name: 'Shop' });
+  const now = jest.spyOn(Date, 'now');
+  now.mockReturnValue(1000);
+  await addSnapshot(id, { name: 'first', content: content([]) });
+  now.mockReturnValue(2000);
+  const record = await addSnapshot(id, { name: 'second', content: content(['users']) });
+  now.mockRestore();
+
+  const [second, first] = summarizeSnapshots(record);
+  expect([second.name, first.name]).toEqual(['second', 'first']);
+  expect((await getSnapshot(id, first.id)).content.nodes).toEqual([]);
+
+  const remaining = await deleteSnapshot(id, second.id);
+  expect(summarizeSnapshots(remaining).map(s => s.name)).toEqual(['first']);
+});
+
+test('refuses snapshots of a diagram that no longer exists', async () => {
+  await expect(addSnapshot('diagram_gone', { name: 'orphan', content: content([]) })).rejects.toThrow('does not exist');
+  await expect(deleteSnapshot('diagram_gone', 'snapshot_1')).rejects.toThrow('does not exist');
+  expect(await getDiagram('diagram_gone')).toBeUndefined();
+});